@@ -0,0 +1,538 @@
+/**
+ * batchcaption.js
+ * Batch captioning for the MagicPrompt extension.
+ * Captions many images with the caption instruction, lets the results be reviewed and edited,
+ * and exports them as sidecar .txt files or a JSONL manifest for training.
+ */
+
+'use strict';
+
+// Initialize BatchCaptioner only if it doesn't exist
+if (!window.BatchCaptioner) {
+    window.BatchCaptioner = class BatchCaptioner {
+        constructor() {
+            this.items = [];
+            this.nextItemId = 0;
+            this.running = false;
+            this.abortController = null;
+            this.elements = {};
+        }
+
+        initialize() {
+            try {
+                this.elements = {
+                    overlay: getRequiredElementById('batch_caption_overlay'),
+                    openButton: getRequiredElementById('batch_caption_button'),
+                    closeButton: getRequiredElementById('batch_close_btn'),
+                    fileInput: getRequiredElementById('batch_file_input'),
+                    folderInput: getRequiredElementById('batch_folder_input'),
+                    addFilesButton: getRequiredElementById('batch_add_files_btn'),
+                    addFolderButton: getRequiredElementById('batch_add_folder_btn'),
+                    historyButton: getRequiredElementById('batch_history_btn'),
+                    concurrencyInput: getRequiredElementById('batch_concurrency'),
+                    startButton: getRequiredElementById('batch_start_btn'),
+                    stopButton: getRequiredElementById('batch_stop_btn'),
+                    clearButton: getRequiredElementById('batch_clear_btn'),
+                    includeImages: getRequiredElementById('batch_include_images'),
+                    exportZipButton: getRequiredElementById('batch_export_zip_btn'),
+                    exportJsonlButton: getRequiredElementById('batch_export_jsonl_btn'),
+                    progressBar: getRequiredElementById('batch_progress'),
+                    progressText: getRequiredElementById('batch_progress_text'),
+                    grid: getRequiredElementById('batch_grid'),
+                    historyPanel: getRequiredElementById('batch_history_panel'),
+                    historyPath: getRequiredElementById('batch_history_path'),
+                    historyLoadButton: getRequiredElementById('batch_history_load_btn'),
+                    historySelectAllButton: getRequiredElementById('batch_history_select_all_btn'),
+                    historyAddButton: getRequiredElementById('batch_history_add_btn'),
+                    historyGrid: getRequiredElementById('batch_history_grid')
+                };
+                window.visionTab?.populateCaptionFormatSelect(getRequiredElementById('batch_caption_format'));
+                this.bindEvents();
+                this.elements.concurrencyInput.value = this.getConcurrency();
+                this.updateProgress();
+            } catch (error) {
+                console.error('Failed to initialize batch captioning:', error);
+            }
+        }
+
+        bindEvents() {
+            const el = this.elements;
+            el.openButton.addEventListener('click', () => this.open());
+            el.closeButton.addEventListener('click', () => this.close());
+            el.addFilesButton.addEventListener('click', () => el.fileInput.click());
+            el.addFolderButton.addEventListener('click', () => el.folderInput.click());
+            for (const input of [el.fileInput, el.folderInput]) {
+                input.addEventListener('change', (e) => {
+                    this.addFiles(e.target.files);
+                    e.target.value = '';
+                });
+            }
+            el.historyButton.addEventListener('click', () => this.toggleHistoryPanel());
+            el.historyLoadButton.addEventListener('click', () => this.loadHistory());
+            el.historySelectAllButton.addEventListener('click', () => {
+                const boxes = [...el.historyGrid.querySelectorAll('input[type="checkbox"]')];
+                const selectAll = boxes.some(box => !box.checked);
+                boxes.forEach(box => box.checked = selectAll);
+            });
+            el.historyAddButton.addEventListener('click', () => this.addSelectedHistory());
+            el.concurrencyInput.addEventListener('change', () => {
+                localStorage.setItem('magicprompt_batch_concurrency', el.concurrencyInput.value);
+                el.concurrencyInput.value = this.getConcurrency();
+            });
+            el.startButton.addEventListener('click', () => this.start());
+            el.stopButton.addEventListener('click', () => this.stop());
+            el.clearButton.addEventListener('click', () => this.clear());
+            el.exportZipButton.addEventListener('click', () => this.exportZip());
+            el.exportJsonlButton.addEventListener('click', () => this.exportJsonl());
+            // Files can be dropped anywhere on the panel
+            el.overlay.addEventListener('dragover', (e) => e.preventDefault());
+            el.overlay.addEventListener('drop', (e) => {
+                e.preventDefault();
+                if (e.dataTransfer.files?.length) {
+                    this.addFiles(e.dataTransfer.files);
+                }
+            });
+        }
+
+        /**
+         * Opens the batch panel, optionally adding files to it
+         * @param {FileList|File[]} [files] - Images to queue
+         */
+        open(files = null) {
+            this.elements.overlay.style.display = 'flex';
+            if (files?.length) {
+                this.addFiles(files);
+            }
+        }
+
+        close() {
+            this.elements.overlay.style.display = 'none';
+        }
+
+        /**
+         * Gets the number of captions requested at the same time
+         * @returns {number} Concurrency between 1 and 8
+         */
+        getConcurrency() {
+            const stored = parseInt(localStorage.getItem('magicprompt_batch_concurrency'));
+            return Number.isNaN(stored) ? 2 : Math.min(8, Math.max(1, stored));
+        }
+
+        /**
+         * Queues image files, keeping their folder-relative path as the name
+         * @param {FileList|File[]} files - Files to add, non-images are skipped
+         */
+        addFiles(files) {
+            const images = [...files].filter(file => file.type.startsWith('image/'));
+            if (!images.length) {
+                showError('No image files found');
+                return;
+            }
+            for (const file of images) {
+                this.addItem({
+                    name: file.webkitRelativePath || file.name,
+                    file,
+                    thumbnail: URL.createObjectURL(file)
+                });
+            }
+            this.updateProgress();
+        }
+
+        addItem({ name, file = null, url = null, thumbnail }) {
+            const item = {
+                id: ++this.nextItemId,
+                name,
+                file,
+                url,
+                thumbnail,
+                status: 'pending',
+                caption: '',
+                error: null
+            };
+            this.items.push(item);
+            this.elements.grid.appendChild(this.createCard(item));
+            return item;
+        }
+
+        createCard(item) {
+            const card = document.createElement('div');
+            card.className = 'batch-card';
+            card.dataset.itemId = item.id;
+            const image = document.createElement('img');
+            image.src = item.thumbnail;
+            image.loading = 'lazy';
+            image.alt = item.name;
+            const header = document.createElement('div');
+            header.className = 'batch-card-header';
+            const name = document.createElement('span');
+            name.className = 'batch-card-name';
+            name.textContent = item.name;
+            name.title = item.name;
+            const status = document.createElement('span');
+            status.className = 'batch-card-status';
+            const retryButton = document.createElement('button');
+            retryButton.className = 'batch-card-action';
+            retryButton.textContent = '↻';
+            retryButton.title = 'Caption again';
+            retryButton.addEventListener('click', () => this.retry(item));
+            const removeButton = document.createElement('button');
+            removeButton.className = 'batch-card-action';
+            removeButton.textContent = '×';
+            removeButton.title = 'Remove';
+            removeButton.addEventListener('click', () => this.removeItem(item));
+            header.append(name, status, retryButton, removeButton);
+            const caption = document.createElement('textarea');
+            caption.className = 'batch-card-caption';
+            caption.placeholder = 'Caption will appear here';
+            caption.addEventListener('input', () => {
+                item.caption = caption.value;
+            });
+            card.append(image, header, caption);
+            this.updateCard(item, card);
+            return card;
+        }
+
+        updateCard(item, card = null) {
+            card = card || this.elements.grid.querySelector(`.batch-card[data-item-id="${item.id}"]`);
+            if (!card) return;
+            const labels = { pending: 'Queued', running: 'Captioning...', done: 'Done', error: 'Failed' };
+            const status = card.querySelector('.batch-card-status');
+            status.textContent = labels[item.status];
+            status.title = item.error || '';
+            card.classList.remove('pending', 'running', 'done', 'error');
+            card.classList.add(item.status);
+            const caption = card.querySelector('.batch-card-caption');
+            if (caption.value !== item.caption) {
+                caption.value = item.caption;
+            }
+            card.querySelector('.batch-card-action').disabled = item.status === 'running';
+        }
+
+        updateProgress() {
+            const { progressBar, progressText, startButton, stopButton, exportZipButton, exportJsonlButton } = this.elements;
+            const total = this.items.length;
+            const done = this.items.filter(i => i.status === 'done').length;
+            const failed = this.items.filter(i => i.status === 'error').length;
+            progressBar.max = Math.max(total, 1);
+            progressBar.value = done + failed;
+            progressText.textContent = total
+                ? `${done} of ${total} captioned${failed ? `, ${failed} failed` : ''}`
+                : 'Add images to get started';
+            startButton.style.display = this.running ? 'none' : '';
+            stopButton.style.display = this.running ? '' : 'none';
+            startButton.disabled = !this.items.some(i => i.status === 'pending' || i.status === 'error');
+            exportZipButton.disabled = !done;
+            exportJsonlButton.disabled = !done;
+        }
+
+        /**
+         * Captions every queued or failed image, several at a time
+         */
+        async start() {
+            if (this.running) return;
+            this.items.filter(i => i.status === 'error').forEach(item => {
+                item.status = 'pending';
+                item.error = null;
+                this.updateCard(item);
+            });
+            this.running = true;
+            this.abortController = new AbortController();
+            const signal = this.abortController.signal;
+            this.updateProgress();
+            const worker = async () => {
+                let item;
+                while (!signal.aborted && (item = this.items.find(i => i.status === 'pending'))) {
+                    // Claim the item before awaiting so other workers skip it
+                    item.status = 'running';
+                    this.updateCard(item);
+                    await this.captionItem(item, signal);
+                    this.updateCard(item);
+                    this.updateProgress();
+                }
+            };
+            try {
+                await Promise.all(Array.from({ length: this.getConcurrency() }, worker));
+            } finally {
+                this.running = false;
+                this.abortController = null;
+                this.updateProgress();
+            }
+        }
+
+        /**
+         * Stops the batch. Captions in progress are cancelled and go back to the queue.
+         */
+        stop() {
+            this.abortController?.abort();
+        }
+
+        retry(item) {
+            item.status = 'pending';
+            item.error = null;
+            this.updateCard(item);
+            this.updateProgress();
+            if (!this.running) {
+                this.start();
+            }
+        }
+
+        async captionItem(item, signal) {
+            try {
+                const blob = await this.loadImageBlob(item);
+                // Resized in the browser when possible, otherwise sent whole for the server to compress
+                const upload = await MP.ImagePreprocessor.process(blob) ?? await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onloadend = () => resolve({ data: reader.result.split(',')[1], mediaType: blob.type || null, original: true });
+                    reader.onerror = () => reject(new Error('Failed to read image'));
+                    reader.readAsDataURL(blob);
+                });
+                const result = await window.visionTab.requestCaption(upload.data, {
+                    mediaType: upload.mediaType,
+                    preprocessed: !upload.original,
+                    signal,
+                    stream: false
+                });
+                if (result.stopped) {
+                    item.status = 'pending';
+                } else {
+                    item.status = 'done';
+                    item.caption = result.caption;
+                }
+            } catch (error) {
+                console.error(`Batch caption failed for ${item.name}:`, error);
+                item.status = 'error';
+                item.error = error.message;
+            }
+        }
+
+        /**
+         * Gets the image data for an item, fetching history images on demand
+         * @param {Object} item - Batch item
+         * @returns {Promise<Blob>} Image blob
+         */
+        async loadImageBlob(item) {
+            if (item.file) {
+                return item.file;
+            }
+            const response = await fetch(item.url);
+            if (!response.ok) {
+                throw new Error(`Failed to load image (${response.status})`);
+            }
+            return await response.blob();
+        }
+
+        removeItem(item) {
+            if (item.status === 'running') return;
+            this.items = this.items.filter(i => i !== item);
+            if (item.file) {
+                URL.revokeObjectURL(item.thumbnail);
+            }
+            this.elements.grid.querySelector(`.batch-card[data-item-id="${item.id}"]`)?.remove();
+            this.updateProgress();
+        }
+
+        clear() {
+            if (this.running) {
+                showError('Stop the batch before clearing it');
+                return;
+            }
+            if (this.items.some(i => i.status === 'done') && !confirm('Remove all images and captions from the batch?')) {
+                return;
+            }
+            [...this.items].forEach(item => this.removeItem(item));
+        }
+
+        toggleHistoryPanel() {
+            const { historyPanel } = this.elements;
+            const isOpen = historyPanel.style.display === 'block';
+            historyPanel.style.display = isOpen ? 'none' : 'block';
+            if (!isOpen && !this.elements.historyGrid.children.length) {
+                this.loadHistory();
+            }
+        }
+
+        /**
+         * Lists images from SwarmUI's output history in the selected folder
+         */
+        loadHistory() {
+            const { historyGrid, historyPath } = this.elements;
+            historyGrid.innerHTML = '<div class="setting-description">Loading...</div>';
+            genericRequest('ListImages', { path: historyPath.value.trim(), depth: 5, sortBy: 'Date', sortReverse: false }, (data) => {
+                historyGrid.innerHTML = '';
+                const files = (data.files || []).filter(f => /\.(png|jpe?g|webp|gif)$/i.test(f.src)).slice(0, 200);
+                if (!files.length) {
+                    historyGrid.innerHTML = '<div class="setting-description">No images found in this folder</div>';
+                    return;
+                }
+                const prefix = typeof getImageOutPrefix === 'function' ? getImageOutPrefix() : 'Output';
+                for (const file of files) {
+                    const url = `${prefix}/${file.src}`;
+                    const label = document.createElement('label');
+                    label.className = 'batch-history-item';
+                    label.title = file.src;
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.dataset.url = url;
+                    checkbox.dataset.name = file.src;
+                    const image = document.createElement('img');
+                    image.src = url;
+                    image.loading = 'lazy';
+                    image.alt = file.src;
+                    label.append(checkbox, image);
+                    historyGrid.appendChild(label);
+                }
+            }, 0, (error) => {
+                historyGrid.innerHTML = '';
+                showError(`Failed to load image history: ${error}`);
+            });
+        }
+
+        addSelectedHistory() {
+            const selected = [...this.elements.historyGrid.querySelectorAll('input[type="checkbox"]:checked')];
+            if (!selected.length) {
+                showError('Select one or more images first');
+                return;
+            }
+            for (const checkbox of selected) {
+                this.addItem({ name: checkbox.dataset.name, url: checkbox.dataset.url, thumbnail: checkbox.dataset.url });
+                checkbox.checked = false;
+            }
+            this.elements.historyPanel.style.display = 'none';
+            this.updateProgress();
+        }
+
+        getCaptionedItems() {
+            const captioned = this.items.filter(i => i.status === 'done' && i.caption.trim());
+            const missing = this.items.length - captioned.length;
+            if (missing > 0 && !confirm(`${missing} image(s) have no caption and will be left out. Export anyway?`)) {
+                return null;
+            }
+            return captioned;
+        }
+
+        /**
+         * Downloads a zip with a .txt caption next to each image path, optionally with the images themselves
+         */
+        async exportZip() {
+            const captioned = this.getCaptionedItems();
+            if (!captioned?.length) return;
+            const encoder = new TextEncoder();
+            const files = [];
+            try {
+                for (const item of captioned) {
+                    const baseName = item.name.replace(/\.[^./]+$/, '');
+                    files.push({ name: `${baseName}.txt`, data: encoder.encode(item.caption.trim()) });
+                    if (this.elements.includeImages.checked) {
+                        const blob = await this.loadImageBlob(item);
+                        files.push({ name: item.name, data: new Uint8Array(await blob.arrayBuffer()) });
+                    }
+                }
+                this.download(BatchCaptioner.createZip(files), 'captions.zip');
+            } catch (error) {
+                console.error('Batch export error:', error);
+                showError(`Failed to export captions: ${error.message}`);
+            }
+        }
+
+        /**
+         * Downloads a metadata.jsonl manifest with one {file_name, text} line per image
+         */
+        exportJsonl() {
+            const captioned = this.getCaptionedItems();
+            if (!captioned?.length) return;
+            const lines = captioned.map(item => JSON.stringify({ file_name: item.name, text: item.caption.trim() }));
+            this.download(new Blob([lines.join('\n') + '\n'], { type: 'application/jsonl' }), 'metadata.jsonl');
+        }
+
+        download(blob, fileName) {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+
+        /**
+         * Builds an uncompressed (stored) zip archive
+         * @param {Array<{name: string, data: Uint8Array}>} files - Paths and contents
+         * @returns {Blob} Zip file
+         */
+        static createZip(files) {
+            const encoder = new TextEncoder();
+            const parts = [];
+            const centralDirectory = [];
+            let offset = 0;
+            const now = new Date();
+            const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+            const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+            for (const file of files) {
+                const name = encoder.encode(file.name);
+                const crc = this.crc32(file.data);
+                const size = file.data.length;
+                const local = new DataView(new ArrayBuffer(30));
+                local.setUint32(0, 0x04034b50, true);
+                local.setUint16(4, 20, true);
+                local.setUint16(6, 0x0800, true); // UTF-8 file names
+                local.setUint16(10, dosTime, true);
+                local.setUint16(12, dosDate, true);
+                local.setUint32(14, crc, true);
+                local.setUint32(18, size, true);
+                local.setUint32(22, size, true);
+                local.setUint16(26, name.length, true);
+                parts.push(local.buffer, name, file.data);
+                const entry = new DataView(new ArrayBuffer(46));
+                entry.setUint32(0, 0x02014b50, true);
+                entry.setUint16(4, 20, true);
+                entry.setUint16(6, 20, true);
+                entry.setUint16(8, 0x0800, true);
+                entry.setUint16(12, dosTime, true);
+                entry.setUint16(14, dosDate, true);
+                entry.setUint32(16, crc, true);
+                entry.setUint32(20, size, true);
+                entry.setUint32(24, size, true);
+                entry.setUint16(28, name.length, true);
+                entry.setUint32(42, offset, true);
+                centralDirectory.push(entry.buffer, name);
+                offset += 30 + name.length + size;
+            }
+            const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054b50, true);
+            end.setUint16(8, files.length, true);
+            end.setUint16(10, files.length, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+            return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
+        }
+
+        static crc32(data) {
+            if (!this.crcTable) {
+                this.crcTable = new Uint32Array(256);
+                for (let n = 0; n < 256; n++) {
+                    let c = n;
+                    for (let k = 0; k < 8; k++) {
+                        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                    }
+                    this.crcTable[n] = c >>> 0;
+                }
+            }
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < data.length; i++) {
+                crc = this.crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        }
+    }
+}
+
+// Create and initialize batch captioner
+const batchCaptioner = new window.BatchCaptioner();
+document.addEventListener('DOMContentLoaded', () => {
+    batchCaptioner.initialize();
+});
+
+// Export for use in other modules
+window.batchCaptioner = batchCaptioner;
@@ -44,6 +44,8 @@ if (!window.ChatHandler) {
             this.messages = [];
             this.isTyping = false;
             this.lastMessageId = 0;
+            this.abortController = null;
+            this.modelPicker = null;
             // Bind methods
             this.submitInput = this.submitInput.bind(this);
             this.appendMessage = this.appendMessage.bind(this);
@@ -51,6 +53,7 @@ if (!window.ChatHandler) {
             this.regenerateMessage = this.regenerateMessage.bind(this);
             this.handleKeyPress = this.handleKeyPress.bind(this);
             this.handleModeChange = this.handleModeChange.bind(this);
+            this.stopGeneration = this.stopGeneration.bind(this);
         }
 
         initialize() {
@@ -71,6 +74,7 @@ if (!window.ChatHandler) {
                 // Input elements
                 chatInput: getRequiredElementById('chat_llm_textarea'),
                 submitButton: getRequiredElementById('submit_button'),
+                stopButton: getRequiredElementById('stop_button'),
                 // UI elements
                 loadingIndicator: getRequiredElementById('loading_indicator'),
                 settingsButton: getRequiredElementById('settings_button'),
@@ -105,6 +109,7 @@ if (!window.ChatHandler) {
             });
             // Button events
             submitButton.addEventListener('click', this.submitInput);
+            this.elements.stopButton.addEventListener('click', this.stopGeneration);
             const chatSettingsButton = document.getElementById('settings_button');
             if (chatSettingsButton) {
                 chatSettingsButton.onclick = null;
@@ -134,6 +139,11 @@ if (!window.ChatHandler) {
             }
             // Message action delegates
             this.elements.chatMessages.addEventListener('click', (e) => {
+                const codeAction = e.target.closest('.md-code-action');
+                if (codeAction) {
+                    this.handleCodeBlockAction(codeAction);
+                    return;
+                }
                 const actionButton = e.target.closest('.action-button');
                 if (!actionButton) return;
                 const messageEl = actionButton.closest('.chat-message');
@@ -147,9 +157,15 @@ if (!window.ChatHandler) {
                     case 'Use as Prompt':
                         this.useAsPrompt(messageId);
                         break;
-                    case 'Regenerate Image':
+                    case 'Regenerate':
                         this.regenerateMessage(messageId);
                         break;
+                    case 'Regenerate With Model':
+                        this.showModelPicker(messageId, actionButton);
+                        break;
+                    case 'Edit Message':
+                        this.startEditMessage(messageId);
+                        break;
                 }
             });
         }
@@ -182,59 +198,219 @@ if (!window.ChatHandler) {
         }
         
         async submitInput() {
-            const { chatInput, loadingIndicator, visionModeRadio } = this.elements;
+            const { chatInput } = this.elements;
             const input = chatInput.value.trim();
-            if (!input || this.isTyping) return;
+            if (!input || this.isTyping || !this.canSendMessage()) return;
+            // Clear input
+            chatInput.value = '';
+            this.adjustInputHeight();
+            await this.sendUserMessage(input);
+        }
+
+        /**
+         * Checks that a message can be sent in the current mode, explaining why in the chat if not
+         * @returns {boolean} True if a message can be sent
+         */
+        canSendMessage() {
             // Check if we're in vision mode and there's no image
-            const previewImage = document.getElementById('preview_image');
-            if (visionModeRadio.checked && (!previewImage || !previewImage.src)) {
+            if (this.elements.visionModeRadio.checked && !MP.ImageSource.get()) {
                 this.appendMessage('system', 'Please upload an image first to use vision mode.');
-                return;
+                return false;
             }
+            return true;
+        }
+
+        /**
+         * Adds a user message and streams the reply
+         * @param {string} input - Message text
+         * @param {Object} [branchGroup=null] - Branches of an edited message this one replaces
+         */
+        async sendUserMessage(input, branchGroup = null) {
             try {
+                // Capture prior turns before the new message is added
+                const history = this.getConversationHistory();
                 // Show user message
-                this.appendMessage('user', input);
-                // Clear input
-                chatInput.value = '';
-                this.adjustInputHeight();
-                // Create request payload
-                const promptMode = document.getElementById('prompt_mode')?.checked;
-                const visionMode = document.getElementById('vision_mode')?.checked;
-                const currentImage = previewImage?.src ? previewImage.src.split(',')[1] : null;
-                // Determine the feature based on mode
-                const featureAction = visionMode ? 'vision-mode' : (promptMode ? 'prompt-mode' : 'chat-mode');
-                const payload = MP.RequestBuilder.createRequestPayload(
-                    input,
-                    currentImage, // Get image if in vision mode
-                    featureAction
-                );
-                // Show typing indicator
-                loadingIndicator.style.display = 'block';
-                this.isTyping = true;
-                // Make API request
-                const response = await MP.APIClient.makeRequest(payload);
-                if (response.success && response.response) {
-                    this.appendMessage('assistant', response.response);
-                } else {
-                    throw new Error(response.error || 'Failed to get response');
+                const message = this.appendMessage('user', input);
+                if (branchGroup) {
+                    message.branchGroup = branchGroup;
+                    this.renderBranchSwitcher(
+                        this.elements.chatMessages.querySelector(`.chat-message[data-message-id="${message.id}"]`),
+                        message);
                 }
+                const context = await this.createRequestContext(input);
+                await this.streamAssistantReply(this.createReplayPayload(context, input, history), 'Failed to get response', context);
             }
             catch (error) {
                 console.error('Chat submission error:', error);
                 this.appendMessage('system', `Error: ${error.message}`);
             }
+        }
+
+        /**
+         * Captures everything a chat request depends on besides the message text and history,
+         * so the reply can be regenerated exactly even after the mode, image or instructions change
+         * @param {string} input - User message text
+         * @returns {Promise<Object>} Feature key, instruction ID, backend, model, message type, seed and the message content to resend
+         */
+        async createRequestContext(input) {
+            const promptMode = document.getElementById('prompt_mode')?.checked;
+            const visionMode = document.getElementById('vision_mode')?.checked;
+            // In vision mode, send the selected region and the current image plus any images attached for comparison
+            const current = MP.ImageSource.get();
+            const images = visionMode ? await window.visionTab?.getVisionImages() ?? (current ? [{ data: current.data, mediaType: current.mediaType }] : null) : null;
+            // Determine the feature based on mode
+            const featureAction = visionMode ? 'vision-mode' : (promptMode ? 'prompt-mode' : 'chat-mode');
+            const payload = MP.RequestBuilder.createRequestPayload(input, images, featureAction);
+            const regionNote = visionMode ? window.visionTab?.getRegionNote() : '';
+            if (regionNote) {
+                payload.messageContent.instructions = [payload.messageContent.instructions, regionNote].filter(Boolean).join('\n\n');
+            }
+            return {
+                feature: payload.action,
+                instructionId: getInstructionForFeature(payload.action) || payload.action,
+                // The model ID only makes sense on the backend it was picked from, which may change before a regenerate
+                backend: payload.backend ?? (visionMode ? MP.settings.visionbackend : MP.settings.backend),
+                modelId: payload.modelId,
+                messageType: payload.messageType,
+                // Sent with the first request too, so a regenerate with the same model can reproduce it
+                seed: payload.seed ?? Math.floor(Math.random() * 2147483647),
+                media: payload.messageContent.media,
+                instructions: payload.messageContent.instructions,
+                keepAlive: payload.messageContent.KeepAlive,
+                sampling: payload.sampling ?? null,
+                constraint: payload.constraint ?? null
+            };
+        }
+
+        /**
+         * Builds a request payload from a stored request context
+         * @param {Object} context - From createRequestContext
+         * @param {string} input - User message text
+         * @param {Array} history - Prior conversation turns
+         * @param {string} [modelId] - Model to use instead of the original one
+         * @returns {Object} Request payload
+         */
+        createReplayPayload(context, input, history, modelId = null) {
+            const messageContent = {
+                text: input,
+                media: context.media,
+                instructions: context.instructions,
+                KeepAlive: context.keepAlive
+            };
+            if (history?.length) {
+                messageContent.history = history;
+            }
+            const payload = {
+                messageContent,
+                modelId: modelId || context.modelId,
+                messageType: context.messageType,
+                action: context.feature
+            };
+            // Contexts saved before the backend was stored use the current one
+            if (context.backend) {
+                payload.backend = context.backend;
+            }
+            if (context.seed !== -1) {
+                payload.seed = context.seed;
+            }
+            if (context.sampling) {
+                payload.sampling = context.sampling;
+            }
+            if (context.constraint) {
+                payload.constraint = context.constraint;
+            }
+            return payload;
+        }
+
+        /**
+         * Sends a request and renders the assistant reply as it streams in.
+         * Shows the typing indicator and Stop button until the reply is complete.
+         * @param {Object} payload - Request payload from MP.RequestBuilder
+         * @param {string} failureMessage - Error message when the response is empty
+         * @param {Object} [context=null] - Request context stored on the reply so it can be regenerated
+         */
+        async streamAssistantReply(payload, failureMessage, context = null) {
+            const { loadingIndicator, stopButton } = this.elements;
+            let message = null;
+            // Show typing indicator
+            loadingIndicator.style.display = 'block';
+            stopButton.style.display = 'flex';
+            this.isTyping = true;
+            this.abortController = new AbortController();
+            try {
+                const response = await MP.APIClient.makeStreamingRequest(payload, {
+                    signal: this.abortController.signal,
+                    onToken: (chunk, text) => {
+                        if (!message) {
+                            // First chunk replaces the typing indicator with the reply itself
+                            loadingIndicator.style.display = 'none';
+                            message = this.appendMessage('assistant', text, context);
+                        } else {
+                            this.updateMessage(message.id, text);
+                        }
+                    }
+                });
+                if (response.stopped) {
+                    if (!message) {
+                        this.appendMessage('system', 'Generation stopped.');
+                    }
+                } else if (response.success && response.response) {
+                    if (message) {
+                        this.updateMessage(message.id, response.response);
+                    } else {
+                        message = this.appendMessage('assistant', response.response, context);
+                    }
+                    if (response.fallbackFrom?.length) {
+                        // The configured model was unavailable, label the reply with the model that actually wrote it.
+                        // Regenerating still replays the original request so it goes back to the configured model.
+                        message.answeredBy = { backend: response.backend, model: response.model };
+                        const modelLabel = this.elements.chatMessages
+                            .querySelector(`.chat-message[data-message-id="${message.id}"] .message-model`);
+                        if (modelLabel) {
+                            this.renderModelLabel(modelLabel, message);
+                        }
+                    }
+                    this.renderPromptChips(message);
+                } else {
+                    throw new Error(response.error || failureMessage);
+                }
+                this.notifyConversationChanged();
+            }
+            catch (error) {
+                if (message) {
+                    this.removeMessageElement(message.id);
+                }
+                throw error;
+            }
             finally {
                 // Hide typing indicator
                 loadingIndicator.style.display = 'none';
+                stopButton.style.display = 'none';
                 this.isTyping = false;
+                this.abortController = null;
             }
         }
 
+        /**
+         * Stops the reply currently being generated, keeping whatever text has arrived
+         */
+        stopGeneration() {
+            this.abortController?.abort();
+        }
+
         async useAsPrompt(messageId) {
             const message = this.findMessage(messageId);
             if (!message || message.role !== 'assistant') {
                 return;
             }
+            this.sendTextToPrompt(message.content);
+        }
+
+        /**
+         * Switches to the Generate tab and puts text in the prompt box
+         * @param {string} text - Prompt text
+         */
+        sendTextToPrompt(text) {
             try {
                 // Navigate to generate tab if available
                 const generateTab = document.getElementById('generatetabclickable')
@@ -246,7 +422,7 @@ if (!window.ChatHandler) {
                 // Set prompt text
                 const promptBox = document.getElementById('alt_prompt_textbox');
                 if (promptBox) {
-                    promptBox.value = message.content;
+                    promptBox.value = text;
                     triggerChangeFor(promptBox);
                     promptBox.focus();
                     promptBox.setSelectionRange(0, promptBox.value.length);
@@ -258,31 +434,457 @@ if (!window.ChatHandler) {
             }
         }
 
-        appendMessage(role, content) {
+        /**
+         * Pulls individual prompts out of a reply that lists several, e.g. "give me five prompt ideas".
+         * Tries a JSON array first, then quoted blocks, then a numbered list.
+         * @param {string} text - Assistant message text
+         * @returns {string[]} The prompts, or an empty array when the reply doesn't contain at least two
+         */
+        static extractPrompts(text) {
+            const candidates = [
+                ChatHandler.extractJsonPrompts(text),
+                ChatHandler.extractQuotedPrompts(text),
+                ChatHandler.extractNumberedPrompts(text)
+            ];
+            const prompts = candidates.find(list => list.length >= 2) || [];
+            return [...new Set(prompts)];
+        }
+
+        static extractJsonPrompts(text) {
+            const fenced = text.match(/```(?:json)?\s*(\[[\s\S]*?\])\s*```/i);
+            const start = text.indexOf('[');
+            const end = text.lastIndexOf(']');
+            const json = fenced ? fenced[1] : start !== -1 && end > start ? text.slice(start, end + 1) : null;
+            if (!json) return [];
+            try {
+                const parsed = JSON.parse(json);
+                if (!Array.isArray(parsed)) return [];
+                return parsed
+                    .map(item => typeof item === 'string' ? item : item?.prompt ?? item?.positive ?? item?.text)
+                    .filter(item => typeof item === 'string' && item.trim())
+                    .map(item => item.trim());
+            } catch {
+                return [];
+            }
+        }
+
+        /**
+         * Finds prompts written as > blockquotes, fenced blocks or whole lines in double quotes
+         */
+        static extractQuotedPrompts(text) {
+            const prompts = [];
+            let quote = [];
+            const flushQuote = () => {
+                if (quote.length) {
+                    prompts.push(quote.join(' ').trim());
+                    quote = [];
+                }
+            };
+            const lines = text.replace(/\r\n?/g, '\n').split('\n');
+            for (let i = 0; i < lines.length; i++) {
+                const line = lines[i];
+                const fence = line.match(/^\s*```\s*(\S*)\s*$/);
+                if (fence) {
+                    flushQuote();
+                    const block = [];
+                    while (++i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+                        block.push(lines[i]);
+                    }
+                    // Code in other languages isn't a prompt
+                    if (!fence[1] || MarkdownRenderer.isPromptLabel(fence[1]) || /^(text|txt|plaintext)$/i.test(fence[1])) {
+                        prompts.push(block.join('\n').trim());
+                    }
+                    continue;
+                }
+                const blockquote = line.match(/^\s*>\s?(.*)$/);
+                if (blockquote) {
+                    if (blockquote[1].trim()) {
+                        quote.push(blockquote[1].trim());
+                    }
+                    continue;
+                }
+                flushQuote();
+                const quoted = line.match(/^\s*(?:(?:[-*+]|\d+[.)])\s+)?(?:\*\*[^*]+\*\*\s*[:\-–—]?\s*)?["“](.{10,})["”]\s*$/);
+                if (quoted) {
+                    prompts.push(quoted[1].trim());
+                }
+            }
+            flushQuote();
+            return prompts.filter(prompt => prompt);
+        }
+
+        /**
+         * Reads a numbered list, dropping bold titles such as "1. **Neon City**: ..." and joining wrapped lines
+         */
+        static extractNumberedPrompts(text) {
+            const prompts = [];
+            let current = null;
+            for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+                const item = line.match(/^\s*\d+[.)]\s+(.*)$/);
+                if (item) {
+                    current = [item[1]];
+                    prompts.push(current);
+                } else if (current && line.trim() && /^\s/.test(line)) {
+                    current.push(line.trim().replace(/^[-*+]\s+/, ''));
+                } else if (!line.trim() || current) {
+                    current = null;
+                }
+            }
+            return prompts.map(parts => {
+                let prompt = parts.join(' ').trim();
+                const titled = prompt.match(/^\*\*([^*]+)\*\*\s*[:\-–—]?\s*(.*)$/);
+                if (titled && titled[2]) {
+                    prompt = titled[2];
+                }
+                return prompt.replace(/\*\*/g, '').replace(/^["“](.*)["”]$/, '$1').trim();
+            }).filter(prompt => prompt);
+        }
+
+        /**
+         * Shows the prompts found in a reply as chips with send, queue and batch actions
+         * @param {Object} message - Assistant message
+         */
+        renderPromptChips(message) {
+            const contentDiv = this.elements.chatMessages
+                .querySelector(`.chat-message[data-message-id="${message.id}"] .message-content`);
+            if (!contentDiv) return;
+            contentDiv.querySelector('.prompt-chips')?.remove();
+            const prompts = ChatHandler.extractPrompts(message.content);
+            if (!prompts.length) return;
+            const container = document.createElement('div');
+            container.className = 'prompt-chips';
+            const header = document.createElement('div');
+            header.className = 'prompt-chips-header';
+            const title = document.createElement('span');
+            title.textContent = `${prompts.length} prompts found`;
+            const queueAllButton = document.createElement('button');
+            queueAllButton.className = 'basic-button';
+            queueAllButton.textContent = 'Queue All';
+            queueAllButton.title = 'Queue one generation per prompt';
+            queueAllButton.addEventListener('click', () => this.queuePrompts(prompts));
+            const wildcardButton = document.createElement('button');
+            wildcardButton.className = 'basic-button';
+            wildcardButton.textContent = 'As Wildcard';
+            wildcardButton.title = 'Send all prompts as one <random:...> prompt, so each generation picks one';
+            wildcardButton.addEventListener('click', () => {
+                const options = prompts.map(prompt => prompt.replace(/[|<>]/g, ' ').replace(/\s+/g, ' ').trim());
+                this.sendTextToPrompt(`<random:${options.join('|')}>`);
+            });
+            header.append(title, queueAllButton, wildcardButton);
+            container.appendChild(header);
+            for (const prompt of prompts) {
+                const chip = document.createElement('div');
+                chip.className = 'prompt-chip';
+                const label = document.createElement('span');
+                label.className = 'prompt-chip-text';
+                label.textContent = prompt;
+                label.title = prompt;
+                const sendButton = document.createElement('button');
+                sendButton.className = 'action-button prompt-chip-action';
+                sendButton.textContent = '📝';
+                sendButton.title = 'Send to prompt';
+                sendButton.addEventListener('click', () => this.sendTextToPrompt(prompt));
+                const queueButton = document.createElement('button');
+                queueButton.className = 'action-button prompt-chip-action';
+                queueButton.textContent = '▶️';
+                queueButton.title = 'Queue generation';
+                queueButton.addEventListener('click', () => this.queuePrompts([prompt]));
+                chip.append(label, sendButton, queueButton);
+                container.appendChild(chip);
+            }
+            contentDiv.appendChild(container);
+        }
+
+        /**
+         * Queues one generation per prompt using the current Generate tab parameters
+         * @param {string[]} prompts - Prompts to generate
+         */
+        queuePrompts(prompts) {
+            if (typeof mainGenHandler === 'undefined' || typeof mainGenHandler.doGenerate !== 'function') {
+                showError('Unable to queue generations from here, send the prompt to the Generate tab instead');
+                return;
+            }
+            for (const prompt of prompts) {
+                mainGenHandler.doGenerate({ prompt });
+            }
+        }
+
+        /**
+         * Handles the Copy and Use as Prompt buttons on rendered code blocks
+         * @param {HTMLElement} button - The clicked code block button
+         */
+        async handleCodeBlockAction(button) {
+            const code = button.closest('.md-code-block')?.querySelector('pre code')?.textContent;
+            if (code === undefined) return;
+            if (button.dataset.mdAction === 'prompt') {
+                this.sendTextToPrompt(code.trim());
+                return;
+            }
+            try {
+                await navigator.clipboard.writeText(code);
+                button.textContent = 'Copied';
+                setTimeout(() => button.textContent = 'Copy', 1500);
+            } catch (error) {
+                console.error('Copy failed:', error);
+                showError('Failed to copy to clipboard');
+            }
+        }
+
+        /**
+         * Fills a message bubble. Assistant replies are rendered as sanitized Markdown, everything else as plain text.
+         * @param {HTMLElement} contentDiv - The .message-content element
+         * @param {string} role - Message role
+         * @param {string} content - Message text
+         */
+        renderContent(contentDiv, role, content) {
+            if (role === 'assistant' && window.MarkdownRenderer) {
+                contentDiv.classList.add('markdown-content');
+                contentDiv.innerHTML = MarkdownRenderer.render(content);
+            } else {
+                contentDiv.textContent = content;
+            }
+        }
+
+        /**
+         * Adds a message to the conversation and the chat
+         * @param {string} role - 'user', 'assistant' or 'system'
+         * @param {string} content - Message text
+         * @param {Object} [request=null] - Request context the reply was generated with
+         * @returns {Object} The new message
+         */
+        appendMessage(role, content, request = null) {
             const messageId = ++this.lastMessageId;
             const message = { id: messageId, role, content, timestamp: new Date() };
+            if (request) {
+                message.request = request;
+            }
             this.messages.push(message);
+            this.renderMessageElement(message);
+            return message;
+        }
+
+        /**
+         * Adds the element for a message to the end of the chat
+         * @param {Object} message - Message from this.messages
+         */
+        renderMessageElement(message) {
+            const { role } = message;
             // Clone template
             const template = this.elements.messageTemplate.content.cloneNode(true);
             const messageDiv = template.querySelector('.chat-message');
-            messageDiv.dataset.messageId = messageId;
+            messageDiv.dataset.messageId = message.id;
             messageDiv.classList.add(`${role}-message`);
             // Set avatar
             const avatar = messageDiv.querySelector('.avatar');
             avatar.textContent = role === 'user' ? '👤' : role === 'assistant' ? '🤖' : '⚠️';
             // Set content
             const contentDiv = messageDiv.querySelector('.message-content');
-            contentDiv.textContent = content;
-            // Hide actions for non-assistant messages
-            if (role !== 'assistant') {
-                messageDiv.querySelector('.message-actions')?.remove();
+            this.renderContent(contentDiv, role, message.content);
+            // User messages can be edited, system messages have no actions
+            const actions = messageDiv.querySelector('.message-actions');
+            if (role === 'user') {
+                actions.innerHTML = '';
+                const editButton = document.createElement('button');
+                editButton.className = 'action-button';
+                editButton.dataset.tooltip = 'Edit Message';
+                editButton.textContent = '✏️';
+                actions.appendChild(editButton);
+                this.renderBranchSwitcher(messageDiv, message);
+            } else if (role === 'assistant') {
+                // Show which model wrote the reply, useful when comparing regenerations
+                if (message.request?.modelId) {
+                    const modelLabel = document.createElement('span');
+                    modelLabel.className = 'message-model';
+                    this.renderModelLabel(modelLabel, message);
+                    actions.prepend(modelLabel);
+                }
+            } else {
+                actions?.remove();
             }
             this.elements.chatMessages.appendChild(messageDiv);
             this.scrollToBottom();
         }
 
-        clearMessage(messageId) {
+        /**
+         * Sets the model label of an assistant reply, marking replies that came from a fallback provider
+         * @param {HTMLElement} modelLabel - The .message-model element
+         * @param {Object} message - Assistant message
+         */
+        renderModelLabel(modelLabel, message) {
+            if (message.answeredBy) {
+                modelLabel.textContent = `↪ ${message.answeredBy.model}`;
+                modelLabel.title = `Answered by ${MP.backendLabels[message.answeredBy.backend] || message.answeredBy.backend} because ${message.request.modelId} was unavailable`;
+            } else {
+                modelLabel.textContent = message.request.modelId;
+                modelLabel.title = '';
+            }
+        }
+
+        /**
+         * Shows ‹ 1/2 › arrows on a user message that has been edited, to flip between the versions of the conversation
+         * @param {HTMLElement} messageDiv - The message element
+         * @param {Object} message - User message
+         */
+        renderBranchSwitcher(messageDiv, message) {
+            const group = message.branchGroup;
+            if (!group || group.tails.length < 2) return;
+            const switcher = document.createElement('div');
+            switcher.className = 'branch-switcher';
+            const previousButton = document.createElement('button');
+            previousButton.className = 'branch-switcher-button';
+            previousButton.textContent = '‹';
+            previousButton.title = 'Previous version';
+            previousButton.disabled = group.active === 0;
+            previousButton.addEventListener('click', () => this.switchBranch(message.id, group.active - 1));
+            const label = document.createElement('span');
+            label.textContent = `${group.active + 1}/${group.tails.length}`;
+            const nextButton = document.createElement('button');
+            nextButton.className = 'branch-switcher-button';
+            nextButton.textContent = '›';
+            nextButton.title = 'Next version';
+            nextButton.disabled = group.active === group.tails.length - 1;
+            nextButton.addEventListener('click', () => this.switchBranch(message.id, group.active + 1));
+            switcher.append(previousButton, label, nextButton);
+            messageDiv.querySelector('.message-actions').appendChild(switcher);
+        }
+
+        /**
+         * Redraws every message, used after switching branches
+         */
+        renderConversation() {
+            this.elements.chatMessages.innerHTML = '';
+            for (const message of this.messages) {
+                this.renderMessageElement(message);
+                if (message.role === 'assistant') {
+                    this.renderPromptChips(message);
+                }
+            }
+        }
+
+        /**
+         * Replaces a user message's text with an inline editor
+         * @param {number|string} messageId - User message to edit
+         */
+        startEditMessage(messageId) {
+            const message = this.findMessage(messageId);
+            if (!message || message.role !== 'user') return;
+            const messageDiv = this.elements.chatMessages.querySelector(`.chat-message[data-message-id="${message.id}"]`);
+            const contentDiv = messageDiv?.querySelector('.message-content');
+            if (!contentDiv || contentDiv.querySelector('.message-edit-input')) return;
+            contentDiv.innerHTML = '';
+            const input = document.createElement('textarea');
+            input.className = 'message-edit-input';
+            input.value = message.content;
+            input.rows = Math.min(10, Math.max(2, message.content.split('\n').length));
+            const buttons = document.createElement('div');
+            buttons.className = 'message-edit-buttons';
+            const cancelButton = document.createElement('button');
+            cancelButton.className = 'basic-button';
+            cancelButton.textContent = 'Cancel';
+            const sendButton = document.createElement('button');
+            sendButton.className = 'basic-button';
+            sendButton.textContent = 'Save & Submit';
+            buttons.append(cancelButton, sendButton);
+            contentDiv.append(input, buttons);
+            const cancel = () => this.renderContent(contentDiv, message.role, message.content);
+            const send = () => {
+                const text = input.value.trim();
+                if (!text || text === message.content) {
+                    cancel();
+                    return;
+                }
+                this.resubmitEditedMessage(message.id, text);
+            };
+            cancelButton.addEventListener('click', cancel);
+            sendButton.addEventListener('click', send);
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    send();
+                } else if (e.key === 'Escape') {
+                    cancel();
+                }
+            });
+            input.focus();
+            input.setSelectionRange(input.value.length, input.value.length);
+        }
+
+        /**
+         * Drops everything from an edited message onward and sends the new text.
+         * The dropped messages are kept as a branch so they can be switched back to.
+         * @param {number} messageId - User message being edited
+         * @param {string} text - New message text
+         */
+        async resubmitEditedMessage(messageId, text) {
+            if (this.isTyping) {
+                showError('Wait for the current reply to finish before editing a message');
+                return;
+            }
+            const index = this.messages.findIndex(m => m.id === parseInt(messageId));
+            if (index === -1 || !this.canSendMessage()) return;
+            const group = this.messages[index].branchGroup || { tails: [], active: 0 };
+            group.tails[group.active] = this.messages.slice(index);
+            group.active = group.tails.length;
+            group.tails.push([]);
+            this.messages = this.messages.slice(0, index);
+            this.renderConversation();
+            await this.sendUserMessage(text, group);
+            group.tails[group.active] = this.messages.slice(index);
+        }
+
+        /**
+         * Shows another version of the conversation from an edited message onward
+         * @param {number} messageId - User message with the branch switcher
+         * @param {number} target - Index of the branch to show
+         */
+        switchBranch(messageId, target) {
+            if (this.isTyping) {
+                showError('Wait for the current reply to finish before switching versions');
+                return;
+            }
+            const index = this.messages.findIndex(m => m.id === parseInt(messageId));
+            const group = this.messages[index]?.branchGroup;
+            if (!group || target < 0 || target >= group.tails.length || target === group.active) return;
+            group.tails[group.active] = this.messages.slice(index);
+            group.active = target;
+            this.messages = [...this.messages.slice(0, index), ...group.tails[target]];
+            this.renderConversation();
+            this.notifyConversationChanged();
+        }
+
+        /**
+         * Replaces the text of an existing message, used while a reply streams in
+         * @param {number} messageId - Message to update
+         * @param {string} content - Full message text so far
+         */
+        updateMessage(messageId, content) {
+            const message = this.findMessage(messageId);
+            if (!message) return;
+            message.content = content;
+            const contentDiv = this.elements.chatMessages
+                .querySelector(`.chat-message[data-message-id="${messageId}"] .message-content`);
+            if (contentDiv) {
+                this.renderContent(contentDiv, message.role, content);
+            }
+            this.scrollToBottom();
+        }
+
+        /**
+         * Removes a single message from the conversation and the DOM
+         * @param {number} messageId - Message to remove
+         */
+        removeMessageElement(messageId) {
             const messageIndex = this.messages.findIndex(m => m.id === parseInt(messageId));
+            if (messageIndex !== -1) {
+                this.messages.splice(messageIndex, 1);
+            }
+            this.elements.chatMessages
+                .querySelector(`.chat-message[data-message-id="${messageId}"]`)
+                ?.remove();
+        }
+
+        clearMessage(messageId) {
+            let messageIndex = this.messages.findIndex(m => m.id === parseInt(messageId));
             if (messageIndex === -1) return;
             const message = this.messages[messageIndex];
             // If assistant message, also remove preceding user message
@@ -293,6 +895,8 @@ if (!window.ChatHandler) {
                         .querySelector(`.chat-message[data-message-id="${userMessage.id}"]`)
                         ?.remove();
                     this.messages.splice(messageIndex - 1, 1);
+                    // The reply moved up into the removed message's place
+                    messageIndex--;
                 }
             }
             // Remove message
@@ -300,54 +904,224 @@ if (!window.ChatHandler) {
             this.elements.chatMessages
                 .querySelector(`.chat-message[data-message-id="${messageId}"]`)
                 ?.remove();
+            this.notifyConversationChanged();
         }
 
-        async regenerateMessage(messageId) {
+        /**
+         * Replaces the current conversation with saved messages without triggering a save
+         * @param {Array<{role: string, content: string, timestamp: string}>} messages - Saved messages, oldest first
+         */
+        loadConversation(messages) {
+            this.clearConversation(false);
+            for (const saved of messages) {
+                const message = this.appendMessage(saved.role, saved.content);
+                if (saved.timestamp) {
+                    message.timestamp = new Date(saved.timestamp);
+                }
+                if (message.role === 'assistant') {
+                    this.renderPromptChips(message);
+                }
+            }
+        }
+
+        /**
+         * Removes every message from the chat
+         * @param {boolean} [notify=true] - Whether to announce the change to listeners such as the sessions sidebar
+         */
+        clearConversation(notify = true) {
+            this.stopGeneration();
+            this.messages = [];
+            this.elements.chatMessages.innerHTML = '';
+            if (notify) {
+                this.notifyConversationChanged();
+            }
+        }
+
+        /**
+         * Lets other modules know the saved form of the conversation is out of date
+         */
+        notifyConversationChanged() {
+            document.dispatchEvent(new CustomEvent('mpConversationChanged', {
+                detail: { messageCount: this.messages.length }
+            }));
+        }
+
+        /**
+         * Generates a new reply to the same user message. The request context stored on the reply is replayed,
+         * so the same feature, instructions, image(s), backend, model and seed are used even if the mode or image
+         * has changed since. The old reply is kept as a branch.
+         * @param {number|string} messageId - Assistant message to regenerate
+         * @param {string} [modelId=null] - Model to use instead of the original one, for comparison
+         */
+        async regenerateMessage(messageId, modelId = null) {
             const message = this.findMessage(messageId);
             if (!message) return;
+            if (this.isTyping) {
+                showError('Wait for the current reply to finish before regenerating');
+                return;
+            }
             // Find associated user message
             const userMessage = this.findPrecedingUserMessage(messageId);
             if (!userMessage) {
                 showError('Cannot find original message to regenerate');
                 return;
             }
-            // Remove only the assistant's message
-            const assistantMessageElement = this.elements.chatMessages
-                .querySelector(`.chat-message[data-message-id="${messageId}"]`);
-            assistantMessageElement?.remove();
-            // Remove the assistant message from the messages array
-            const messageIndex = this.messages.findIndex(m => m.id === parseInt(messageId));
-            if (messageIndex !== -1) {
-                this.messages.splice(messageIndex, 1);
-            }
-
             try {
-                const checkedButton = document.querySelector('input[name="chat_mode"]:checked');
-                const chatMode = checkedButton
-                    ? document.querySelector(`label[for="${checkedButton.id}"]`).textContent.toLowerCase() : null;
-                const payload = MP.RequestBuilder.createRequestPayload(
-                    userMessage.content,
-                    null,
-                    chatMode
-                );
-                // Show typing indicator animation
-                this.elements.loadingIndicator.style.display = 'block';
-                this.isTyping = true;
-                const response = await MP.APIClient.makeRequest(payload);
-                if (response.success && response.response) {
-                    this.appendMessage('assistant', response.response);
-                } else {
-                    throw new Error(response.error || 'Failed to regenerate response');
-                }
+                // Replies from saved conversations have no stored context, rebuild it from the current mode
+                if (!message.request && !this.canSendMessage()) return;
+                const context = message.request || await this.createRequestContext(userMessage.content);
+                const history = this.getConversationHistory(userMessage.id);
+                const payload = this.createReplayPayload(context, userMessage.content, history, modelId);
+                // Keep the old reply as a branch on the user message
+                const index = this.messages.indexOf(userMessage);
+                const group = userMessage.branchGroup || { tails: [], active: 0 };
+                group.tails[group.active] = this.messages.slice(index);
+                group.active = group.tails.length;
+                group.tails.push([userMessage]);
+                userMessage.branchGroup = group;
+                this.messages = this.messages.slice(0, index + 1);
+                this.renderConversation();
+                await this.streamAssistantReply(payload, 'Failed to regenerate response', { ...context, modelId: payload.modelId });
+                group.tails[group.active] = this.messages.slice(index);
             }
             catch (error) {
                 console.error('Message regeneration error:', error);
                 this.appendMessage('system', `Error: ${error.message}`);
             }
-            finally {
-                this.elements.loadingIndicator.style.display = 'none';
-                this.isTyping = false;
+        }
+
+        /**
+         * Opens a popover listing the models of the reply's type, to regenerate it with another one
+         * @param {number|string} messageId - Assistant message to regenerate
+         * @param {HTMLElement} button - Button to position the popover next to
+         */
+        showModelPicker(messageId, button) {
+            const message = this.findMessage(messageId);
+            if (!message) return;
+            const isVision = (message.request?.messageType || (this.elements.visionModeRadio.checked ? 'Vision' : 'Text')) === 'Vision';
+            const useVisionSelect = isVision && !MP.settings.linkChatAndVisionModels;
+            const sourceSelect = document.getElementById(useVisionSelect ? 'visionModel' : 'modelSelect');
+            const listedBackend = useVisionSelect ? MP.settings.visionbackend : MP.settings.backend;
+            const backend = message.request?.backend || listedBackend;
+            if (backend === listedBackend && !sourceSelect?.options.length) {
+                showError('No models loaded, open the settings and pick a backend first');
+                return;
             }
+            if (!this.modelPicker) {
+                this.modelPicker = document.createElement('div');
+                this.modelPicker.className = 'magicprompt prompt-settings-panel regenerate-model-panel';
+                this.modelPicker.innerHTML = `
+                    <div class="settings-panel-header">
+                        <h3>Regenerate With Model</h3>
+                        <button class="panel-close-btn">×</button>
+                    </div>
+                    <div class="settings-panel-body">
+                        <div class="feature-setting">
+                            <select class="feature-select regenerate-model-select"></select>
+                            <div class="setting-description">The reply is regenerated on the same backend with the same instructions, image and seed. The current reply is kept, use the arrows on your message to compare.</div>
+                        </div>
+                        <button class="basic-button regenerate-model-submit">Regenerate</button>
+                    </div>
+                `;
+                document.body.appendChild(this.modelPicker);
+                this.modelPicker.querySelector('.panel-close-btn').addEventListener('click', () => {
+                    this.modelPicker.style.display = 'none';
+                });
+                this.modelPicker.querySelector('.regenerate-model-submit').addEventListener('click', () => {
+                    this.modelPicker.style.display = 'none';
+                    this.regenerateMessage(this.modelPicker.dataset.messageId,
+                        this.modelPicker.querySelector('.regenerate-model-select').value);
+                });
+                // Close panel when clicking outside
+                document.addEventListener('click', (e) => {
+                    if (this.modelPicker.style.display === 'block' && !this.modelPicker.contains(e.target)
+                        && !e.target.closest('.action-button[data-tooltip="Regenerate With Model"]')) {
+                        this.modelPicker.style.display = 'none';
+                    }
+                });
+            }
+            const select = this.modelPicker.querySelector('.regenerate-model-select');
+            this.modelPicker.dataset.messageId = message.id;
+            if (backend === listedBackend) {
+                select.innerHTML = sourceSelect.innerHTML;
+                select.value = message.request?.modelId || sourceSelect.value;
+            } else {
+                // The reply came from another backend than the one selected now, list that backend's models instead
+                select.innerHTML = '';
+                select.add(new Option('Loading models...', ''));
+                MP.APIClient.getBackendModels(backend, isVision).then((models) => {
+                    if (this.modelPicker.dataset.messageId !== String(message.id)) return;
+                    select.innerHTML = '';
+                    for (const entry of models) {
+                        select.add(new Option(entry.name || entry.model, entry.model));
+                    }
+                    select.value = message.request.modelId;
+                }).catch((error) => {
+                    select.innerHTML = '';
+                    select.add(new Option('Failed to load models', ''));
+                    console.error(`Failed to load models for ${backend}:`, error);
+                });
+            }
+            positionPanelNearButton(this.modelPicker, button);
+            this.modelPicker.style.display = 'block';
+        }
+
+        /**
+         * Builds the prior conversation turns to send along with a request.
+         * Only completed user/assistant exchanges are included, trimmed to the
+         * turn and token budget from MP.settings.chatHistory.
+         * @param {number|string|null} [beforeMessageId=null] - Only include messages before this one
+         * @returns {Array<{role: string, content: string}>} Turns, oldest first
+         */
+        getConversationHistory(beforeMessageId = null) {
+            const config = MP.settings.chatHistory || {};
+            const maxTurns = Number.isInteger(config.maxTurns) ? config.maxTurns : 10;
+            const maxTokens = Number.isInteger(config.maxTokens) ? config.maxTokens : 4000;
+            if (maxTurns <= 0) return [];
+            let messages = this.messages;
+            if (beforeMessageId !== null) {
+                const endIndex = messages.findIndex(m => m.id === parseInt(beforeMessageId));
+                if (endIndex !== -1) {
+                    messages = messages.slice(0, endIndex);
+                }
+            }
+            // Pair each user message with the assistant reply that follows it
+            const pairs = [];
+            for (let i = 0; i < messages.length - 1; i++) {
+                if (messages[i].role === 'user' && messages[i + 1].role === 'assistant') {
+                    pairs.push([messages[i], messages[i + 1]]);
+                    i++;
+                }
+            }
+            // Rough estimate, good enough for budgeting without a tokenizer
+            const estimateTokens = pair => pair.reduce((sum, m) => sum + Math.ceil(m.content.length / 4), 0);
+            const keepFirst = config.truncation === 'keep-first' && pairs.length > 0;
+            const first = keepFirst ? pairs.shift() : null;
+            let budget = maxTokens > 0 ? maxTokens : Infinity;
+            // Servers that report their context size (llama.cpp, KoboldCpp) get at most half of it, leaving room for the instructions and reply
+            const backend = document.getElementById('vision_mode')?.checked ? MP.settings.visionbackend : MP.settings.backend;
+            const contextLength = MP.APIClient.backendProps?.[backend]?.contextLength;
+            if (contextLength > 0) {
+                budget = Math.min(budget, Math.floor(contextLength / 2));
+            }
+            let slots = maxTurns;
+            if (first) {
+                budget -= estimateTokens(first);
+                slots--;
+            }
+            // Walk backwards so the most recent turns are kept first
+            const kept = [];
+            for (let i = pairs.length - 1; i >= 0 && slots > 0; i--) {
+                const cost = estimateTokens(pairs[i]);
+                if (cost > budget) break;
+                budget -= cost;
+                slots--;
+                kept.unshift(pairs[i]);
+            }
+            if (first && budget >= 0) {
+                kept.unshift(first);
+            }
+            return kept.flat().map(m => ({ role: m.role, content: m.content }));
         }
 
         findMessage(messageId) {
@@ -383,31 +1157,6 @@ document.addEventListener('DOMContentLoaded', () => {
 // Export for use in other modules
 window.chatHandler = chatHandler;
 
-// Global functions for message actions
-window.clearMessage = function(button) {
-    const messageDiv = button.closest('.chat-message');
-    const messageId = messageDiv?.dataset.messageId;
-    if (messageId) {
-        chatHandler.clearMessage(messageId);
-    }
-};
-
-window.sendToPrompt = function(button) {
-    const messageDiv = button.closest('.chat-message');
-    const messageId = messageDiv?.dataset.messageId;
-    if (messageId) {
-        chatHandler.useAsPrompt(messageId);
-    }
-};
-
-window.regenerate = function(button) {
-    const messageDiv = button.closest('.chat-message');
-    const messageId = messageDiv?.dataset.messageId;
-    if (messageId) {
-        chatHandler.regenerateMessage(messageId);
-    }
-};
-
 /**
  * Handler for chat submission
  */
@@ -0,0 +1,310 @@
+/**
+ * compare.js
+ * Side-by-side model comparison for the MagicPrompt extension.
+ * Sends the same input and instruction to two to four models, on any configured backends, in parallel
+ * and shows the replies in columns with their latency and token counts.
+ */
+
+'use strict';
+
+// Initialize ModelComparer only if it doesn't exist
+if (!window.ModelComparer) {
+    window.ModelComparer = class ModelComparer {
+        static MIN_SLOTS = 2;
+        static MAX_SLOTS = 4;
+        static STORAGE_KEY = 'magicprompt_compare_slots';
+
+        /** Features whose instructions can be compared, keys match DEFAULT_FEATURE_MAPPINGS */
+        static FEATURES = [
+            { key: 'prompt-mode', label: 'Prompt Mode' },
+            { key: 'enhance-prompt', label: 'Enhance Prompt' },
+            { key: 'chat-mode', label: 'Chat' }
+        ];
+
+        constructor() {
+            this.slots = [];
+            this.abortController = null;
+            this.elements = {};
+            // Bind methods
+            this.open = this.open.bind(this);
+            this.close = this.close.bind(this);
+            this.run = this.run.bind(this);
+        }
+
+        initialize() {
+            try {
+                this.elements = {
+                    overlay: getRequiredElementById('compare_overlay'),
+                    openButton: getRequiredElementById('compare_button'),
+                    closeButton: getRequiredElementById('compare_close_btn'),
+                    input: getRequiredElementById('compare_input'),
+                    featureSelect: getRequiredElementById('compare_feature'),
+                    addSlotButton: getRequiredElementById('compare_add_slot_btn'),
+                    runButton: getRequiredElementById('compare_run_btn'),
+                    stopButton: getRequiredElementById('compare_stop_btn'),
+                    slots: getRequiredElementById('compare_slots')
+                };
+                for (const feature of ModelComparer.FEATURES) {
+                    this.elements.featureSelect.add(new Option(feature.label, feature.key));
+                }
+                this.elements.openButton.addEventListener('click', this.open);
+                this.elements.closeButton.addEventListener('click', this.close);
+                this.elements.overlay.addEventListener('click', (e) => {
+                    if (e.target === this.elements.overlay) this.close();
+                });
+                this.elements.addSlotButton.addEventListener('click', () => {
+                    this.addSlot(MP.settings.backend, '');
+                    this.saveSlots();
+                });
+                this.elements.runButton.addEventListener('click', this.run);
+                this.elements.stopButton.addEventListener('click', () => this.abortController?.abort());
+                this.elements.input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                        e.preventDefault();
+                        this.run();
+                    }
+                });
+            } catch (error) {
+                console.error('Failed to initialize model comparison:', error);
+            }
+        }
+
+        /**
+         * Opens the panel, starting from the chat box text and the last models compared
+         */
+        open() {
+            const { overlay, input, slots } = this.elements;
+            const chatText = document.getElementById('chat_llm_textarea')?.value.trim();
+            if (chatText && !input.value.trim()) {
+                input.value = chatText;
+            }
+            if (!this.slots.length) {
+                slots.innerHTML = '';
+                const saved = this.loadSlots();
+                const initial = saved.length >= ModelComparer.MIN_SLOTS ? saved : [
+                    { backend: MP.settings.backend, model: MP.settings.model },
+                    { backend: MP.settings.backend, model: '' }
+                ];
+                initial.slice(0, ModelComparer.MAX_SLOTS).forEach(slot => this.addSlot(slot.backend, slot.model));
+            }
+            overlay.style.display = 'flex';
+            input.focus();
+        }
+
+        close() {
+            this.abortController?.abort();
+            this.elements.overlay.style.display = 'none';
+        }
+
+        loadSlots() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(ModelComparer.STORAGE_KEY) || '[]');
+                return Array.isArray(saved) ? saved.filter(slot => MP.settings.backends[slot?.backend]) : [];
+            } catch {
+                return [];
+            }
+        }
+
+        saveSlots() {
+            // Columns still loading their model list keep the model they were opened with
+            const slots = this.slots.map(slot => ({ backend: slot.backendSelect.value, model: slot.modelSelect.value || slot.pendingModel || '' }));
+            localStorage.setItem(ModelComparer.STORAGE_KEY, JSON.stringify(slots));
+        }
+
+        /**
+         * Adds a column with its own backend and model
+         * @param {string} backend - Backend ID
+         * @param {string} model - Model ID to select once the list has loaded
+         */
+        addSlot(backend, model) {
+            if (this.slots.length >= ModelComparer.MAX_SLOTS) return;
+            const column = document.createElement('div');
+            column.className = 'compare-column';
+            column.innerHTML = `
+                <div class="compare-column-header">
+                    <select class="form-select compare-backend-select"></select>
+                    <select class="form-select compare-model-select"></select>
+                    <button class="panel-close-btn compare-remove-btn" title="Remove">×</button>
+                </div>
+                <div class="compare-output"></div>
+                <div class="compare-column-footer">
+                    <span class="compare-stats"></span>
+                    <button class="basic-button compare-use-btn" disabled>Use This One</button>
+                </div>
+            `;
+            const slot = {
+                element: column,
+                backendSelect: column.querySelector('.compare-backend-select'),
+                modelSelect: column.querySelector('.compare-model-select'),
+                output: column.querySelector('.compare-output'),
+                stats: column.querySelector('.compare-stats'),
+                useButton: column.querySelector('.compare-use-btn'),
+                pendingModel: model,
+                text: ''
+            };
+            for (const backendId of Object.keys(MP.settings.backends)) {
+                slot.backendSelect.add(new Option(MP.backendLabels?.[backendId] || backendId, backendId));
+            }
+            slot.backendSelect.value = MP.settings.backends[backend] ? backend : MP.settings.backend;
+            slot.backendSelect.addEventListener('change', () => {
+                slot.pendingModel = '';
+                this.populateModels(slot, '');
+                this.saveSlots();
+            });
+            slot.modelSelect.addEventListener('change', () => this.saveSlots());
+            column.querySelector('.compare-remove-btn').addEventListener('click', () => this.removeSlot(slot));
+            slot.useButton.addEventListener('click', () => {
+                window.chatHandler?.sendTextToPrompt(slot.text);
+                this.close();
+            });
+            this.slots.push(slot);
+            this.elements.slots.appendChild(column);
+            this.updateSlotButtons();
+            this.populateModels(slot, model);
+        }
+
+        removeSlot(slot) {
+            if (this.slots.length <= ModelComparer.MIN_SLOTS) return;
+            this.slots = this.slots.filter(s => s !== slot);
+            slot.element.remove();
+            this.updateSlotButtons();
+            this.saveSlots();
+        }
+
+        updateSlotButtons() {
+            this.elements.addSlotButton.disabled = this.slots.length >= ModelComparer.MAX_SLOTS;
+            this.slots.forEach(slot => {
+                slot.element.querySelector('.compare-remove-btn').disabled = this.slots.length <= ModelComparer.MIN_SLOTS;
+            });
+        }
+
+        async populateModels(slot, model) {
+            const backend = slot.backendSelect.value;
+            const { modelSelect } = slot;
+            modelSelect.innerHTML = '';
+            modelSelect.add(new Option('Loading models...', ''));
+            modelSelect.disabled = true;
+            try {
+                const models = await MP.APIClient.getBackendModels(backend);
+                // The backend may have changed while loading
+                if (slot.backendSelect.value !== backend) return;
+                modelSelect.innerHTML = '';
+                modelSelect.add(new Option('-- Select a model --', ''));
+                const seen = new Set();
+                for (const entry of models) {
+                    if (!entry.model || seen.has(entry.model)) continue;
+                    seen.add(entry.model);
+                    modelSelect.add(new Option(entry.name || entry.model, entry.model));
+                }
+                if (model && seen.has(model)) {
+                    modelSelect.value = model;
+                }
+                slot.pendingModel = '';
+            } catch (error) {
+                modelSelect.innerHTML = '';
+                modelSelect.add(new Option('Failed to load models', ''));
+                slot.output.textContent = error.message;
+            } finally {
+                modelSelect.disabled = false;
+            }
+        }
+
+        /**
+         * Sends the input to every column at once
+         */
+        async run() {
+            const { input, featureSelect, runButton, stopButton } = this.elements;
+            const text = input.value.trim();
+            if (!text) {
+                showError('Enter something to send to the models first');
+                return;
+            }
+            const slots = this.slots.filter(slot => slot.modelSelect.value);
+            if (slots.length < ModelComparer.MIN_SLOTS) {
+                showError('Pick a model in at least two columns to compare');
+                return;
+            }
+            const feature = featureSelect.value;
+            const instructionId = getInstructionForFeature(feature) || feature;
+            const instructions = getInstructionContent(instructionId);
+            const sampling = getInstructionSampling(instructionId);
+            const constraint = getInstructionConstraint(instructionId);
+            this.abortController = new AbortController();
+            runButton.disabled = true;
+            stopButton.style.display = 'inline-block';
+            try {
+                await Promise.all(slots.map(slot => this.runSlot(slot, text, feature, instructions, sampling, constraint, this.abortController.signal)));
+            } finally {
+                runButton.disabled = false;
+                stopButton.style.display = 'none';
+                this.abortController = null;
+            }
+        }
+
+        /**
+         * Runs one column's request and shows the reply with its latency and token count
+         */
+        async runSlot(slot, text, feature, instructions, sampling, constraint, signal) {
+            const backend = slot.backendSelect.value;
+            const payload = {
+                messageContent: {
+                    text,
+                    media: null,
+                    instructions,
+                    KeepAlive: backend === 'ollama' && MP.settings.backends[backend]?.unloadModel ? 0 : null
+                },
+                modelId: slot.modelSelect.value,
+                messageType: 'Text',
+                action: feature,
+                backend,
+                // A column that quietly answered with another model would make the comparison meaningless
+                fallback: false
+            };
+            if (sampling) {
+                payload.sampling = sampling;
+            }
+            if (constraint) {
+                payload.constraint = constraint;
+            }
+            slot.text = '';
+            slot.useButton.disabled = true;
+            slot.element.classList.remove('error');
+            slot.element.classList.add('loading');
+            slot.output.textContent = 'Waiting for reply...';
+            slot.stats.textContent = '';
+            const started = performance.now();
+            try {
+                const response = await MP.APIClient.makeRequest(payload, { signal });
+                const seconds = ((performance.now() - started) / 1000).toFixed(1);
+                if (response.stopped) {
+                    slot.output.textContent = 'Stopped.';
+                    return;
+                }
+                slot.text = response.response.trim();
+                slot.output.textContent = slot.text;
+                slot.useButton.disabled = !slot.text;
+                // Fall back to a rough estimate when the backend doesn't report usage
+                const tokens = response.usage?.completionTokens ?? `~${Math.ceil(slot.text.length / 4)}`;
+                slot.stats.textContent = `${seconds}s · ${tokens} tokens`;
+                slot.stats.title = response.usage?.promptTokens != null
+                    ? `${response.usage.promptTokens} prompt tokens, ${response.usage.completionTokens ?? '?'} reply tokens`
+                    : 'Estimated reply length, this backend does not report token usage';
+            } catch (error) {
+                slot.element.classList.add('error');
+                slot.output.textContent = error.message;
+                slot.stats.textContent = `${((performance.now() - started) / 1000).toFixed(1)}s`;
+            } finally {
+                slot.element.classList.remove('loading');
+            }
+        }
+    }
+}
+
+// Create and initialize model comparer
+const modelComparer = new window.ModelComparer();
+document.addEventListener('DOMContentLoaded', () => {
+    modelComparer.initialize();
+});
+
+// Export for use in other modules
+window.modelComparer = modelComparer;
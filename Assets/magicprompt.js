@@ -19,6 +19,9 @@ if (!window.MP) {
             visionbackend: 'ollama',
             visionmodel: '',
             linkChatAndVisionModels: true, // Default to true
+            streamResponses: true, // Render responses token by token
+            featureRouting: {}, // Backend and model pinned per feature, e.g. { 'random-prompt': { backend, model } }
+            fallbackChain: [], // Backend+model pairs tried in order when the backend is down, over quota or times out
             // Backend configurations
             backends: {
                 ollama: {
@@ -40,6 +43,16 @@ if (!window.MP) {
                     },
                     apikey: ''
                 },
+                llamacpp: {
+                    baseurl: 'http://localhost:8080',
+                    timeout: 60,
+                    endpoints: {
+                        chat: '/v1/chat/completions',
+                        models: '/v1/models',
+                        props: '/props'
+                    },
+                    apikey: ''
+                },
                 openai: {
                     baseurl: 'https://api.openai.com',
                     timeout: 20,
@@ -66,8 +79,42 @@ if (!window.MP) {
                         models: '/api/v1/models'
                     },
                     apikey: ''
+                },
+                gemini: {
+                    baseurl: 'https://generativelanguage.googleapis.com',
+                    timeout: 20,
+                    endpoints: {
+                        chat: '/v1beta/models/{model}:generateContent',
+                        models: '/v1beta/models?pageSize=1000'
+                    },
+                    apikey: ''
+                },
+                mock: {
+                    baseurl: 'mock://local',
+                    timeout: 10,
+                    latency: 400, // Milliseconds before the reply starts
+                    streamDelay: 30, // Milliseconds between streamed words
+                    error: '', // Simulated error for every request, e.g. 'quota' or 'timeout'
+                    script: '', // JSON replies per feature, see the Mock Backend settings card
+                    endpoints: {
+                        chat: '/chat',
+                        models: '/models'
+                    }
                 }
             },
+            // Conversation history sent with chat tab requests
+            chatHistory: {
+                maxTurns: 10, // Prior user/assistant pairs to include (0 disables history)
+                maxTokens: 4000, // Rough token budget for the history (0 for no limit)
+                truncation: 'oldest' // 'oldest' drops the oldest turns, 'keep-first' keeps the opening turn
+            },
+            // Images are resized and re-encoded in the browser before vision requests
+            imagePreprocessing: {
+                enabled: true,
+                maxEdge: 1536, // Longest side in pixels
+                format: 'webp', // 'webp', 'jpeg' or 'png'
+                quality: 85 // 1-100, for WebP and JPEG
+            },
             // Instructions
             instructions: {
                 chat: '',
@@ -77,51 +124,237 @@ if (!window.MP) {
             }
         },
 
+        // Display names for backend IDs, matching the radio labels in the settings modal
+        backendLabels: {
+            ollama: 'Ollama',
+            openrouter: 'OpenRouter',
+            openaiapi: 'OpenAIAPI (local)',
+            llamacpp: 'llama.cpp / KoboldCpp',
+            openai: 'OpenAI (ChatGPT)',
+            anthropic: 'Anthropic (Claude)',
+            grok: 'Grok (xAI)',
+            gemini: 'Google Gemini',
+            mock: 'Mock (offline)'
+        },
+
         APIClient: {
             /**
              * Makes an API request using SwarmUI's genericRequest
              * @param {Object} payload - Request payload
+             * @param {Object} [options]
+             * @param {AbortSignal} [options.signal] - Aborting cancels the backend request and resolves with `stopped: true`
              * @returns {Promise<Object>} API response
              */
-            async makeRequest(payload) {
+            async makeRequest(payload, { signal = null } = {}) {
                 if (!payload) {
                     throw new Error('Invalid payload');
                 }
-                // Auto-inject image only for chat actions when vision_mode is enabled.
-                // Prompt enhancement and random prompt should never auto-inject images.
-                const isVisionRequest = payload.messageType === 'Vision';
-                const currentMode = document.getElementById('vision_mode')?.checked;
-                const action = payload.action?.toLowerCase() || '';
-                const isPromptAction = action === 'enhance-prompt' || action === 'random-prompt' || action === 'prompt-mode';
-                if (!isVisionRequest && currentMode && !isPromptAction) {
-                    const currentImage = window.visionHandler?.getCurrentImage();
-                    if (currentImage) {
-                        payload.messageContent.media = [{
-                            type: "base64",
-                            data: currentImage
-                        }];
-                        payload.messageType = 'Vision';
-                    }
+                this.injectVisionImage(payload);
+                if (signal) {
+                    payload.requestId = this.createRequestId();
                 }
                 console.log('Making API request with instructions:', payload.messageContent.instructions);
                 try {
                     return new Promise((resolve, reject) => {
+                        let settled = false;
+                        const finish = (callback, value) => {
+                            if (settled) return;
+                            settled = true;
+                            signal?.removeEventListener('abort', onAbort);
+                            callback(value);
+                        };
+                        const onAbort = () => {
+                            this.cancelRequest(payload.requestId);
+                            finish(resolve, { success: true, response: '', stopped: true });
+                        };
+                        if (signal?.aborted) {
+                            onAbort();
+                            return;
+                        }
+                        signal?.addEventListener('abort', onAbort);
                         genericRequest('MagicPromptPhoneHome', payload,
                             data => {
                                 if (data.success) {
                                     console.log('API request successful:', data);
-                                    resolve(data);
+                                    MP.ResponseHandler.showFallbackBadge(data);
+                                    finish(resolve, data);
                                 } else {
                                     console.error('API request failed:', data.error);
-                                    reject(new Error(data.error || 'API request failed'));
+                                    finish(reject, new Error(data.error || 'API request failed'));
                                 }
-                            }
+                            },
+                            0,
+                            error => finish(reject, new Error(error || 'API request failed'))
                         );
                     });
                 } catch (error) {
                     console.error('API request error:', error);
                     throw error;
                 }
+            },
+
+            /**
+             * Makes an API request that streams the response over a websocket, reporting text as it arrives.
+             * Falls back to makeRequest when streaming is disabled in settings.
+             * @param {Object} payload - Request payload
+             * @param {Object} [options]
+             * @param {Function} [options.onToken] - Called with (chunk, fullTextSoFar) for each streamed chunk
+             * @param {AbortSignal} [options.signal] - Aborting stops generation and resolves with the partial text
+             * @returns {Promise<Object>} API response, with `stopped: true` if generation was stopped early
+             */
+            makeStreamingRequest(payload, { onToken = null, signal = null } = {}) {
+                if (!payload) {
+                    throw new Error('Invalid payload');
+                }
+                if (MP.settings.streamResponses === false || typeof makeWSRequest !== 'function') {
+                    return this.makeRequest(payload, { signal });
+                }
+                this.injectVisionImage(payload);
+                payload.requestId = this.createRequestId();
+                return new Promise((resolve, reject) => {
+                    let text = '';
+                    let settled = false;
+                    let socket = null;
+                    const finish = (callback, value) => {
+                        if (settled) return;
+                        settled = true;
+                        signal?.removeEventListener('abort', onAbort);
+                        callback(value);
+                    };
+                    const onAbort = () => {
+                        finish(resolve, { success: true, response: text, stopped: true });
+                        // Cancel first so the backend call is aborted even while waiting for the first token
+                        this.cancelRequest(payload.requestId);
+                        socket?.close();
+                    };
+                    if (signal?.aborted) {
+                        onAbort();
+                        return;
+                    }
+                    signal?.addEventListener('abort', onAbort);
+                    socket = makeWSRequest('MagicPromptStreamWS', payload,
+                        data => {
+                            if (typeof data.token === 'string') {
+                                text += data.token;
+                                onToken?.(data.token, text);
+                            } else if (data.success) {
+                                MP.ResponseHandler.showFallbackBadge(data);
+                                finish(resolve, data);
+                            }
+                        },
+                        0,
+                        error => {
+                            console.error('Streaming request failed:', error);
+                            finish(reject, new Error(error || 'API request failed'));
+                        }
+                    );
+                    socket.addEventListener('close', () => {
+                        // Only a stop keeps the partial text, a dropped connection must not pass a cut-off reply as complete
+                        if (signal?.aborted) {
+                            finish(resolve, { success: true, response: text, stopped: true });
+                        } else {
+                            finish(reject, new Error(text
+                                ? 'Connection closed before the response was complete'
+                                : 'Connection closed before a response was received'));
+                        }
+                    });
+                });
+            },
+
+            /**
+             * Creates an ID the server uses to find a request when it is cancelled
+             * @returns {string} Request ID
+             */
+            createRequestId() {
+                return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+            },
+
+            /**
+             * Asks the server to abort the backend call for a request. Safe to call after the request has finished.
+             * @param {string} requestId - ID sent with the request
+             */
+            cancelRequest(requestId) {
+                if (!requestId) return;
+                genericRequest('CancelMagicPromptRequest', { requestId },
+                    data => {
+                        if (!data.cancelled) {
+                            console.warn(`Request ${requestId} was not cancelled, it may have already finished`);
+                        }
+                    },
+                    0,
+                    error => console.warn(`Failed to cancel request ${requestId}:`, error)
+                );
+            },
+
+            /**
+             * Fetches the models of any configured backend. Results are cached for the page, failures are retried on the next call.
+             * @param {string} backend - Backend ID
+             * @param {boolean} [vision=false] - Only list models that can see images
+             * @returns {Promise<Array<{model: string, name: string}>>} Models
+             */
+            getBackendModels(backend, vision = false) {
+                const cacheKey = `${backend}:${vision}`;
+                this.backendModelCache = this.backendModelCache || {};
+                if (!this.backendModelCache[cacheKey]) {
+                    this.backendModelCache[cacheKey] = new Promise((resolve, reject) => {
+                        genericRequest('GetMagicPromptBackendModels', { backend, vision }, (data) => {
+                            if (data.success) {
+                                resolve(data.models || []);
+                            } else {
+                                reject(new Error(data.error || `Failed to fetch models for ${backend}`));
+                            }
+                        }, 0, (error) => reject(new Error(error)));
+                    }).catch((error) => {
+                        // Let the next attempt try again, e.g. after adding an API key
+                        delete this.backendModelCache[cacheKey];
+                        throw error;
+                    });
+                }
+                return this.backendModelCache[cacheKey];
+            },
+
+            /**
+             * Fetches the loaded model and context size of a llama.cpp or KoboldCpp server.
+             * The last result is kept in backendProps so code that can't wait, like history trimming, can use it.
+             * @param {string} backend - Backend ID
+             * @returns {Promise<{model: string, contextLength: number}>} Server properties
+             */
+            getBackendProps(backend) {
+                this.backendProps = this.backendProps || {};
+                return new Promise((resolve, reject) => {
+                    genericRequest('GetMagicPromptBackendProps', { backend }, (data) => {
+                        if (data.success) {
+                            this.backendProps[backend] = { model: data.model, contextLength: data.contextLength };
+                            resolve(this.backendProps[backend]);
+                        } else {
+                            reject(new Error(data.error || `Failed to read server properties for ${backend}`));
+                        }
+                    }, 0, (error) => reject(new Error(error)));
+                });
+            },
+
+            /**
+             * Auto-injects the current image for chat actions when vision_mode is enabled.
+             * Prompt enhancement and random prompt should never auto-inject images.
+             * @param {Object} payload - Request payload, modified in place
+             */
+            injectVisionImage(payload) {
+                const isVisionRequest = payload.messageType === 'Vision';
+                const currentMode = document.getElementById('vision_mode')?.checked;
+                const action = payload.action?.toLowerCase() || '';
+                const isPromptAction = action === 'enhance-prompt' || action === 'random-prompt' || action === 'prompt-mode';
+                if (!isVisionRequest && currentMode && !isPromptAction) {
+                    const currentImage = MP.ImageSource.get();
+                    if (currentImage) {
+                        payload.messageContent.media = [{
+                            type: "base64",
+                            data: currentImage.data,
+                            mediaType: currentImage.mediaType,
+                            preprocessed: currentImage.preprocessed
+                        }];
+                        payload.messageType = 'Vision';
+                    }
+                }
             }
         },
 
@@ -129,16 +362,19 @@ if (!window.MP) {
             /**
              * Creates a request payload for API calls
              * @param {string} input - User input text
-             * @param {string|null} image - Base64 image data
+             * @param {string|Array<{data: string, mediaType?: string}>|null} image - Base64 image data, or several images
              * @param {string} action - Action type ('chat', 'vision', 'prompt', 'caption')
+             * @param {Array<{role: string, content: string}>|null} [history=null] - Prior conversation turns, oldest first
              * @returns {Object} Formatted request payload
              */
-            createRequestPayload(input, image, action) {
+            createRequestPayload(input, image, action, history = null) {
                 // only allow input to be empty for 'random-prompt' action
                 if (!input?.trim() && action !== 'random-prompt') {
                     throw new Error('Input is required');
                 }
-                const hasImage = Boolean(image);
+                // A single base64 string, or a list of {data, mediaType} to send several images
+                const images = Array.isArray(image) ? image : (image ? [{ data: image }] : []);
+                const hasImage = images.length > 0;
                 const featureName = action.toLowerCase();
                 console.log(`Action: "${action}", featureName: "${featureName}"`);
 
@@ -152,11 +388,12 @@ if (!window.MP) {
 
                 const instructions = getInstructionContent(effectiveType);
                 try {
-                    // Get model and backend based on request type
-                    const modelId = this.getModelId(hasImage);
-                    const backend = hasImage ? MP.settings.visionbackend : MP.settings.backend;
                     // Get appropriate instructions based on action type and feature mapping
                     const featureName = action.toLowerCase();
+                    // Get model and backend from the feature's pinned route, or based on request type
+                    const route = this.getFeatureRoute(featureName);
+                    const modelId = route ? route.model : this.getModelId(hasImage);
+                    const backend = route ? route.backend : (hasImage ? MP.settings.visionbackend : MP.settings.backend);
                     // Use the feature mapping system to get the right instruction type
                     const instructionType = getInstructionForFeature(featureName) || featureName;
                     const instructions = getInstructionContent(instructionType);
@@ -164,22 +401,57 @@ if (!window.MP) {
                     // Create the message content
                     const messageContent = {
                         text: input,
-                        media: image ? [{ type: "base64", data: image, mediaType: window.visionHandler?.currentMediaType || "image/jpeg" }] : null,
+                        media: hasImage ? images.map(img => ({
+                            type: "base64",
+                            data: img.data,
+                            mediaType: img.mediaType || MP.ImageSource.detectMediaType(img.data) || "image/jpeg",
+                            preprocessed: !!img.preprocessed
+                        })) : null,
                         instructions: instructions,
                         KeepAlive: (backend.toLowerCase() === 'ollama' && MP.settings.backends[backend]?.unloadModel) ? 0 : null
                     };
-                    return {
+                    if (history?.length) {
+                        messageContent.history = history;
+                    }
+                    const payload = {
                         messageContent,
                         modelId,
                         messageType: hasImage ? "Vision" : "Text",
                         action: featureName,
                     };
+                    if (route) {
+                        payload.backend = route.backend;
+                    }
+                    // Custom instructions can override the backend's temperature, max tokens etc.
+                    const sampling = getInstructionSampling(instructionType);
+                    if (sampling) {
+                        payload.sampling = sampling;
+                    }
+                    // They can also force a grammar or JSON schema on llama.cpp and KoboldCpp
+                    const constraint = getInstructionConstraint(instructionType);
+                    if (constraint) {
+                        payload.constraint = constraint;
+                    }
+                    return payload;
                 } catch (error) {
                     console.error('Error creating request payload:', error);
                     throw error;
                 }
             },
 
+            /**
+             * Gets the backend and model pinned to a feature under Model Routing in the settings
+             * @param {string} feature - Feature key, e.g. 'random-prompt'
+             * @returns {{backend: string, model: string}|null} The route, or null to use the chat/vision model
+             */
+            getFeatureRoute(feature) {
+                const route = MP.settings.featureRouting?.[feature];
+                if (!route?.backend || !route.model || !MP.settings.backends[route.backend]) {
+                    return null;
+                }
+                return route;
+            },
+
             getModelId(isVision) {
                 if (MP.settings.linkChatAndVisionModels) {
                     return document.getElementById('modelSelect')?.value;
@@ -220,6 +492,27 @@ if (!window.MP) {
                     promptBox.setSelectionRange(0, promptBox.value.length);
                 }
             },
+            /**
+             * Briefly shows which provider answered when the server fell back from the configured backend
+             * @param {Object} response - API response, with `fallbackFrom` listing the providers that failed
+             */
+            showFallbackBadge(response) {
+                if (!response?.fallbackFrom?.length) return;
+                const label = (backend) => MP.backendLabels[backend] || backend;
+                let badge = document.getElementById('mp_fallback_badge');
+                if (!badge) {
+                    badge = document.createElement('div');
+                    badge.id = 'mp_fallback_badge';
+                    badge.className = 'magicprompt mp-fallback-badge';
+                    document.body.appendChild(badge);
+                }
+                badge.textContent = `↪ Answered by ${label(response.backend)} · ${response.model}`;
+                badge.title = response.fallbackFrom.map(failed => `${label(failed.backend)} (${failed.model}) failed: ${failed.error}`).join('\n');
+                badge.style.display = 'block';
+                clearTimeout(this.fallbackBadgeTimer);
+                this.fallbackBadgeTimer = setTimeout(() => badge.style.display = 'none', 8000);
+            },
+
             showError(error) {
                 let errorMessage = error;
                 if (typeof error === 'string' && error.includes('Provider returned error')) {
@@ -301,25 +594,359 @@ if (!window.MP) {
                 document.removeEventListener('mouseup', this.stopDragging);
                 document.body.classList.remove('dragging');
             }
+        },
+
+        PromptHistory: {
+            storageKey: 'magicprompt_prompt_history',
+            maxRevisions: 50,
+            revisions: null,
+
+            /**
+             * Gets the revision stack for this browser session, oldest first
+             * @returns {Array<{text: string, source: string, timestamp: number}>} Revisions
+             */
+            getRevisions() {
+                if (!this.revisions) {
+                    try {
+                        this.revisions = JSON.parse(sessionStorage.getItem(this.storageKey)) || [];
+                    } catch (error) {
+                        this.revisions = [];
+                    }
+                }
+                return this.revisions;
+            },
+
+            /**
+             * Adds a revision unless it matches the latest one
+             * @param {string} text - Prompt text
+             * @param {string} source - What produced it: original, edited, enhanced, vision or restored
+             */
+            record(text, source) {
+                const revisions = this.getRevisions();
+                if (revisions.length && revisions[revisions.length - 1].text === text) {
+                    return;
+                }
+                revisions.push({ text, source, timestamp: Date.now() });
+                // Always keep the first revision, it is the user's original prompt
+                if (revisions.length > this.maxRevisions) {
+                    revisions.splice(1, revisions.length - this.maxRevisions);
+                }
+                this.save();
+            },
+
+            /**
+             * Records the prompt box contents if the user changed them since the last revision.
+             * Called before anything overwrites the prompt, so manual edits are never lost.
+             * @param {string} text - Current prompt box text
+             */
+            captureCurrent(text) {
+                if (!text.trim()) return;
+                const source = this.getRevisions().length ? 'edited' : 'original';
+                this.record(text, source);
+            },
+
+            clear() {
+                this.revisions = [];
+                this.save();
+            },
+
+            save() {
+                try {
+                    sessionStorage.setItem(this.storageKey, JSON.stringify(this.revisions));
+                } catch (error) {
+                    console.error('Failed to save prompt history:', error);
+                }
+            },
+
+            /**
+             * Computes a word-level diff between two texts
+             * @param {string} oldText - Earlier version
+             * @param {string} newText - Later version
+             * @returns {Array<{type: string, text: string}>} Parts typed 'same', 'added' or 'removed'
+             */
+            diffWords(oldText, newText) {
+                // Keep whitespace as its own tokens so the texts can be rebuilt exactly
+                const a = oldText.split(/(\s+)/).filter(t => t);
+                const b = newText.split(/(\s+)/).filter(t => t);
+                // Longest common subsequence table, filled from the end
+                const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+                for (let i = a.length - 1; i >= 0; i--) {
+                    for (let j = b.length - 1; j >= 0; j--) {
+                        lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                    }
+                }
+                const parts = [];
+                const push = (type, text) => {
+                    const last = parts[parts.length - 1];
+                    if (last && last.type === type) {
+                        last.text += text;
+                    } else {
+                        parts.push({ type, text });
+                    }
+                };
+                let i = 0, j = 0;
+                while (i < a.length && j < b.length) {
+                    if (a[i] === b[j]) {
+                        push('same', a[i++]);
+                        j++;
+                    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                        push('removed', a[i++]);
+                    } else {
+                        push('added', b[j++]);
+                    }
+                }
+                while (i < a.length) push('removed', a[i++]);
+                while (j < b.length) push('added', b[j++]);
+                return parts;
+            }
+        },
+
+        /**
+         * The image the vision features work on. Every feature reads it from here rather than from the preview element,
+         * so the MIME type, size and origin are known wherever it is sent.
+         */
+        ImageSource: {
+            /** Where an image came from: upload, paste, history (image history or a saved chat) or generation (SwarmUI's current image) */
+            ORIGINS: ['upload', 'paste', 'history', 'generation'],
+            current: null,
+            listeners: [],
+
+            /**
+             * Detects the MIME type from the first bytes of base64 image data, since data URLs and blobs are often mislabelled
+             * @param {string} base64 - Base64 image data without the data URL prefix
+             * @returns {string|null} MIME type, or null if the format isn't recognized
+             */
+            detectMediaType(base64) {
+                const head = (base64 || '').slice(0, 16);
+                if (head.startsWith('iVBORw0KGgo')) return 'image/png';
+                if (head.startsWith('/9j/')) return 'image/jpeg';
+                if (head.startsWith('R0lGOD')) return 'image/gif';
+                if (head.startsWith('UklGR')) return 'image/webp';
+                if (head.startsWith('Qk')) return 'image/bmp';
+                return null;
+            },
+
+            /**
+             * Reads a data URL into an image record. dataUrl, width and height describe the original image,
+             * data and mediaType are what vision requests send, which is the preprocessed copy once it is ready.
+             * @param {string} dataUrl - Image data URL
+             * @param {string} origin - One of ORIGINS
+             * @param {string} [name] - File name, if known
+             * @returns {Promise<{dataUrl: string, data: string, mediaType: string, preprocessed: boolean, width: number, height: number, origin: string, name: string}>} The image
+             */
+            async describe(dataUrl, origin, name = '') {
+                const image = this.createRecord(dataUrl, origin, name);
+                await this.complete(image);
+                return image;
+            },
+
+            createRecord(dataUrl, origin, name) {
+                const data = dataUrl.split(',')[1] || '';
+                const mediaType = this.detectMediaType(data) || dataUrl.match(/^data:([^;,]+)/)?.[1] || 'image/jpeg';
+                return { dataUrl, data, mediaType, preprocessed: false, width: 0, height: 0, origin, name };
+            },
+
+            /**
+             * Measures an image record and swaps in the preprocessed copy. Until this finishes the original is sent,
+             * and the server compresses it instead.
+             */
+            async complete(image) {
+                Object.assign(image, await this.measure(image.dataUrl));
+                // A failed preprocess leaves the original for the server to compress, like an image the browser can't decode
+                const upload = await MP.ImagePreprocessor.process(image.dataUrl).catch(() => null);
+                if (upload) {
+                    image.data = upload.data;
+                    image.mediaType = upload.mediaType;
+                    image.preprocessed = true;
+                }
+            },
+
+            /**
+             * @returns {Promise<{width: number, height: number}>} Natural size of an image, zero if it can't be decoded
+             */
+            measure(dataUrl) {
+                return new Promise((resolve) => {
+                    const image = new Image();
+                    image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+                    image.onerror = () => resolve({ width: 0, height: 0 });
+                    image.src = dataUrl;
+                });
+            },
+
+            /**
+             * Fetches an image by URL, such as SwarmUI's current image, into an image record without making it current
+             * @param {string} url - Image URL
+             * @param {string} origin - One of ORIGINS
+             */
+            async load(url, origin) {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`Failed to load image (HTTP ${response.status})`);
+                }
+                const blob = await response.blob();
+                const dataUrl = await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onloadend = () => resolve(reader.result);
+                    reader.onerror = () => reject(new Error('Failed to read image'));
+                    reader.readAsDataURL(blob);
+                });
+                return this.describe(dataUrl, origin, decodeURIComponent(url.split('/').pop()?.split('?')[0] || ''));
+            },
+
+            /**
+             * Loads the image shown in SwarmUI's current image panel
+             * @returns {Promise<Object|null>} The image, or null if none is shown
+             */
+            async loadGenerationImage() {
+                const currentImage = document.querySelector('#current_image img.current-image-img');
+                return currentImage?.src ? this.load(currentImage.src, 'generation') : null;
+            },
+
+            /**
+             * Makes an image the current one and notifies listeners. Its data and MIME type are available right away,
+             * listeners are notified again once it has been measured and preprocessed.
+             * @param {string} dataUrl - Image data URL
+             * @param {string} origin - One of ORIGINS
+             * @param {string} [name] - File name, if known
+             * @returns {Promise<Object>} The image record, once measured
+             */
+            async set(dataUrl, origin, name = '') {
+                const image = this.createRecord(dataUrl, origin, name);
+                this.current = image;
+                this.notify();
+                await this.complete(image);
+                // Skip the update if another image replaced this one while it was loading
+                if (this.current === image) {
+                    this.notify();
+                }
+                return image;
+            },
+
+            /**
+             * @returns {Object|null} The current image, or null if there is none
+             */
+            get() {
+                return this.current;
+            },
+
+            clear() {
+                this.current = null;
+                this.notify();
+            },
+
+            /**
+             * Calls a listener with the new image, or null, whenever the current image changes
+             * @param {Function} listener - Called with the image record
+             */
+            onChange(listener) {
+                this.listeners.push(listener);
+            },
+
+            notify() {
+                this.listeners.forEach((listener) => {
+                    try {
+                        listener(this.current);
+                    } catch (error) {
+                        console.error('Image source listener failed:', error);
+                    }
+                });
+            }
+        },
+
+        ImagePreprocessor: {
+            /** Encoder MIME types by format setting */
+            FORMATS: { webp: 'image/webp', jpeg: 'image/jpeg', png: 'image/png' },
+
+            getOptions() {
+                return { enabled: true, maxEdge: 1536, format: 'webp', quality: 85, ...(MP.settings.imagePreprocessing || {}) };
+            },
+
+            /**
+             * Downscales, re-encodes and optionally crops an image in the browser so vision requests stay small.
+             * Drawing it onto a canvas also applies the EXIF orientation, which most providers ignore.
+             * @param {string|Blob} source - Data URL, image URL or image blob
+             * @param {Object} [options]
+             * @param {{x: number, y: number, width: number, height: number}} [options.crop] - Region to keep, as fractions of the image size
+             * @returns {Promise<{dataUrl: string, data: string, mediaType: string, width: number, height: number}|null>} The processed image,
+             * or null when preprocessing is turned off or the browser can't decode the image, in which case the server compresses it
+             */
+            async process(source, { crop = null } = {}) {
+                const options = this.getOptions();
+                if (!options.enabled && !crop) {
+                    return null;
+                }
+                let bitmap;
+                try {
+                    const blob = typeof source === 'string' ? await (await fetch(source)).blob() : source;
+                    bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+                } catch (error) {
+                    console.warn('Image preprocessing skipped, the server will compress the image instead:', error);
+                    return null;
+                }
+                const clamp = (value) => Math.min(Math.max(value, 0), 1);
+                const region = crop ? {
+                    x: Math.round(clamp(crop.x) * bitmap.width),
+                    y: Math.round(clamp(crop.y) * bitmap.height),
+                    width: Math.max(1, Math.round(clamp(crop.width) * bitmap.width)),
+                    height: Math.max(1, Math.round(clamp(crop.height) * bitmap.height))
+                } : { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+                const maxEdge = options.enabled && options.maxEdge > 0 ? options.maxEdge : Infinity;
+                const scale = Math.min(1, maxEdge / Math.max(region.width, region.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(region.width * scale));
+                canvas.height = Math.max(1, Math.round(region.height * scale));
+                const type = this.FORMATS[options.format] || this.FORMATS.webp;
+                const context = canvas.getContext('2d');
+                if (type === 'image/jpeg') {
+                    // JPEG has no transparency, which would otherwise turn black
+                    context.fillStyle = '#ffffff';
+                    context.fillRect(0, 0, canvas.width, canvas.height);
+                }
+                context.imageSmoothingQuality = 'high';
+                context.drawImage(bitmap, region.x, region.y, region.width, region.height, 0, 0, canvas.width, canvas.height);
+                bitmap.close();
+                const quality = Math.min(Math.max(options.quality || 85, 1), 100) / 100;
+                // Browsers that can't encode the format fall back to PNG, the blob type says what was produced
+                const output = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+                if (!output) {
+                    return null;
+                }
+                const dataUrl = await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onloadend = () => resolve(reader.result);
+                    reader.onerror = () => reject(new Error('Failed to read image'));
+                    reader.readAsDataURL(output);
+                });
+                return { dataUrl, data: dataUrl.split(',')[1], mediaType: output.type, width: canvas.width, height: canvas.height };
+            }
         }
     }
 };
 
 /**
  * Handles the enhance prompt button click
- * Takes the current prompt text and enhances it using the LLM
+ * Takes the current prompt text and enhances it using the LLM.
+ * The enhanced prompt is written into the prompt box as it streams in.
  */
 
+let enhanceAbortController = null;
+
 async function handleEnhancePrompt() {
   
   const promptTextArea = document.getElementById("alt_prompt_textbox");
 
   if (window.isEnhancing) return;
   const loadingAnimation = document.getElementById("prompt_loading_animation");
+  const stopButton = document.getElementById("prompt_stop_button");
+  const originalPrompt = promptTextArea.value;
+  MP.PromptHistory.captureCurrent(originalPrompt);
+  enhanceAbortController = new AbortController();
+  const signal = enhanceAbortController.signal;
   try {
     window.isEnhancing = true;
     // Show loading animation
     if (loadingAnimation) loadingAnimation.classList.add("active");
+    if (stopButton) stopButton.style.display = 'flex';
     let input = promptTextArea.value.trim();
      if(!input) {
         // Create a random prompt if the input is empty
@@ -328,7 +955,8 @@ async function handleEnhancePrompt() {
             null,
             'random-prompt'
         );
-        const response = await MP.APIClient.makeRequest(inputPayload);
+        const response = await MP.APIClient.makeStreamingRequest(inputPayload, { signal });
+        if (response.stopped) return;
         if (response.success && response.response) {
             input = response.response;
         } else {
@@ -340,9 +968,21 @@ async function handleEnhancePrompt() {
       null,
       'enhance-prompt'
     );
-    const response = await MP.APIClient.makeRequest(payload);
+    const response = await MP.APIClient.makeStreamingRequest(payload, {
+      signal,
+      onToken: (chunk, text) => {
+        promptTextArea.value = text;
+        promptTextArea.scrollTop = promptTextArea.scrollHeight;
+      }
+    });
+    if (response.stopped) {
+      // A half-written prompt is rarely useful, put back what the user had
+      promptTextArea.value = originalPrompt;
+      return;
+    }
     if (response.success && response.response) {
       promptTextArea.value = response.response;
+      MP.PromptHistory.record(response.response, 'enhanced');
       triggerChangeFor(promptTextArea);
       promptTextArea.focus();
       promptTextArea.setSelectionRange(0, promptTextArea.value.length);
@@ -351,14 +991,203 @@ async function handleEnhancePrompt() {
     }
   } catch (error) {
     console.error('Prompt enhancement error:', error);
+    promptTextArea.value = originalPrompt;
     showError(error.message);
   } finally {
     window.isEnhancing = false;
+    enhanceAbortController = null;
     // Hide loading animation
     if (loadingAnimation) loadingAnimation.classList.remove('active');
+    if (stopButton) stopButton.style.display = 'none';
   }
 }
 
+/**
+ * Stops an in-progress prompt enhancement, variants request or Magic Vision analysis
+ */
+function stopEnhancePrompt() {
+    enhanceAbortController?.abort();
+}
+
+/**
+ * Gets how many candidates the Variants button asks for
+ * @returns {number} Variant count between 2 and 6
+ */
+function getVariantCount() {
+    const stored = parseInt(localStorage.getItem('magicprompt_variant_count'));
+    return Number.isNaN(stored) ? 3 : Math.min(6, Math.max(2, stored));
+}
+
+/**
+ * Handles the variants button click
+ * Enhances the current prompt several times in parallel, each with its own seed, and opens a picker with the results
+ */
+async function handleEnhanceVariants() {
+    const promptTextArea = document.getElementById('alt_prompt_textbox');
+    if (window.isEnhancing) return;
+    const input = promptTextArea.value.trim();
+    if (!input) {
+        showError('Enter a prompt to create variants of');
+        return;
+    }
+    const loadingAnimation = document.getElementById('prompt_loading_animation');
+    const stopButton = document.getElementById('prompt_stop_button');
+    MP.PromptHistory.captureCurrent(promptTextArea.value);
+    enhanceAbortController = new AbortController();
+    const signal = enhanceAbortController.signal;
+    try {
+        window.isEnhancing = true;
+        if (loadingAnimation) loadingAnimation.classList.add('active');
+        if (stopButton) stopButton.style.display = 'flex';
+        const count = getVariantCount();
+        const requests = Array.from({ length: count }, () => {
+            const payload = MP.RequestBuilder.createRequestPayload(input, null, 'enhance-prompt');
+            // A different seed per request so the candidates actually differ
+            payload.seed = Math.floor(Math.random() * 2147483647);
+            return MP.APIClient.makeRequest(payload, { signal });
+        });
+        const results = await Promise.allSettled(requests);
+        if (signal.aborted) return;
+        const variants = results
+            .filter(r => r.status === 'fulfilled' && r.value.success && r.value.response)
+            .map(r => r.value.response.trim());
+        if (!variants.length) {
+            const failure = results.find(r => r.status === 'rejected');
+            throw new Error(failure?.reason?.message || 'Failed to create prompt variants');
+        }
+        if (variants.length < count) {
+            console.warn(`Only ${variants.length} of ${count} prompt variants succeeded`);
+        }
+        showVariantPicker(input, variants);
+    } catch (error) {
+        console.error('Prompt variants error:', error);
+        showError(error.message);
+    } finally {
+        window.isEnhancing = false;
+        enhanceAbortController = null;
+        if (loadingAnimation) loadingAnimation.classList.remove('active');
+        if (stopButton) stopButton.style.display = 'none';
+    }
+}
+
+/**
+ * Shows enhancement candidates side by side so the user can use one, merge several, or queue them all
+ * @param {string} originalPrompt - Prompt the variants were created from
+ * @param {string[]} variants - Candidate prompts
+ * @returns {void}
+ */
+function showVariantPicker(originalPrompt, variants) {
+    document.querySelector('.magicprompt.variant-picker-overlay')?.remove();
+    const overlay = document.createElement('div');
+    overlay.className = 'magicprompt variant-picker-overlay';
+    overlay.innerHTML = `
+        <div class="variant-picker">
+            <div class="settings-panel-header">
+                <h3>Prompt Variants</h3>
+                <button class="panel-close-btn">×</button>
+            </div>
+            <div class="variant-picker-original"></div>
+            <div class="variant-picker-grid"></div>
+            <div class="variant-picker-footer">
+                <span class="setting-description">Edit any variant before using it. Tick two or more to merge them.</span>
+                <button class="basic-button variant-merge-btn" disabled>Merge Selected</button>
+                <button class="basic-button variant-queue-btn">Queue All</button>
+            </div>
+        </div>
+    `;
+    const grid = overlay.querySelector('.variant-picker-grid');
+    const mergeButton = overlay.querySelector('.variant-merge-btn');
+    const queueButton = overlay.querySelector('.variant-queue-btn');
+    overlay.querySelector('.variant-picker-original').textContent = `Original: ${originalPrompt}`;
+
+    const close = () => {
+        overlay.remove();
+        document.removeEventListener('keydown', onKeyDown);
+    };
+    const onKeyDown = (e) => {
+        if (e.key === 'Escape') close();
+    };
+    const getCards = () => [...grid.querySelectorAll('.variant-card')];
+    const updateMergeButton = () => {
+        mergeButton.disabled = getCards().filter(card => card.querySelector('input[type="checkbox"]').checked).length < 2;
+    };
+
+    function addCard(text, label) {
+        const card = document.createElement('div');
+        card.className = 'variant-card';
+        const header = document.createElement('label');
+        header.className = 'variant-card-header';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.addEventListener('change', updateMergeButton);
+        header.append(checkbox, ` ${label}`);
+        const textArea = document.createElement('textarea');
+        textArea.className = 'auto-text';
+        textArea.value = text;
+        const useButton = document.createElement('button');
+        useButton.className = 'basic-button';
+        useButton.textContent = 'Use This';
+        useButton.addEventListener('click', () => {
+            const promptBox = document.getElementById('alt_prompt_textbox');
+            if (promptBox) {
+                promptBox.value = textArea.value;
+                MP.PromptHistory.record(textArea.value, 'enhanced');
+                triggerChangeFor(promptBox);
+                promptBox.focus();
+            }
+            close();
+        });
+        card.append(header, textArea, useButton);
+        grid.appendChild(card);
+    }
+
+    variants.forEach((variant, index) => addCard(variant, `Variant ${index + 1}`));
+
+    mergeButton.addEventListener('click', async () => {
+        const selected = getCards()
+            .filter(card => card.querySelector('input[type="checkbox"]').checked)
+            .map(card => card.querySelector('textarea').value.trim());
+        mergeButton.disabled = true;
+        mergeButton.textContent = 'Merging...';
+        try {
+            const mergeInput = 'Combine the best ideas from these prompt variations into a single prompt:\n'
+                + selected.map((text, index) => `${index + 1}. ${text}`).join('\n');
+            const payload = MP.RequestBuilder.createRequestPayload(mergeInput, null, 'enhance-prompt');
+            const response = await MP.APIClient.makeRequest(payload);
+            if (!response.success || !response.response) {
+                throw new Error(response.error || 'Failed to merge variants');
+            }
+            addCard(response.response.trim(), 'Merged');
+            getCards().forEach(card => card.querySelector('input[type="checkbox"]').checked = false);
+        } catch (error) {
+            console.error('Variant merge error:', error);
+            showError(error.message);
+        } finally {
+            mergeButton.textContent = 'Merge Selected';
+            updateMergeButton();
+        }
+    });
+
+    queueButton.addEventListener('click', () => {
+        const prompts = getCards().map(card => card.querySelector('textarea').value.trim()).filter(text => text);
+        if (typeof mainGenHandler === 'undefined' || typeof mainGenHandler.doGenerate !== 'function') {
+            showError('Unable to queue generations from here, use a variant and press Generate instead');
+            return;
+        }
+        for (const prompt of prompts) {
+            mainGenHandler.doGenerate({ prompt });
+        }
+        close();
+    });
+
+    overlay.querySelector('.panel-close-btn').addEventListener('click', close);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close();
+    });
+    document.addEventListener('keydown', onKeyDown);
+    document.body.appendChild(overlay);
+}
+
 /**
  * Handles the magic vision button click
  * Analyzes the current image and generates a prompt based on it
@@ -366,38 +1195,38 @@ async function handleEnhancePrompt() {
  * @throws {Error} If no image is selected or if the analysis fails
  * */
 async function handleVisionAnalysis() {
-    const currentImage = document.querySelector('#current_image img.current-image-img');
-    if (!currentImage?.src) {
+    if (!document.querySelector('#current_image img.current-image-img')?.src) {
         showError('No image selected');
         return;
     }
+    if (window.isEnhancing) return;
     const loadingAnimation = document.getElementById('prompt_loading_animation');
+    const stopButton = document.getElementById('prompt_stop_button');
+    enhanceAbortController = new AbortController();
+    const signal = enhanceAbortController.signal;
     try {
+        window.isEnhancing = true;
         // Show loading animation
         if (loadingAnimation) loadingAnimation.classList.add('active');
-        // Fetch the image data and convert to base64
-        const fetchResponse = await fetch(currentImage.src);
-        const blob = await fetchResponse.blob();
-        // Convert blob to base64
-        const reader = new FileReader();
-        const base64Data = await new Promise((resolve) => {
-            reader.onloadend = () => {
-                // Get just the base64 data without the data URL prefix
-                resolve(reader.result.split(',')[1]);
-            };
-            reader.readAsDataURL(blob);
-        });
+        if (stopButton) stopButton.style.display = 'flex';
+        const image = await MP.ImageSource.loadGenerationImage();
+        if (!image) {
+            throw new Error('No image selected');
+        }
         // Get instruction for magic-vision feature
         const payload = MP.RequestBuilder.createRequestPayload(
             getInstructionContent(getInstructionForFeature('magic-vision') || 'caption'),
-            base64Data,
+            [{ data: image.data, mediaType: image.mediaType, preprocessed: image.preprocessed }],
             'magic-vision'
         );
-        const response = await MP.APIClient.makeRequest(payload);
+        const response = await MP.APIClient.makeRequest(payload, { signal });
+        if (response.stopped) return;
         if (response.success && response.response) {
             const promptBox = document.getElementById('alt_prompt_textbox');
             if (promptBox) {
+                MP.PromptHistory.captureCurrent(promptBox.value);
                 promptBox.value = response.response;
+                MP.PromptHistory.record(response.response, 'vision');
                 triggerChangeFor(promptBox);
                 promptBox.focus();
                 promptBox.setSelectionRange(0, promptBox.value.length);
@@ -409,9 +1238,179 @@ async function handleVisionAnalysis() {
         console.error('Vision analysis error:', error);
         showError(`Failed to analyze image. Have you selected a vision model in settings? Error: ${error.message}`);
     } finally {
+        window.isEnhancing = false;
+        enhanceAbortController = null;
         // Hide loading animation
         if (loadingAnimation) loadingAnimation.classList.remove('active');
+        if (stopButton) stopButton.style.display = 'none';
+    }
+}
+
+/**
+ * Positions a floating panel next to the button that opens it, opening upward when there isn't room below
+ * @param {HTMLElement} panel - Panel appended to document.body
+ * @param {HTMLElement} button - Button the panel belongs to
+ * @returns {void}
+ */
+function positionPanelNearButton(panel, button) {
+    const buttonRect = button.getBoundingClientRect();
+    panel.style.position = 'fixed';
+    panel.style.right = (window.innerWidth - buttonRect.right) + 'px';
+    panel.style.zIndex = '10000';
+    // Temporarily show to measure height
+    panel.style.visibility = 'hidden';
+    panel.style.display = 'block';
+    const panelHeight = panel.offsetHeight;
+    panel.style.display = 'none';
+    panel.style.visibility = '';
+    // Check if there's enough space below the button
+    const spaceBelow = window.innerHeight - buttonRect.bottom - 10;
+    if (spaceBelow >= panelHeight) {
+        // Open downward
+        panel.style.top = (buttonRect.bottom + 10) + 'px';
+        panel.style.bottom = '';
+    } else {
+        // Open upward
+        panel.style.bottom = (window.innerHeight - buttonRect.top + 10) + 'px';
+        panel.style.top = '';
+    }
+}
+
+/**
+ * Builds the prompt history popover: a revision list with restore buttons and a word diff between two revisions
+ * @param {HTMLElement} historyButton - Button that toggles the popover
+ * @returns {HTMLElement} The popover panel
+ */
+function createPromptHistoryPanel(historyButton) {
+    const sourceLabels = {
+        original: 'Original',
+        edited: 'Edited',
+        enhanced: 'Enhanced',
+        vision: 'Magic Vision',
+        restored: 'Restored'
+    };
+    const panel = document.createElement('div');
+    panel.className = 'magicprompt prompt-settings-panel prompt-history-panel';
+    panel.style.display = 'none';
+    panel.innerHTML = `
+        <div class="settings-panel-header">
+            <h3>Prompt History</h3>
+            <button class="panel-close-btn">×</button>
+        </div>
+        <div class="settings-panel-body">
+            <div class="prompt-history-compare">
+                <select class="feature-select prompt-history-from"></select>
+                <span>→</span>
+                <select class="feature-select prompt-history-to"></select>
+            </div>
+            <div class="prompt-history-diff"></div>
+            <div class="prompt-history-list"></div>
+            <button class="basic-button prompt-history-clear">Clear History</button>
+        </div>
+    `;
+    document.body.appendChild(panel);
+    const fromSelect = panel.querySelector('.prompt-history-from');
+    const toSelect = panel.querySelector('.prompt-history-to');
+    const diffView = panel.querySelector('.prompt-history-diff');
+    const list = panel.querySelector('.prompt-history-list');
+
+    function describe(revision, index) {
+        const time = new Date(revision.timestamp).toLocaleTimeString();
+        return `#${index + 1} ${sourceLabels[revision.source] || revision.source} (${time})`;
     }
+
+    function renderDiff() {
+        const revisions = MP.PromptHistory.getRevisions();
+        const from = revisions[fromSelect.value];
+        const to = revisions[toSelect.value];
+        diffView.innerHTML = '';
+        if (!from || !to) return;
+        for (const part of MP.PromptHistory.diffWords(from.text, to.text)) {
+            const span = document.createElement(part.type === 'added' ? 'ins' : part.type === 'removed' ? 'del' : 'span');
+            span.textContent = part.text;
+            diffView.appendChild(span);
+        }
+    }
+
+    function restore(revision) {
+        const promptBox = document.getElementById('alt_prompt_textbox');
+        if (!promptBox) return;
+        MP.PromptHistory.captureCurrent(promptBox.value);
+        promptBox.value = revision.text;
+        MP.PromptHistory.record(revision.text, 'restored');
+        triggerChangeFor(promptBox);
+        render();
+    }
+
+    function render() {
+        const promptBox = document.getElementById('alt_prompt_textbox');
+        // Include unsaved manual edits so they can be compared and aren't lost on restore
+        if (promptBox) MP.PromptHistory.captureCurrent(promptBox.value);
+        const revisions = MP.PromptHistory.getRevisions();
+        fromSelect.innerHTML = '';
+        toSelect.innerHTML = '';
+        list.innerHTML = '';
+        if (!revisions.length) {
+            const empty = document.createElement('div');
+            empty.className = 'setting-description';
+            empty.textContent = 'No revisions yet. Enhancing a prompt saves the original here.';
+            list.appendChild(empty);
+        }
+        revisions.forEach((revision, index) => {
+            fromSelect.add(new Option(describe(revision, index), index));
+            toSelect.add(new Option(describe(revision, index), index));
+        });
+        // Default to comparing the latest revision with the one before it
+        fromSelect.value = Math.max(0, revisions.length - 2);
+        toSelect.value = Math.max(0, revisions.length - 1);
+        for (let index = revisions.length - 1; index >= 0; index--) {
+            const revision = revisions[index];
+            const item = document.createElement('div');
+            item.className = 'prompt-history-item';
+            const label = document.createElement('div');
+            label.className = 'prompt-history-label';
+            label.textContent = describe(revision, index);
+            const text = document.createElement('div');
+            text.className = 'prompt-history-text';
+            text.textContent = revision.text;
+            text.title = revision.text;
+            const restoreButton = document.createElement('button');
+            restoreButton.className = 'basic-button';
+            restoreButton.textContent = 'Restore';
+            restoreButton.disabled = promptBox?.value === revision.text;
+            restoreButton.addEventListener('click', () => restore(revision));
+            item.append(label, text, restoreButton);
+            list.appendChild(item);
+        }
+        renderDiff();
+    }
+
+    fromSelect.addEventListener('change', renderDiff);
+    toSelect.addEventListener('change', renderDiff);
+    panel.querySelector('.prompt-history-clear').addEventListener('click', () => {
+        MP.PromptHistory.clear();
+        render();
+    });
+    panel.querySelector('.panel-close-btn').addEventListener('click', () => {
+        panel.style.display = 'none';
+    });
+    historyButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (panel.style.display === 'block') {
+            panel.style.display = 'none';
+            return;
+        }
+        render();
+        positionPanelNearButton(panel, historyButton);
+        panel.style.display = 'block';
+    });
+    // Close panel when clicking outside
+    document.addEventListener('click', (e) => {
+        if (panel.style.display === 'block' && !panel.contains(e.target) && !historyButton.contains(e.target)) {
+            panel.style.display = 'none';
+        }
+    });
+    return panel;
 }
 
 /**
@@ -433,16 +1432,36 @@ function addPromptButtons() {
         dot.className = 'dot';
         loadingAnimation.appendChild(dot);
     }
+    // Create stop button, shown only while enhancing
+    const stopButton = document.createElement('button');
+    stopButton.className = 'magicprompt prompt-stop-button';
+    stopButton.id = 'prompt_stop_button';
+    stopButton.innerHTML = '■';
+    stopButton.title = 'Stop';
+    stopButton.style.display = 'none';
+    stopButton.addEventListener('click', stopEnhancePrompt);
     // Create enhance button
     const enhanceButton = document.createElement('button');
     enhanceButton.className = 'magicprompt prompt-button';
     enhanceButton.innerHTML = '🪄 Enhance Prompt';
     enhanceButton.addEventListener('click', handleEnhancePrompt);
+    // Create variants button
+    const variantsButton = document.createElement('button');
+    variantsButton.className = 'magicprompt prompt-button';
+    variantsButton.innerHTML = '🎲 Variants';
+    variantsButton.title = 'Create several enhanced versions and pick one';
+    variantsButton.addEventListener('click', handleEnhanceVariants);
     // Create vision button
     const visionButton = document.createElement('button');
     visionButton.className = 'magicprompt prompt-button';
     visionButton.innerHTML = '👀 Magic Vision';
     visionButton.addEventListener('click', handleVisionAnalysis);
+    // Create prompt history button
+    const historyButton = document.createElement('button');
+    historyButton.className = 'magicprompt prompt-settings-button';
+    historyButton.innerHTML = '🕘';
+    historyButton.title = 'Prompt History';
+    createPromptHistoryPanel(historyButton);
     // Create settings button
     const settingsButton = document.createElement('button');
     settingsButton.className = 'magicprompt prompt-settings-button';
@@ -465,6 +1484,11 @@ function addPromptButtons() {
                 <select id="enhance-prompt-select" class="feature-select"></select>
                 <div class="setting-description">Choose which instruction set to use when enhancing prompts</div>
             </div>
+            <div class="feature-setting">
+                <label for="variant-count-input">Variant Count:</label>
+                <input type="number" id="variant-count-input" class="feature-select" min="2" max="6">
+                <div class="setting-description">How many candidates the Variants button creates</div>
+            </div>
             <div class="feature-setting">
                 <label for="magic-vision-select">Magic Vision Instruction:</label>
                 <select id="magic-vision-select" class="feature-select"></select>
@@ -473,31 +1497,6 @@ function addPromptButtons() {
         </div>
     `;
 
-    // Function to position the panel
-    function positionSettingsPanel() {
-        const buttonRect = settingsButton.getBoundingClientRect();
-        settingsPanel.style.position = 'fixed';
-        settingsPanel.style.right = (window.innerWidth - buttonRect.right) + 'px';
-        settingsPanel.style.zIndex = '10000';
-        // Temporarily show to measure height
-        settingsPanel.style.visibility = 'hidden';
-        settingsPanel.style.display = 'block';
-        const panelHeight = settingsPanel.offsetHeight;
-        settingsPanel.style.display = 'none';
-        settingsPanel.style.visibility = '';
-        // Check if there's enough space below the button
-        const spaceBelow = window.innerHeight - buttonRect.bottom - 10;
-        if (spaceBelow >= panelHeight) {
-            // Open downward
-            settingsPanel.style.top = (buttonRect.bottom + 10) + 'px';
-            settingsPanel.style.bottom = '';
-        } else {
-            // Open upward
-            settingsPanel.style.bottom = (window.innerHeight - buttonRect.top + 10) + 'px';
-            settingsPanel.style.top = '';
-        }
-    }
-
     // Function to populate the feature selects
     function populateFeatureSelects() {
         const enhanceSelect = settingsPanel.querySelector('#enhance-prompt-select');
@@ -547,6 +1546,10 @@ function addPromptButtons() {
             });
         }
     }
+    settingsPanel.querySelector('#variant-count-input').addEventListener('change', function () {
+        localStorage.setItem('magicprompt_variant_count', this.value);
+        this.value = getVariantCount();
+    });
     // Toggle settings panel when clicking settings button
     settingsButton.addEventListener('click', function (e) {
         e.stopPropagation();
@@ -557,7 +1560,8 @@ function addPromptButtons() {
         }
         populateFeatureSelects();
         addSelectHandlers();
-        positionSettingsPanel();
+        settingsPanel.querySelector('#variant-count-input').value = getVariantCount();
+        positionPanelNearButton(settingsPanel, settingsButton);
         settingsPanel.style.display = 'block';
     });
     // Close panel when clicking the close button
@@ -577,8 +1581,11 @@ function addPromptButtons() {
     });
     // Add elements to container
     container.appendChild(loadingAnimation);
+    container.appendChild(stopButton);
     container.appendChild(enhanceButton);
+    container.appendChild(variantsButton);
     container.appendChild(visionButton);
+    container.appendChild(historyButton);
     container.appendChild(settingsButton);
     // Insert container into the alt prompt region
     altPromptRegion.insertBefore(container, altPromptRegion.firstChild);
@@ -633,10 +1640,7 @@ document.addEventListener("DOMContentLoaded", async function () {
         // Initialize models
         await fetchModels();
         MP.modelsInitialized = true;
-        // Initialize handlers
-        if (window.visionHandler) {
-            await window.visionHandler.initialize();
-        }
+        // Initialize handlers, the vision tab sets itself up when vision.js loads
         if (window.chatHandler) {
             await window.chatHandler.initialize();
         }
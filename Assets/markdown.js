@@ -0,0 +1,256 @@
+/**
+ * markdown.js
+ * Small Markdown renderer for assistant chat messages in the MagicPrompt extension.
+ * All text is HTML-escaped before any Markdown is applied, so raw HTML from the LLM is never rendered,
+ * and links are only created for http, https and mailto URLs.
+ */
+
+'use strict';
+
+// Initialize MarkdownRenderer only if it doesn't exist
+if (!window.MarkdownRenderer) {
+    window.MarkdownRenderer = class MarkdownRenderer {
+        /** Fence labels that mark a code block as an image prompt, e.g. ```prompt or ```sdxl-prompt */
+        static PROMPT_LABEL = /^(prompt|[\w-]+-prompt|prompt-[\w-]+)$/i;
+
+        static LINK_PROTOCOLS = /^(https?:\/\/|mailto:)/i;
+
+        static escapeHtml(text) {
+            return text
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+
+        /**
+         * Checks whether a fence label marks its block as an image prompt. Negative prompts are excluded.
+         * @param {string} label - Text after the opening ```
+         * @returns {boolean} True if the block should get a Use as Prompt action
+         */
+        static isPromptLabel(label) {
+            return MarkdownRenderer.PROMPT_LABEL.test(label) && !/negative/i.test(label);
+        }
+
+        /**
+         * Renders Markdown to sanitized HTML
+         * @param {string} markdown - Message text
+         * @returns {string} HTML that is safe to assign to innerHTML
+         */
+        static render(markdown) {
+            const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+            return MarkdownRenderer.renderBlocks(lines);
+        }
+
+        static renderBlocks(lines) {
+            const html = [];
+            let i = 0;
+            while (i < lines.length) {
+                const line = lines[i];
+                // Fenced code block, an unclosed fence runs to the end so streaming replies render as code
+                const fence = line.match(/^\s*(`{3,}|~{3,})\s*([^\s`]*)\s*$/);
+                if (fence) {
+                    const code = [];
+                    i++;
+                    while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                        code.push(lines[i]);
+                        i++;
+                    }
+                    i++;
+                    html.push(MarkdownRenderer.renderCodeBlock(code.join('\n'), fence[2]));
+                    continue;
+                }
+                if (!line.trim()) {
+                    i++;
+                    continue;
+                }
+                const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+                if (heading) {
+                    const level = heading[1].length;
+                    html.push(`<h${level}>${MarkdownRenderer.renderInline(heading[2])}</h${level}>`);
+                    i++;
+                    continue;
+                }
+                if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                    html.push('<hr>');
+                    i++;
+                    continue;
+                }
+                if (MarkdownRenderer.isTableStart(lines, i)) {
+                    i = MarkdownRenderer.renderTable(lines, i, html);
+                    continue;
+                }
+                if (/^\s*>/.test(line)) {
+                    const quoted = [];
+                    while (i < lines.length && /^\s*>/.test(lines[i])) {
+                        quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+                        i++;
+                    }
+                    html.push(`<blockquote>${MarkdownRenderer.renderBlocks(quoted)}</blockquote>`);
+                    continue;
+                }
+                if (MarkdownRenderer.listMarker(line)) {
+                    i = MarkdownRenderer.renderList(lines, i, html);
+                    continue;
+                }
+                // Paragraph runs until a blank line or the start of another block
+                const paragraph = [];
+                while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !MarkdownRenderer.startsBlock(lines, i))) {
+                    paragraph.push(lines[i].trim());
+                    i++;
+                }
+                html.push(`<p>${paragraph.map(text => MarkdownRenderer.renderInline(text)).join('<br>')}</p>`);
+            }
+            return html.join('');
+        }
+
+        static startsBlock(lines, i) {
+            const line = lines[i];
+            return /^\s*(`{3,}|~{3,})/.test(line)
+                || /^\s*#{1,6}\s/.test(line)
+                || /^\s*>/.test(line)
+                || !!MarkdownRenderer.listMarker(line)
+                || MarkdownRenderer.isTableStart(lines, i);
+        }
+
+        /**
+         * Matches a list item line
+         * @returns {{indent: number, ordered: boolean, start: number, text: string}|null} The list item, or null
+         */
+        static listMarker(line) {
+            const match = line.match(/^(\s*)([-*+]|(\d{1,9})[.)])\s+(.*)$/);
+            if (!match) return null;
+            return {
+                indent: match[1].length,
+                ordered: match[3] !== undefined,
+                start: match[3] !== undefined ? parseInt(match[3], 10) : 1,
+                text: match[4]
+            };
+        }
+
+        /**
+         * Renders a list starting at line i. Lines indented past the marker belong to the item above,
+         * which is how nested lists are picked up.
+         * @returns {number} Index of the first line after the list
+         */
+        static renderList(lines, i, html) {
+            const first = MarkdownRenderer.listMarker(lines[i]);
+            const items = [];
+            while (i < lines.length) {
+                const marker = MarkdownRenderer.listMarker(lines[i]);
+                if (marker && marker.indent <= first.indent) {
+                    if (marker.ordered !== first.ordered) break;
+                    items.push([marker.text]);
+                    i++;
+                    continue;
+                }
+                const isContinuation = lines[i].trim() && /^\s/.test(lines[i]) && lines[i].search(/\S/) > first.indent;
+                if (!isContinuation) break;
+                items[items.length - 1].push(lines[i].slice(Math.min(lines[i].search(/\S/), first.indent + 2)));
+                i++;
+            }
+            const tag = first.ordered ? 'ol' : 'ul';
+            const start = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+            const body = items.map(item => {
+                const [text, ...rest] = item;
+                const nested = rest.length ? MarkdownRenderer.renderBlocks(rest) : '';
+                return `<li>${MarkdownRenderer.renderInline(text)}${nested}</li>`;
+            }).join('');
+            html.push(`<${tag}${start}>${body}</${tag}>`);
+            return i;
+        }
+
+        static splitTableRow(line) {
+            return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+        }
+
+        static isTableStart(lines, i) {
+            return lines[i].includes('|')
+                && i + 1 < lines.length
+                && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])
+                && lines[i + 1].includes('-');
+        }
+
+        /**
+         * @returns {number} Index of the first line after the table
+         */
+        static renderTable(lines, i, html) {
+            const headers = MarkdownRenderer.splitTableRow(lines[i]);
+            const aligns = MarkdownRenderer.splitTableRow(lines[i + 1]).map(cell =>
+                cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : '');
+            const cell = (tag, text, index) => {
+                const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+                return `<${tag}${align}>${MarkdownRenderer.renderInline(text || '')}</${tag}>`;
+            };
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                const cells = MarkdownRenderer.splitTableRow(lines[i]);
+                rows.push(`<tr>${headers.map((header, index) => cell('td', cells[index], index)).join('')}</tr>`);
+                i++;
+            }
+            html.push(`<div class="md-table-wrapper"><table><thead><tr>${headers.map((header, index) => cell('th', header, index)).join('')}</tr></thead>`
+                + `<tbody>${rows.join('')}</tbody></table></div>`);
+            return i;
+        }
+
+        /**
+         * Renders a fenced block with a copy button, plus a Use as Prompt button when the fence is labelled as a prompt
+         * @param {string} code - Raw block contents
+         * @param {string} label - Fence label (language or "prompt")
+         */
+        static renderCodeBlock(code, label) {
+            const isPrompt = MarkdownRenderer.isPromptLabel(label);
+            const promptButton = isPrompt
+                ? '<button class="basic-button md-code-action" data-md-action="prompt" title="Send only this block to the prompt box">Use as Prompt</button>'
+                : '';
+            return `<div class="md-code-block${isPrompt ? ' md-prompt-block' : ''}">`
+                + '<div class="md-code-header">'
+                + `<span class="md-code-label">${MarkdownRenderer.escapeHtml(label)}</span>`
+                + promptButton
+                + '<button class="basic-button md-code-action" data-md-action="copy" title="Copy to clipboard">Copy</button>'
+                + '</div>'
+                + `<pre><code>${MarkdownRenderer.escapeHtml(code)}</code></pre>`
+                + '</div>';
+        }
+
+        /**
+         * Renders inline Markdown: code spans, links, bold, italic and strikethrough
+         * @param {string} text - One line of raw text
+         * @returns {string} Sanitized HTML
+         */
+        static renderInline(text) {
+            const tokens = [];
+            const stash = (html) => {
+                tokens.push(html);
+                return `\u0000${tokens.length - 1}\u0000`;
+            };
+            // Pull out code spans and links first so their contents aren't formatted
+            let result = text.replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) =>
+                stash(`<code>${MarkdownRenderer.escapeHtml(code.trim())}</code>`));
+            // URLs may contain balanced parentheses, e.g. Wikipedia links, so a rejected URL doesn't leave a stray paren behind
+            result = result.replace(/\[([^\]]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) => {
+                const labelHtml = MarkdownRenderer.formatEmphasis(MarkdownRenderer.escapeHtml(label));
+                if (!MarkdownRenderer.LINK_PROTOCOLS.test(url)) {
+                    return stash(labelHtml);
+                }
+                return stash(`<a href="${MarkdownRenderer.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`);
+            });
+            result = MarkdownRenderer.formatEmphasis(MarkdownRenderer.escapeHtml(result));
+            return result.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+        }
+
+        /**
+         * Applies bold, italic and strikethrough to already-escaped text
+         */
+        static formatEmphasis(html) {
+            return html
+                .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+                .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+                .replace(/\*(?=[^\s*])([^*]*?[^\s*])?\*/g, (match, inner) => inner === undefined ? match : `<em>${inner}</em>`)
+                .replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])?_(?!\w)/g, (match, before, inner) => inner === undefined ? match : `${before}<em>${inner}</em>`)
+                .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+        }
+    }
+}
@@ -0,0 +1,260 @@
+/**
+ * sessions.js
+ * Saved chat conversations for the MagicPrompt extension.
+ * Conversations are stored server-side per SwarmUI user and listed in the chat sidebar.
+ */
+
+'use strict';
+
+// Initialize ChatSessionManager only if it doesn't exist
+if (!window.ChatSessionManager) {
+    window.ChatSessionManager = class ChatSessionManager {
+        constructor() {
+            // Session state
+            this.sessions = [];
+            this.currentSessionId = null;
+            this.saveTimer = null;
+            this.searchTimer = null;
+            this.saveInFlight = null;
+            // Bind methods
+            this.toggleSidebar = this.toggleSidebar.bind(this);
+            this.newChat = this.newChat.bind(this);
+            this.scheduleSave = this.scheduleSave.bind(this);
+        }
+
+        initialize() {
+            try {
+                this.elements = {
+                    sidebar: getRequiredElementById('chat_sessions_sidebar'),
+                    toggleButton: getRequiredElementById('sessions_button'),
+                    newChatButton: getRequiredElementById('new_chat_button'),
+                    searchInput: getRequiredElementById('chat_sessions_search'),
+                    list: getRequiredElementById('chat_sessions_list')
+                };
+                this.elements.toggleButton.addEventListener('click', this.toggleSidebar);
+                this.elements.newChatButton.addEventListener('click', this.newChat);
+                this.elements.searchInput.addEventListener('input', () => {
+                    clearTimeout(this.searchTimer);
+                    this.searchTimer = setTimeout(() => this.refreshList(), 300);
+                });
+                // Save whenever a reply completes or messages are removed
+                document.addEventListener('mpConversationChanged', this.scheduleSave);
+                this.refreshList();
+            } catch (error) {
+                console.error('Failed to initialize chat sessions:', error);
+            }
+        }
+
+        toggleSidebar() {
+            const isOpen = this.elements.sidebar.classList.toggle('open');
+            if (isOpen) {
+                this.refreshList();
+                this.elements.searchInput.focus();
+            }
+        }
+
+        /**
+         * Wraps genericRequest in a promise that rejects on API errors
+         * @param {string} name - API call name
+         * @param {Object} data - Request data
+         * @returns {Promise<Object>} API response
+         */
+        request(name, data) {
+            return new Promise((resolve, reject) => {
+                genericRequest(name, data, (response) => {
+                    if (response.success) {
+                        resolve(response);
+                    } else {
+                        reject(new Error(response.error || `${name} failed`));
+                    }
+                },
+                0,
+                (error) => reject(new Error(error)));
+            });
+        }
+
+        async refreshList() {
+            try {
+                const search = this.elements.searchInput.value.trim();
+                const response = await this.request('ListChatSessions', { search });
+                this.sessions = response.sessions || [];
+                this.renderList();
+            } catch (error) {
+                console.error('Failed to load chat sessions:', error);
+            }
+        }
+
+        renderList() {
+            const { list } = this.elements;
+            list.innerHTML = '';
+            if (!this.sessions.length) {
+                const empty = document.createElement('div');
+                empty.className = 'chat-sessions-empty';
+                empty.textContent = this.elements.searchInput.value.trim()
+                    ? 'No conversations match your search'
+                    : 'No saved conversations yet';
+                list.appendChild(empty);
+                return;
+            }
+            for (const session of this.sessions) {
+                list.appendChild(this.createListItem(session));
+            }
+        }
+
+        createListItem(session) {
+            const item = document.createElement('div');
+            item.className = 'chat-session-item';
+            item.classList.toggle('active', session.id === this.currentSessionId);
+            item.dataset.sessionId = session.id;
+            item.addEventListener('click', () => this.resume(session.id));
+            const title = document.createElement('div');
+            title.className = 'chat-session-title';
+            title.textContent = `${session.hasImage ? '🖼️ ' : ''}${session.title}`;
+            title.title = session.title;
+            const meta = document.createElement('div');
+            meta.className = 'chat-session-meta';
+            meta.textContent = `${session.messageCount} messages · ${new Date(session.updated).toLocaleString()}`;
+            const preview = document.createElement('div');
+            preview.className = 'chat-session-preview';
+            preview.textContent = session.preview || '';
+            const actions = document.createElement('div');
+            actions.className = 'chat-session-actions';
+            const addAction = (icon, tooltip, handler) => {
+                const button = document.createElement('button');
+                button.className = 'action-button';
+                button.dataset.tooltip = tooltip;
+                button.textContent = icon;
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    handler(session);
+                });
+                actions.appendChild(button);
+            };
+            addAction('✏️', 'Rename', (s) => this.rename(s));
+            addAction('📄', 'Duplicate', (s) => this.duplicate(s));
+            addAction('🗑️', 'Delete', (s) => this.remove(s));
+            item.append(title, meta, preview, actions);
+            return item;
+        }
+
+        /**
+         * Starts a fresh conversation. The previous one is already saved.
+         */
+        newChat() {
+            clearTimeout(this.saveTimer);
+            this.currentSessionId = null;
+            window.chatHandler?.clearConversation();
+            this.renderList();
+        }
+
+        scheduleSave() {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.saveCurrent(), 500);
+        }
+
+        /**
+         * Saves the open conversation, creating a new session on the first save
+         */
+        async saveCurrent() {
+            const chatHandler = window.chatHandler;
+            const messages = (chatHandler?.messages || [])
+                .filter(m => m.role === 'user' || m.role === 'assistant')
+                .map(m => ({ role: m.role, content: m.content, timestamp: m.timestamp }));
+            if (!messages.length) return;
+            // Wait for an earlier save so a new session isn't created twice
+            await this.saveInFlight;
+            const mode = document.getElementById('vision_mode')?.checked ? 'vision'
+                : document.getElementById('prompt_mode')?.checked ? 'prompt' : 'chat';
+            const chatSession = {
+                id: this.currentSessionId,
+                mode,
+                image: mode === 'vision' ? MP.ImageSource.get()?.dataUrl ?? null : null,
+                messages
+            };
+            if (!this.currentSessionId) {
+                const firstUserMessage = messages.find(m => m.role === 'user')?.content || 'New Chat';
+                chatSession.title = firstUserMessage.length > 40 ? `${firstUserMessage.slice(0, 40)}…` : firstUserMessage;
+            }
+            this.saveInFlight = this.request('SaveChatSession', { chatSession })
+                .then((response) => {
+                    this.currentSessionId = response.chatSession.id;
+                    return this.refreshList();
+                })
+                .catch((error) => console.error('Failed to save chat session:', error));
+            await this.saveInFlight;
+        }
+
+        /**
+         * Loads a saved conversation into the chat, restoring its mode and vision image
+         * @param {string} id - Session ID
+         */
+        async resume(id) {
+            if (window.chatHandler?.isTyping) {
+                showError('Wait for the current reply to finish before switching conversations');
+                return;
+            }
+            try {
+                clearTimeout(this.saveTimer);
+                await this.saveInFlight;
+                const response = await this.request('GetChatSession', { id });
+                const session = response.chatSession;
+                this.currentSessionId = session.id;
+                const modeRadio = document.getElementById(`${session.mode}_mode`);
+                if (modeRadio && !modeRadio.checked) {
+                    modeRadio.checked = true;
+                    modeRadio.dispatchEvent(new Event('change'));
+                }
+                if (session.image && window.visionTab) {
+                    window.visionTab.setImage(session.image, null, { autoCaption: false, origin: 'history' });
+                }
+                window.chatHandler?.loadConversation(session.messages || []);
+                this.renderList();
+            } catch (error) {
+                console.error('Failed to load chat session:', error);
+                showError(`Failed to load conversation: ${error.message}`);
+            }
+        }
+
+        async rename(session) {
+            const title = prompt('Rename conversation', session.title);
+            if (title === null || !title.trim()) return;
+            try {
+                await this.request('RenameChatSession', { id: session.id, title: title.trim() });
+                await this.refreshList();
+            } catch (error) {
+                showError(`Failed to rename conversation: ${error.message}`);
+            }
+        }
+
+        async duplicate(session) {
+            try {
+                await this.request('DuplicateChatSession', { id: session.id });
+                await this.refreshList();
+            } catch (error) {
+                showError(`Failed to duplicate conversation: ${error.message}`);
+            }
+        }
+
+        async remove(session) {
+            if (!confirm(`Delete "${session.title}"? This cannot be undone.`)) return;
+            try {
+                await this.request('DeleteChatSession', { id: session.id });
+                if (session.id === this.currentSessionId) {
+                    this.newChat();
+                }
+                await this.refreshList();
+            } catch (error) {
+                showError(`Failed to delete conversation: ${error.message}`);
+            }
+        }
+    }
+}
+
+// Create and initialize session manager
+const chatSessionManager = new window.ChatSessionManager();
+document.addEventListener('DOMContentLoaded', () => {
+    chatSessionManager.initialize();
+});
+
+// Export for use in other modules
+window.chatSessionManager = chatSessionManager;
@@ -7,7 +7,7 @@
 'use strict';
 
 // Define backends that don't need base URL configuration
-const FIXED_URL_BACKENDS = ['openai', 'anthropic', 'openrouter', 'grok'];
+const FIXED_URL_BACKENDS = ['openai', 'anthropic', 'openrouter', 'grok', 'gemini', 'mock'];
 
 // Define default feature to instruction mappings
 const DEFAULT_FEATURE_MAPPINGS = {
@@ -76,11 +76,26 @@ async function loadSettings() {
             visionmodel: serverSettings.visionmodel || '',
             linkChatAndVisionModels:
               serverSettings.linkChatAndVisionModels !== false, // Default to true if not set
+            streamResponses: serverSettings.streamResponses !== false, // Default to true if not set
             // Backends - merge using spread operator which does a "deep merge" of two objects
             backends: {
               ...MP.settings.backends, // Start with default endpoints
               ...(serverSettings.backends || {}), // Overlay server settings
             },
+            // Conversation history budget for the chat tab
+            chatHistory: {
+              ...MP.settings.chatHistory,
+              ...(serverSettings.chatHistory || {}),
+            },
+            // Resizing and re-encoding of images before vision requests
+            imagePreprocessing: {
+              ...MP.settings.imagePreprocessing,
+              ...(serverSettings.imagePreprocessing || {}),
+            },
+            // Backend and model pinned per feature
+            featureRouting: { ...(serverSettings.featureRouting || {}) },
+            // Backend and model pairs tried in order when the backend fails
+            fallbackChain: Array.isArray(serverSettings.fallbackChain) ? serverSettings.fallbackChain : [],
             // Instructions - ensure we get the proper values from the server
             instructions: {
               chat: '',
@@ -148,6 +163,8 @@ async function loadSettings() {
  */
 async function saveSettings(skipFeatureMappings = false) {
   try {
+    storeBackendSampling();
+    storeMockSettings();
     // Check if models are linked
     const isLinked = document.getElementById('linkModelsToggle')?.checked;
     // Get the selected backends
@@ -190,6 +207,10 @@ async function saveSettings(skipFeatureMappings = false) {
     const visionTimeout = isLinked
       ? chatTimeout
       : parseInt(document.getElementById('visionTimeout')?.value, 10);
+    const historyTurns = parseInt(document.getElementById('historyMaxTurns')?.value, 10);
+    const historyTokens = parseInt(document.getElementById('historyMaxTokens')?.value, 10);
+    const preprocessMaxEdge = parseInt(document.getElementById('preprocessMaxEdge')?.value, 10);
+    const preprocessQuality = parseInt(document.getElementById('preprocessQuality')?.value, 10);
     // Create settings object matching exact structure expected by C# DefaultSettings
     const settings = {
       // Core settings
@@ -198,6 +219,9 @@ async function saveSettings(skipFeatureMappings = false) {
       visionbackend: visionBackendId,
       visionmodel: visionModel,
       linkChatAndVisionModels: isLinked,
+      streamResponses:
+        document.getElementById('streamResponsesToggle')?.checked ??
+        MP.settings.streamResponses !== false,
       backends: {
         ...MP.settings.backends,
         [chatBackendId]: {
@@ -213,6 +237,21 @@ async function saveSettings(skipFeatureMappings = false) {
           timeout: !isNaN(visionTimeout) && visionTimeout >= 0 ? visionTimeout : MP.settings.backends[visionBackendId]?.timeout,
         },
       },
+      chatHistory: {
+        ...MP.settings.chatHistory,
+        maxTurns: !isNaN(historyTurns) && historyTurns >= 0 ? historyTurns : MP.settings.chatHistory?.maxTurns,
+        maxTokens: !isNaN(historyTokens) && historyTokens >= 0 ? historyTokens : MP.settings.chatHistory?.maxTokens,
+        truncation: document.getElementById('historyTruncation')?.value || MP.settings.chatHistory?.truncation,
+      },
+      imagePreprocessing: {
+        ...MP.settings.imagePreprocessing,
+        enabled: document.getElementById('preprocessImagesToggle')?.checked ?? MP.settings.imagePreprocessing?.enabled !== false,
+        maxEdge: !isNaN(preprocessMaxEdge) && preprocessMaxEdge >= 64 ? preprocessMaxEdge : MP.settings.imagePreprocessing?.maxEdge,
+        format: document.getElementById('preprocessFormat')?.value || MP.settings.imagePreprocessing?.format,
+        quality: !isNaN(preprocessQuality) && preprocessQuality >= 1 && preprocessQuality <= 100 ? preprocessQuality : MP.settings.imagePreprocessing?.quality,
+      },
+      featureRouting: MP.settings.featureRouting || {},
+      fallbackChain: MP.settings.fallbackChain || [],
       instructions: MP.settings.instructions,
     };
     // Update MP.settings with the new values
@@ -377,6 +416,13 @@ async function fetchModels() {
           setModelIfExists(modelSelect, MP.settings.model);
         }
       }
+      showBackendProps(chatBackendId);
+      // History trimming in vision mode reads the vision backend's context size
+      if (visionBackendId === 'llamacpp' && visionBackendId !== chatBackendId) {
+        MP.APIClient.getBackendProps(visionBackendId).catch((error) => {
+          console.warn('Failed to read vision server properties:', error);
+        });
+      }
 
       // Add vision models
       if (Array.isArray(response.visionmodels)) {
@@ -426,6 +472,27 @@ async function fetchModels() {
   }
 }
 
+/**
+ * Shows the loaded model and context size under the model select for servers that report them (llama.cpp, KoboldCpp)
+ * @param {string} backend - Chat backend ID
+ */
+async function showBackendProps(backend) {
+  const info = document.getElementById('backendPropsInfo');
+  if (info) info.style.display = 'none';
+  if (backend !== 'llamacpp') return;
+  try {
+    const props = await MP.APIClient.getBackendProps(backend);
+    if (!info || MP.settings.backend !== backend) return;
+    info.textContent = [
+      props.model ? `Loaded: ${props.model}` : null,
+      props.contextLength ? `Context: ${props.contextLength} tokens` : null,
+    ].filter(Boolean).join(' · ');
+    info.style.display = info.textContent ? 'block' : 'none';
+  } catch (error) {
+    console.warn('Failed to read server properties:', error);
+  }
+}
+
 function updateModelListOnLeft() {
   try {
     const modelSelect = document.getElementById('modelSelect');
@@ -660,6 +727,389 @@ function saveFeatureMappingsFromUI() {
   saveSettings(true); // Pass true to skipFeatureMappings to prevent recursion
 }
 
+// Features that can pin their own backend and model, vision features only list models that can see images
+const ROUTABLE_FEATURES = [
+  { id: 'enhance-prompt', label: 'Enhance Prompt Button', vision: false },
+  { id: 'magic-vision', label: 'Magic Vision Button', vision: true },
+  { id: 'random-prompt', label: 'Random Prompt', vision: false },
+  { id: 'caption', label: 'Image Caption', vision: true },
+  { id: 'generate-instruction', label: 'Instruction Generator', vision: false },
+  { id: 'mpprompt', label: '<mpprompt> Tags', vision: false },
+];
+
+/**
+ * Builds the Model Routing rows, one backend and model select per feature.
+ * Rows are rebuilt on every call so their listeners are never added twice.
+ */
+function populateFeatureRouting() {
+  const grid = document.getElementById('feature-routing-grid');
+  if (!grid) return;
+  grid.innerHTML = '';
+  ROUTABLE_FEATURES.forEach((feature) => {
+    const route = MP.settings.featureRouting?.[feature.id] || {};
+    const item = document.createElement('div');
+    item.className = 'feature-association-item';
+    const label = document.createElement('label');
+    label.className = 'form-label';
+    label.textContent = feature.label;
+    const selects = document.createElement('div');
+    selects.className = 'feature-routing-selects';
+    const backendSelect = document.createElement('select');
+    backendSelect.className = 'form-select';
+    backendSelect.add(new Option(feature.vision ? 'Default (Vision Model)' : 'Default (Chat Model)', ''));
+    Object.keys(MP.settings.backends).forEach((backendId) => {
+      backendSelect.add(new Option(MP.backendLabels?.[backendId] || backendId, backendId));
+    });
+    const modelSelect = document.createElement('select');
+    modelSelect.className = 'form-select';
+    selects.append(backendSelect, modelSelect);
+    item.append(label, selects);
+    grid.appendChild(item);
+
+    const saveRoute = () => {
+      const backend = backendSelect.value;
+      const model = backend ? modelSelect.value : '';
+      MP.settings.featureRouting = MP.settings.featureRouting || {};
+      // Empty strings rather than removing the key, the server merges saved settings into the old ones
+      MP.settings.featureRouting[feature.id] = { backend, model };
+      saveSettings();
+    };
+    backendSelect.addEventListener('change', () => {
+      populateRouteModels(modelSelect, backendSelect.value, '', feature.vision);
+      saveRoute();
+    });
+    modelSelect.addEventListener('change', saveRoute);
+    backendSelect.value = MP.settings.backends[route.backend] ? route.backend : '';
+    populateRouteModels(modelSelect, backendSelect.value, route.model, feature.vision);
+  });
+}
+
+// Sampling parameters, set per backend and overridable per custom instruction. Blank fields use the default.
+const SAMPLING_FIELDS = [
+  { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.05 },
+  { key: 'topP', label: 'Top P', min: 0, max: 1, step: 0.05 },
+  { key: 'topK', label: 'Top K', min: 1, step: 1 },
+  { key: 'maxTokens', label: 'Max Tokens', min: 1, step: 1 },
+  { key: 'repetitionPenalty', label: 'Repetition Penalty', min: 0, max: 2, step: 0.05 },
+];
+
+/**
+ * Creates the sampling inputs inside a container, once
+ * @param {string} containerId - ID of the .sampling-fields container, also the prefix of the input IDs
+ */
+function renderSamplingFields(containerId) {
+  const container = document.getElementById(containerId);
+  if (!container || container.childElementCount) return;
+  SAMPLING_FIELDS.forEach((field) => {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    const label = document.createElement('label');
+    label.className = 'form-label';
+    label.htmlFor = `${containerId}-${field.key}`;
+    label.textContent = field.label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'form-control';
+    input.id = `${containerId}-${field.key}`;
+    input.min = field.min;
+    if (field.max !== undefined) input.max = field.max;
+    input.step = field.step;
+    input.placeholder = 'Default';
+    group.append(label, input);
+    container.appendChild(group);
+  });
+  const stopGroup = document.createElement('div');
+  stopGroup.className = 'form-group sampling-stop';
+  stopGroup.innerHTML = `
+    <label class="form-label" for="${containerId}-stop">Stop Sequences</label>
+    <input type="text" class="form-control" id="${containerId}-stop" placeholder="Comma-separated, \\n for a line break">
+  `;
+  container.appendChild(stopGroup);
+}
+
+/**
+ * Fills sampling inputs from saved values
+ * @param {string} containerId - ID of the .sampling-fields container
+ * @param {Object} [sampling] - Saved sampling values
+ */
+function fillSamplingFields(containerId, sampling = {}) {
+  SAMPLING_FIELDS.forEach((field) => {
+    const input = document.getElementById(`${containerId}-${field.key}`);
+    if (input) input.value = sampling?.[field.key] ?? '';
+  });
+  const stopInput = document.getElementById(`${containerId}-stop`);
+  if (stopInput) {
+    stopInput.value = (sampling?.stop || []).map((stop) => stop.replace(/\n/g, '\\n')).join(', ');
+  }
+}
+
+/**
+ * Reads sampling inputs. Blank fields are kept as empty strings so saving clears them on the server.
+ * @param {string} containerId - ID of the .sampling-fields container
+ * @returns {Object} Sampling values
+ */
+function readSamplingFields(containerId) {
+  const sampling = {};
+  SAMPLING_FIELDS.forEach((field) => {
+    const value = parseFloat(document.getElementById(`${containerId}-${field.key}`)?.value);
+    sampling[field.key] = isNaN(value) ? '' : value;
+  });
+  sampling.stop = (document.getElementById(`${containerId}-stop`)?.value || '')
+    .split(',')
+    .map((stop) => stop.trim().replace(/\\n/g, '\n'))
+    .filter((stop) => stop);
+  return sampling;
+}
+
+/**
+ * Gets the sampling overrides of a custom instruction
+ * @param {string} instructionId - Instruction ID
+ * @returns {Object|null} Only the values that are set, or null if there are none
+ */
+function getInstructionSampling(instructionId) {
+  const sampling = MP.settings.instructions?.custom?.[instructionId]?.sampling;
+  if (!sampling) return null;
+  const overrides = Object.fromEntries(
+    Object.entries(sampling).filter(([, value]) => value !== '' && value !== null && !(Array.isArray(value) && !value.length))
+  );
+  return Object.keys(overrides).length ? overrides : null;
+}
+
+/**
+ * Gets the grammar or JSON schema a custom instruction forces on the output
+ * @param {string} instructionId - Instruction ID
+ * @returns {{type: string, value: string}|null} The constraint, or null if there is none
+ */
+function getInstructionConstraint(instructionId) {
+  const constraint = MP.settings.instructions?.custom?.[instructionId]?.constraint;
+  return constraint?.type && constraint.value?.trim() ? { type: constraint.type, value: constraint.value } : null;
+}
+
+/**
+ * Fills the Output Constraint fields of the custom instruction modal
+ * @param {Object} [constraint] - Saved constraint
+ */
+function fillConstraintFields(constraint) {
+  const typeSelect = document.getElementById('instructionConstraintType');
+  const valueInput = document.getElementById('instructionConstraintValue');
+  if (!typeSelect || !valueInput) return;
+  typeSelect.value = constraint?.type || '';
+  valueInput.value = constraint?.value || '';
+  valueInput.style.display = typeSelect.value ? 'block' : 'none';
+  // Assigned rather than added because the modal runs this every time it opens
+  typeSelect.onchange = () => {
+    valueInput.style.display = typeSelect.value ? 'block' : 'none';
+    valueInput.placeholder = typeSelect.value === 'gbnf'
+      ? 'root ::= tag ("," " " tag)*\ntag ::= [a-z0-9 ]+'
+      : '{"type": "object", "properties": {"tags": {"type": "array", "items": {"type": "string"}}}}';
+  };
+  typeSelect.onchange();
+}
+
+/**
+ * Reads the Output Constraint fields. A blank type is kept so saving clears a removed constraint on the server.
+ * @returns {{type: string, value: string}|null} The constraint, or null if the JSON schema isn't valid JSON
+ */
+function readConstraintFields() {
+  const type = document.getElementById('instructionConstraintType')?.value || '';
+  const value = type ? document.getElementById('instructionConstraintValue')?.value.trim() || '' : '';
+  if (type === 'json_schema' && value) {
+    try {
+      JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  return { type: value ? type : '', value };
+}
+
+/**
+ * Fills the Generation Parameters card with the sampling settings of a backend
+ */
+function initSamplingSettings() {
+  const backendSelect = document.getElementById('samplingBackend');
+  if (!backendSelect) return;
+  renderSamplingFields('backendSampling');
+  backendSelect.innerHTML = '';
+  Object.keys(MP.settings.backends).forEach((backendId) => {
+    backendSelect.add(new Option(MP.backendLabels?.[backendId] || backendId, backendId));
+  });
+  backendSelect.value = MP.settings.backend || 'ollama';
+  backendSelect.dataset.backend = backendSelect.value;
+  fillSamplingFields('backendSampling', MP.settings.backends[backendSelect.value]?.sampling);
+  // Assigned rather than added because the settings modal runs this every time it opens
+  backendSelect.onchange = () => {
+    storeBackendSampling();
+    backendSelect.dataset.backend = backendSelect.value;
+    fillSamplingFields('backendSampling', MP.settings.backends[backendSelect.value]?.sampling);
+  };
+}
+
+/**
+ * Copies the Generation Parameters inputs into the settings of the backend they belong to
+ */
+function storeBackendSampling() {
+  const backend = document.getElementById('samplingBackend')?.dataset.backend;
+  if (!backend || !MP.settings.backends[backend]) return;
+  MP.settings.backends[backend] = {
+    ...MP.settings.backends[backend],
+    sampling: readSamplingFields('backendSampling'),
+  };
+}
+
+/**
+ * Fills the Mock Backend card from the settings
+ */
+function initMockSettings() {
+  const mock = MP.settings.backends.mock || {};
+  const latencyInput = document.getElementById('mockLatency');
+  if (!latencyInput) return;
+  latencyInput.value = mock.latency ?? '';
+  document.getElementById('mockStreamDelay').value = mock.streamDelay ?? '';
+  document.getElementById('mockError').value = mock.error || '';
+  const scriptInput = document.getElementById('mockScript');
+  scriptInput.value = mock.script || '';
+  scriptInput.classList.remove('is-invalid');
+}
+
+/**
+ * Copies the Mock Backend inputs into the mock backend's settings. A script that isn't valid JSON is not saved.
+ */
+function storeMockSettings() {
+  const scriptInput = document.getElementById('mockScript');
+  if (!scriptInput || !MP.settings.backends.mock) return;
+  const mock = { ...MP.settings.backends.mock };
+  const latency = parseInt(document.getElementById('mockLatency').value, 10);
+  const streamDelay = parseInt(document.getElementById('mockStreamDelay').value, 10);
+  mock.latency = !isNaN(latency) && latency >= 0 ? latency : mock.latency;
+  mock.streamDelay = !isNaN(streamDelay) && streamDelay >= 0 ? streamDelay : mock.streamDelay;
+  mock.error = document.getElementById('mockError').value;
+  const script = scriptInput.value.trim();
+  try {
+    const parsed = script ? JSON.parse(script) : {};
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('the script must be a JSON object');
+    }
+    mock.script = script;
+    scriptInput.classList.remove('is-invalid');
+  } catch (error) {
+    scriptInput.classList.add('is-invalid');
+    showError(`Mock backend script not saved: ${error.message}`);
+  }
+  MP.settings.backends.mock = mock;
+}
+
+/**
+ * Builds the fallback chain editor. Structural changes rebuild the rows, so their listeners are never added twice.
+ */
+function populateFallbackChain() {
+  const list = document.getElementById('fallback-chain-list');
+  if (!list) return;
+  list.innerHTML = '';
+  const chain = [...(MP.settings.fallbackChain || [])];
+  const update = (newChain) => {
+    MP.settings.fallbackChain = newChain;
+    saveSettings();
+    populateFallbackChain();
+  };
+  chain.forEach((entry, index) => {
+    const item = document.createElement('div');
+    item.className = 'fallback-chain-item';
+    const position = document.createElement('span');
+    position.className = 'fallback-chain-position';
+    position.textContent = `${index + 1}.`;
+    const backendSelect = document.createElement('select');
+    backendSelect.className = 'form-select';
+    Object.keys(MP.settings.backends).forEach((backendId) => {
+      backendSelect.add(new Option(MP.backendLabels?.[backendId] || backendId, backendId));
+    });
+    backendSelect.value = entry.backend;
+    const modelSelect = document.createElement('select');
+    modelSelect.className = 'form-select';
+    const addButton = (text, title, disabled, handler) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn btn-sm btn-outline-secondary';
+      button.textContent = text;
+      button.title = title;
+      button.disabled = disabled;
+      button.addEventListener('click', handler);
+      return button;
+    };
+    const move = (offset) => {
+      const moved = [...chain];
+      [moved[index], moved[index + offset]] = [moved[index + offset], moved[index]];
+      update(moved);
+    };
+    backendSelect.addEventListener('change', () => {
+      chain[index] = { backend: backendSelect.value, model: '' };
+      update(chain);
+    });
+    modelSelect.addEventListener('change', () => {
+      chain[index] = { ...chain[index], model: modelSelect.value };
+      MP.settings.fallbackChain = chain;
+      saveSettings();
+    });
+    item.append(
+      position,
+      backendSelect,
+      modelSelect,
+      addButton('↑', 'Try earlier', index === 0, () => move(-1)),
+      addButton('↓', 'Try later', index === chain.length - 1, () => move(1)),
+      addButton('×', 'Remove', false, () => update(chain.filter((_, i) => i !== index)))
+    );
+    list.appendChild(item);
+    populateRouteModels(modelSelect, entry.backend, entry.model, false);
+  });
+  const addFallbackButton = document.createElement('button');
+  addFallbackButton.type = 'button';
+  addFallbackButton.className = 'btn btn-sm btn-outline-primary';
+  addFallbackButton.textContent = '+ Add Fallback';
+  addFallbackButton.addEventListener('click', () => {
+    update([...chain, { backend: MP.settings.backend || 'ollama', model: '' }]);
+  });
+  list.appendChild(addFallbackButton);
+}
+
+/**
+ * Fills a Model Routing or fallback chain model select with the models of a backend
+ * @param {HTMLSelectElement} select - Model select
+ * @param {string} backend - Backend ID, empty for the default model
+ * @param {string} model - Model to select once loaded
+ * @param {boolean} vision - Only list models that can see images
+ */
+async function populateRouteModels(select, backend, model, vision) {
+  select.innerHTML = '';
+  if (!backend) {
+    select.add(new Option('-- Uses the selected model --', ''));
+    select.disabled = true;
+    return;
+  }
+  select.add(new Option('Loading models...', ''));
+  select.disabled = true;
+  try {
+    const models = await MP.APIClient.getBackendModels(backend, vision);
+    select.innerHTML = '';
+    select.add(new Option('-- Select a model --', ''));
+    models.forEach((entry) => {
+      if (entry.model && !select.querySelector(`option[value="${CSS.escape(entry.model)}"]`)) {
+        select.add(new Option(entry.name || entry.model, entry.model));
+      }
+    });
+    // Keep a pinned model that the backend no longer lists so the route isn't silently dropped
+    if (model && !select.querySelector(`option[value="${CSS.escape(model)}"]`)) {
+      select.add(new Option(`${model} (not found)`, model));
+    }
+    select.value = model || '';
+  } catch (error) {
+    console.error(`Failed to load models for ${backend}:`, error);
+    select.innerHTML = '';
+    select.add(new Option('Failed to load models', model || ''));
+  } finally {
+    select.disabled = false;
+  }
+}
+
 /**
  * Adds a new custom instruction
  * @param {Object} data - Instruction data
@@ -682,6 +1132,12 @@ function addCustomInstruction(data) {
     created: data.created || new Date().toISOString(),
     updated: new Date().toISOString(),
   };
+  if (data.sampling) {
+    instruction.sampling = data.sampling;
+  }
+  if (data.constraint) {
+    instruction.constraint = data.constraint;
+  }
   if (!MP.settings.instructions.custom) {
     MP.settings.instructions.custom = {};
   }
@@ -714,6 +1170,8 @@ function updateCustomInstruction(id, data) {
       ? [data.categories]
       : instruction.categories;
   }
+  if (data.sampling) instruction.sampling = data.sampling;
+  if (data.constraint) instruction.constraint = data.constraint;
   instruction.updated = new Date().toISOString();
   updateCustomInstructionInUI(id);
   populateFeatureSelects();
@@ -996,6 +1454,9 @@ function showCustomInstructionModal(id = null) {
   categoryCheckboxes.forEach((checkbox) => {
     checkbox.checked = false;
   });
+  renderSamplingFields('instructionSampling');
+  fillSamplingFields('instructionSampling', id ? MP.settings.instructions?.custom?.[id]?.sampling : {});
+  fillConstraintFields(id ? MP.settings.instructions?.custom?.[id]?.constraint : null);
   if (id) {
     const instruction = MP.settings.instructions?.custom?.[id];
     if (!instruction) {
@@ -1259,11 +1720,19 @@ function saveCustomInstructionFromForm() {
   const categories = Array.from(categoryCheckboxes).map(
     (checkbox) => checkbox.value
   );
+  const constraint = readConstraintFields();
+  if (!constraint) {
+    alert('The JSON schema is not valid JSON');
+    document.getElementById('instructionConstraintValue').focus();
+    return;
+  }
   const data = {
     title: titleInput.value.trim(),
     content: contentValue,
     tooltip: tooltipInput.value.trim(),
     categories,
+    sampling: readSamplingFields('instructionSampling'),
+    constraint,
   };
   const id = idInput.value; // Get ID (if editing)
   if (id) {
@@ -1390,6 +1859,8 @@ function importCustomInstructions(file) {
           content: instruction.content,
           tooltip: instruction.tooltip,
           categories: instruction.categories || [],
+          sampling: instruction.sampling,
+          constraint: instruction.constraint,
         });
         imported++;
       });
@@ -1649,6 +2120,7 @@ function initInstructionsUI() {
   updateInstructionUI(selectedType);
   renderCustomInstructionsList();
   populateFeatureSelects();
+  populateFeatureRouting();
   // Set up instruction management buttons
   const addCustomInstructionBtn = document.getElementById(
     'addCustomInstructionBtn'
@@ -1836,6 +2308,36 @@ function initSettingsModal() {
     if (visionTimeoutInput) {
       visionTimeoutInput.value = MP.settings.backends[currentVisionBackend]?.timeout ?? 20;
     }
+    const streamResponsesToggle = document.getElementById('streamResponsesToggle');
+    if (streamResponsesToggle) {
+      streamResponsesToggle.checked = MP.settings.streamResponses !== false;
+    }
+    // Conversation history budget
+    const historyConfig = MP.settings.chatHistory || {};
+    const historyTurnsInput = document.getElementById('historyMaxTurns');
+    if (historyTurnsInput) {
+      historyTurnsInput.value = historyConfig.maxTurns ?? 10;
+    }
+    const historyTokensInput = document.getElementById('historyMaxTokens');
+    if (historyTokensInput) {
+      historyTokensInput.value = historyConfig.maxTokens ?? 4000;
+    }
+    const historyTruncationSelect = document.getElementById('historyTruncation');
+    if (historyTruncationSelect) {
+      historyTruncationSelect.value = historyConfig.truncation || 'oldest';
+    }
+    // Image preprocessing
+    const preprocessConfig = MP.settings.imagePreprocessing || {};
+    const preprocessToggle = document.getElementById('preprocessImagesToggle');
+    if (preprocessToggle) {
+      preprocessToggle.checked = preprocessConfig.enabled !== false;
+      document.getElementById('preprocessMaxEdge').value = preprocessConfig.maxEdge ?? 1536;
+      document.getElementById('preprocessFormat').value = preprocessConfig.format || 'webp';
+      document.getElementById('preprocessQuality').value = preprocessConfig.quality ?? 85;
+    }
+    populateFallbackChain();
+    initSamplingSettings();
+    initMockSettings();
     initInstructionsUI();
     initInstructionsTabInterface();
 
@@ -0,0 +1,304 @@
+/**
+ * tageditor.js
+ * Caption tag editor for the MagicPrompt extension.
+ * Shows captions as chips that can be reordered, removed and merged, and applies the user's
+ * trigger words and tag blacklist to every caption, including batch captions.
+ */
+
+'use strict';
+
+// Initialize CaptionTagEditor only if it doesn't exist
+if (!window.CaptionTagEditor) {
+    window.CaptionTagEditor = class CaptionTagEditor {
+        constructor() {
+            this.rules = { triggerWords: [], blacklist: [] };
+            this.tags = [];
+            this.selected = new Set();
+            this.dragIndex = null;
+            this.elements = {};
+            this.rulesPanel = null;
+        }
+
+        initialize() {
+            try {
+                this.elements = {
+                    editor: getRequiredElementById('caption_tag_editor'),
+                    chips: getRequiredElementById('caption_tag_chips'),
+                    addInput: getRequiredElementById('caption_tag_input'),
+                    mergeButton: getRequiredElementById('caption_tag_merge_btn'),
+                    rulesButtons: document.querySelectorAll('.caption-tag-rules-button'),
+                    captionContent: document.querySelector('.caption-content')
+                };
+                this.rulesPanel = this.createRulesPanel();
+                this.elements.addInput.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        this.addTags(this.elements.addInput.value);
+                        this.elements.addInput.value = '';
+                    }
+                });
+                this.elements.mergeButton.addEventListener('click', () => this.mergeSelected());
+                this.elements.rulesButtons.forEach(button => button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.toggleRulesPanel(button);
+                }));
+                this.loadRules();
+            } catch (error) {
+                console.error('Failed to initialize caption tag editor:', error);
+            }
+        }
+
+        /**
+         * Splits a caption into trimmed, non-empty comma-separated tags
+         * @param {string} text - Caption text
+         * @returns {string[]} Tags in order
+         */
+        static splitTags(text) {
+            return (text || '').split(',').map(tag => tag.trim()).filter(tag => tag);
+        }
+
+        loadRules() {
+            genericRequest('GetCaptionTagRules', {}, (data) => {
+                this.rules = { triggerWords: data.triggerWords || [], blacklist: data.blacklist || [] };
+            }, 0, (error) => console.warn('Failed to load caption tag rules:', error));
+        }
+
+        saveRules(triggerWords, blacklist) {
+            genericRequest('SaveCaptionTagRules', { triggerWords, blacklist }, (data) => {
+                if (!data.success) {
+                    showError(data.error || 'Failed to save caption tag rules');
+                    return;
+                }
+                this.rules = { triggerWords: data.triggerWords, blacklist: data.blacklist };
+                // Apply the new rules to the caption being edited
+                if (this.isVisible()) {
+                    this.setTags(CaptionTagEditor.splitTags(this.applyRules(this.tags.join(', '), 'tags')));
+                }
+            });
+        }
+
+        /**
+         * Checks a tag against the blacklist. Entries match case-insensitively and * matches any text.
+         * @param {string} tag - Tag to check
+         * @returns {boolean} True if the tag should be removed
+         */
+        isBlacklisted(tag) {
+            const lowerTag = tag.toLowerCase();
+            return this.rules.blacklist.some(entry => {
+                const pattern = entry.toLowerCase();
+                if (!pattern.includes('*')) {
+                    return pattern === lowerTag;
+                }
+                const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+                return new RegExp(`^${escaped.join('.*')}$`).test(lowerTag);
+            });
+        }
+
+        /**
+         * Removes blacklisted tags and puts the trigger words first. JSON captions are left alone.
+         * @param {string} caption - Validated caption
+         * @param {string} format - Caption format key
+         * @returns {string} Caption with the rules applied
+         */
+        applyRules(caption, format) {
+            if (format === 'json') {
+                return caption;
+            }
+            const triggerWords = this.rules.triggerWords.map(word => word.toLowerCase());
+            const tags = CaptionTagEditor.splitTags(caption)
+                .filter(tag => !this.isBlacklisted(tag) && !triggerWords.includes(tag.toLowerCase()));
+            return [...this.rules.triggerWords, ...tags].join(', ');
+        }
+
+        /**
+         * Shows the chip editor for a finished caption
+         * @param {string} caption - Caption text
+         * @param {string} format - Caption format key, JSON captions stay as plain text
+         */
+        show(caption, format) {
+            if (format === 'json') {
+                this.hide();
+                return;
+            }
+            this.setTags(CaptionTagEditor.splitTags(caption));
+            this.elements.captionContent.style.display = 'none';
+            this.elements.editor.style.display = 'flex';
+        }
+
+        hide() {
+            if (!this.elements.editor) return;
+            this.elements.editor.style.display = 'none';
+            this.tags = [];
+            this.selected.clear();
+        }
+
+        isVisible() {
+            return this.elements.editor?.style.display === 'flex';
+        }
+
+        setTags(tags) {
+            this.tags = tags;
+            this.selected.clear();
+            this.render();
+            // The caption text is what Send To Prompt and saved conversations read
+            this.elements.captionContent.textContent = this.tags.join(', ');
+        }
+
+        addTags(text) {
+            const newTags = CaptionTagEditor.splitTags(text).filter(tag => !this.isBlacklisted(tag));
+            if (newTags.length) {
+                this.setTags([...this.tags, ...newTags]);
+            }
+        }
+
+        removeTag(index) {
+            this.setTags(this.tags.filter((tag, i) => i !== index));
+        }
+
+        moveTag(fromIndex, toIndex) {
+            if (fromIndex === toIndex) return;
+            const tags = [...this.tags];
+            const [tag] = tags.splice(fromIndex, 1);
+            tags.splice(toIndex, 0, tag);
+            this.setTags(tags);
+        }
+
+        /**
+         * Joins the selected chips into one tag at the position of the first
+         */
+        mergeSelected() {
+            const indexes = [...this.selected].sort((a, b) => a - b);
+            if (indexes.length < 2) return;
+            const merged = indexes.map(i => this.tags[i]).join(' ');
+            const tags = this.tags.filter((tag, i) => !indexes.slice(1).includes(i));
+            tags[indexes[0]] = merged;
+            this.setTags(tags);
+        }
+
+        render() {
+            const { chips, mergeButton } = this.elements;
+            chips.innerHTML = '';
+            const triggerWords = this.rules.triggerWords.map(word => word.toLowerCase());
+            this.tags.forEach((tag, index) => {
+                const chip = document.createElement('span');
+                chip.className = 'caption-tag-chip';
+                chip.classList.toggle('selected', this.selected.has(index));
+                chip.classList.toggle('trigger', triggerWords.includes(tag.toLowerCase()));
+                chip.draggable = true;
+                chip.title = 'Click to select for merging, drag to reorder, double-click to edit';
+                const label = document.createElement('span');
+                label.textContent = tag;
+                const removeButton = document.createElement('button');
+                removeButton.className = 'caption-tag-remove';
+                removeButton.textContent = '×';
+                removeButton.title = 'Remove tag';
+                removeButton.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.removeTag(index);
+                });
+                chip.append(label, removeButton);
+                chip.addEventListener('click', () => {
+                    if (this.selected.has(index)) {
+                        this.selected.delete(index);
+                    } else {
+                        this.selected.add(index);
+                    }
+                    chip.classList.toggle('selected', this.selected.has(index));
+                    mergeButton.disabled = this.selected.size < 2;
+                });
+                chip.addEventListener('dblclick', () => {
+                    const edited = prompt('Edit tag', tag);
+                    if (edited === null) return;
+                    const tags = [...this.tags];
+                    tags.splice(index, 1, ...CaptionTagEditor.splitTags(edited));
+                    this.setTags(tags);
+                });
+                chip.addEventListener('dragstart', (e) => {
+                    this.dragIndex = index;
+                    e.dataTransfer.effectAllowed = 'move';
+                    chip.classList.add('dragging');
+                });
+                chip.addEventListener('dragend', () => chip.classList.remove('dragging'));
+                chip.addEventListener('dragover', (e) => e.preventDefault());
+                chip.addEventListener('drop', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    if (this.dragIndex !== null) {
+                        this.moveTag(this.dragIndex, index);
+                        this.dragIndex = null;
+                    }
+                });
+                chips.appendChild(chip);
+            });
+            mergeButton.disabled = this.selected.size < 2;
+        }
+
+        /**
+         * Builds the popover for editing trigger words and the blacklist
+         * @returns {HTMLElement} The popover panel
+         */
+        createRulesPanel() {
+            const panel = document.createElement('div');
+            panel.className = 'magicprompt prompt-settings-panel caption-tag-rules-panel';
+            panel.style.display = 'none';
+            panel.innerHTML = `
+                <div class="settings-panel-header">
+                    <h3>Caption Tag Rules</h3>
+                    <button class="panel-close-btn">×</button>
+                </div>
+                <div class="settings-panel-body">
+                    <div class="feature-setting">
+                        <label for="caption_trigger_words">Trigger Words:</label>
+                        <input type="text" id="caption_trigger_words" class="feature-select" placeholder="ohwx, my style">
+                        <div class="setting-description">Comma-separated, added to the front of every caption</div>
+                    </div>
+                    <div class="feature-setting">
+                        <label for="caption_blacklist">Blacklist:</label>
+                        <textarea id="caption_blacklist" class="feature-select" rows="3" placeholder="watermark, signature, *text*"></textarea>
+                        <div class="setting-description">Comma-separated tags removed from every caption, including batch captions. * matches any text.</div>
+                    </div>
+                    <button class="basic-button caption-tag-rules-save">Save Rules</button>
+                </div>
+            `;
+            document.body.appendChild(panel);
+            panel.querySelector('.panel-close-btn').addEventListener('click', () => {
+                panel.style.display = 'none';
+            });
+            panel.querySelector('.caption-tag-rules-save').addEventListener('click', () => {
+                this.saveRules(
+                    CaptionTagEditor.splitTags(panel.querySelector('#caption_trigger_words').value),
+                    CaptionTagEditor.splitTags(panel.querySelector('#caption_blacklist').value)
+                );
+                panel.style.display = 'none';
+            });
+            // Close panel when clicking outside
+            document.addEventListener('click', (e) => {
+                if (panel.style.display === 'block' && !panel.contains(e.target)) {
+                    panel.style.display = 'none';
+                }
+            });
+            return panel;
+        }
+
+        toggleRulesPanel(button) {
+            const panel = this.rulesPanel;
+            if (panel.style.display === 'block') {
+                panel.style.display = 'none';
+                return;
+            }
+            panel.querySelector('#caption_trigger_words').value = this.rules.triggerWords.join(', ');
+            panel.querySelector('#caption_blacklist').value = this.rules.blacklist.join(', ');
+            positionPanelNearButton(panel, button);
+            panel.style.display = 'block';
+        }
+    }
+}
+
+// Create and initialize caption tag editor
+const captionTagEditor = new window.CaptionTagEditor();
+document.addEventListener('DOMContentLoaded', () => {
+    captionTagEditor.initialize();
+});
+
+// Export for use in other modules
+window.captionTagEditor = captionTagEditor;
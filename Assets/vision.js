@@ -8,10 +8,128 @@
 // Initialize VisionTab only if it doesn't exist
 if (!window.VisionTab) {
     window.VisionTab = class VisionTab {
+        /** Extra images that can be attached alongside the preview image */
+        static MAX_ATTACHMENTS = 7;
+
+        /** Retries allowed when the model ignores the selected caption format */
+        static MAX_CAPTION_RETRIES = 2;
+
+        /** Smallest region, in screen pixels, that counts as a selection rather than a click */
+        static MIN_REGION_SIZE = 8;
+
+        /** Added to the instruction when a region is sent, which goes first, followed by the full image */
+        static REGION_NOTE = 'The first image is a region the user selected from the second image. Focus only on what is inside that region, and use the second image just for context such as style, lighting or who and what the region shows.';
+
+        /**
+         * Caption output formats. Each adds format rules to the caption instruction and
+         * validates the reply, returning the cleaned caption or an error to retry with.
+         */
+        static CAPTION_FORMATS = {
+            natural: {
+                label: 'Natural language',
+                instruction: 'Write the caption as plain natural-language sentences. Do not use lists, tags, JSON or markdown.',
+                validate(text) {
+                    const caption = text.replace(/^```\w*\s*|```$/g, '').trim();
+                    if (!caption) {
+                        return { error: 'The caption was empty.' };
+                    }
+                    if (/^[{\[]/.test(caption)) {
+                        return { error: 'The caption must be sentences, not JSON.' };
+                    }
+                    return { caption };
+                }
+            },
+            tags: {
+                label: 'Booru tags',
+                instruction: 'Respond only with comma-separated booru-style tags describing the image, for example: 1girl, solo, long hair, outdoors, sunset. Use lowercase tags of one to four words. No sentences and no other text.',
+                validate(text) {
+                    return VisionTab.parseTags(text);
+                }
+            },
+            'tags-ranked': {
+                label: 'Booru tags (by confidence)',
+                instruction: 'Respond only with comma-separated booru-style tags describing the image, ordered from the tag you are most confident about to the least. Use lowercase tags of one to four words. No sentences and no other text.',
+                validate(text) {
+                    return VisionTab.parseTags(text);
+                }
+            },
+            json: {
+                label: 'Structured JSON',
+                instruction: 'Respond only with a JSON object with exactly these keys: "subject", "style", "lighting" and "camera" as strings, and "colors" as an array of color names. No markdown and no other text.',
+                validate(text) {
+                    const start = text.indexOf('{');
+                    const end = text.lastIndexOf('}');
+                    if (start === -1 || end <= start) {
+                        return { error: 'The reply did not contain a JSON object.' };
+                    }
+                    let data;
+                    try {
+                        data = JSON.parse(text.slice(start, end + 1));
+                    } catch (error) {
+                        return { error: `The JSON was malformed: ${error.message}` };
+                    }
+                    const missing = ['subject', 'style', 'lighting', 'camera'].filter(key => typeof data[key] !== 'string' || !data[key].trim());
+                    if (missing.length) {
+                        return { error: `The JSON is missing string values for: ${missing.join(', ')}.` };
+                    }
+                    if (typeof data.colors === 'string') {
+                        data.colors = data.colors.split(',').map(c => c.trim()).filter(c => c);
+                    }
+                    if (!Array.isArray(data.colors)) {
+                        return { error: 'The JSON "colors" value must be an array of strings.' };
+                    }
+                    const caption = {
+                        subject: data.subject.trim(),
+                        style: data.style.trim(),
+                        lighting: data.lighting.trim(),
+                        camera: data.camera.trim(),
+                        colors: data.colors.map(c => String(c).trim()).filter(c => c)
+                    };
+                    return { caption: JSON.stringify(caption, null, 2) };
+                }
+            }
+        };
+
+        /**
+         * Cleans a comma-separated tag reply: strips list markers, lowercases and removes duplicates
+         * @param {string} text - Model reply
+         * @returns {{caption?: string, error?: string}} Cleaned tags, or why the reply was rejected
+         */
+        static parseTags(text) {
+            const tags = [];
+            for (const rawTag of text.replace(/```\w*/g, '').split(/[,\n]/)) {
+                const tag = rawTag.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').replace(/["'`]/g, '').trim().toLowerCase();
+                if (tag && !tags.includes(tag)) {
+                    tags.push(tag);
+                }
+            }
+            if (tags.length < 3) {
+                return { error: 'Expected a comma-separated list of at least 3 tags.' };
+            }
+            const sentences = tags.filter(tag => tag.split(/\s+/).length > 6);
+            if (sentences.length > tags.length / 4) {
+                return { error: 'Tags must be short phrases, not sentences.' };
+            }
+            return { caption: tags.filter(tag => !sentences.includes(tag)).join(', ') };
+        }
+
         constructor() {
             this.elements = {};
+            this.captionAbortController = null;
+            // Extra images sent along with the preview image in vision chat
+            this.attachments = [];
+            // Part of the preview image to caption or ask about: {crop, source, ready}
+            this.region = null;
+            this.regionDrag = null;
             this.setupElements();
             this.setupEventListeners();
+            MP.ImageSource.onChange((image) => {
+                this.showImageInfo(image);
+                // A region belongs to the image it was drawn on
+                if (this.region && this.region.source !== image) {
+                    this.clearRegion();
+                }
+            });
         }
 
         setupElements() {
@@ -28,9 +146,18 @@ if (!window.VisionTab) {
                 captionContent: document.querySelector('.caption-content'),
                 captionContainer: document.querySelector('.caption-container'),
                 loadingSpinner: document.querySelector('.typing-animation'),
+                captionStopBtn: document.getElementById('caption_stop_btn'),
+                captionFormatSelect: document.getElementById('caption_format_select'),
                 previewContainer: document.getElementById('image_preview_container'),
+                regionBox: document.getElementById('vision_region'),
+                regionClearBtn: document.getElementById('vision_region_clear_btn'),
                 uploadPlaceholder: document.querySelector('.upload-placeholder'),
-                visionActions: document.querySelector('.vision-actions')
+                visionActions: document.querySelector('.vision-actions'),
+                attachmentsTray: document.getElementById('vision_attachments'),
+                attachmentsList: document.getElementById('vision_attachments_list'),
+                attachmentInput: document.getElementById('attachment_input'),
+                addAttachmentBtn: document.getElementById('add_attachment_btn'),
+                addCurrentImageBtn: document.getElementById('add_current_image_btn')
             };
         }
 
@@ -50,8 +177,11 @@ if (!window.VisionTab) {
                 e.preventDefault();
                 e.stopPropagation();
                 this.elements.dropZone.classList.remove('dragover');
-                if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-                    this.handleFile(e.dataTransfer.files[0]);
+                if (e.dataTransfer.files && e.dataTransfer.files.length > 1 && window.batchCaptioner) {
+                    // Several images go to batch captioning instead
+                    window.batchCaptioner.open(e.dataTransfer.files);
+                } else if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+                    this.handleFile(e.dataTransfer.files[0], 'upload');
                 }
             });
             // Setup upload button
@@ -60,8 +190,11 @@ if (!window.VisionTab) {
             });
             // Setup file input
             this.elements.imageInput.addEventListener('change', (e) => {
-                if (e.target.files && e.target.files.length > 0) {
-                    this.handleFile(e.target.files[0]);
+                if (e.target.files && e.target.files.length > 1 && window.batchCaptioner) {
+                    window.batchCaptioner.open(e.target.files);
+                    e.target.value = '';
+                } else if (e.target.files && e.target.files.length > 0) {
+                    this.handleFile(e.target.files[0], 'upload');
                 }
             });
             // Setup other buttons
@@ -70,87 +203,482 @@ if (!window.VisionTab) {
             this.elements.useAsPromptBtn.addEventListener('click', this.useAsPrompt.bind(this));
             this.elements.editBtn.addEventListener('click', this.editImage.bind(this));
             this.elements.clearBtn.addEventListener('click', this.clearImage.bind(this));
+            this.elements.captionStopBtn?.addEventListener('click', () => this.captionAbortController?.abort());
+            if (this.elements.captionFormatSelect) {
+                this.populateCaptionFormatSelect(this.elements.captionFormatSelect);
+            }
+            // Comparison images
+            const { attachmentsTray, attachmentInput } = this.elements;
+            this.elements.addAttachmentBtn?.addEventListener('click', () => attachmentInput.click());
+            attachmentInput?.addEventListener('change', (e) => {
+                this.addAttachmentFiles(e.target.files);
+                e.target.value = '';
+            });
+            this.elements.addCurrentImageBtn?.addEventListener('click', () => this.addCurrentImageAttachment());
+            // Region selection on the preview image
+            const { imagePreview, previewContainer } = this.elements;
+            imagePreview.addEventListener('dragstart', (e) => e.preventDefault());
+            imagePreview.addEventListener('pointerdown', this.startRegionDrag.bind(this));
+            imagePreview.addEventListener('pointermove', this.updateRegionDrag.bind(this));
+            imagePreview.addEventListener('pointerup', this.endRegionDrag.bind(this));
+            imagePreview.addEventListener('pointercancel', () => {
+                this.regionDrag = null;
+                this.positionRegionBox(this.region?.crop);
+            });
+            this.elements.regionClearBtn?.addEventListener('click', () => this.clearRegion());
+            // The box is placed in pixels, so follow the preview when the panel is resized
+            new ResizeObserver(() => this.positionRegionBox(this.region?.crop)).observe(previewContainer);
+            attachmentsTray?.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                attachmentsTray.classList.add('dragover');
+            });
+            attachmentsTray?.addEventListener('dragleave', () => attachmentsTray.classList.remove('dragover'));
+            attachmentsTray?.addEventListener('drop', (e) => {
+                e.preventDefault();
+                attachmentsTray.classList.remove('dragover');
+                this.addAttachmentFiles(e.dataTransfer.files);
+            });
             // Global paste event
             document.addEventListener('paste', (e) => {
                 const items = (e.clipboardData || e.originalEvent.clipboardData).items;
+                // Pasting into the chat box in vision mode attaches the image instead of replacing the preview
+                const attach = e.target?.id === 'chat_llm_textarea'
+                    && document.getElementById('vision_mode')?.checked
+                    && MP.ImageSource.get();
                 for (const item of items) {
                     if (item.type.indexOf('image') === 0) {
                         const file = item.getAsFile();
-                        this.handleFile(file);
+                        if (attach) {
+                            this.addAttachmentFiles([file]);
+                        } else {
+                            this.handleFile(file, 'paste');
+                        }
                         break;
                     }
                 }
             });
         }
 
-        handleFile(file) {
+        /**
+         * Reads an image file into the vision panel
+         * @param {File} file - Image file
+         * @param {string} [origin='upload'] - 'upload' or 'paste', see MP.ImageSource.ORIGINS
+         */
+        handleFile(file, origin = 'upload') {
             if (!file || !file.type.startsWith('image/')) {
                 showError('Please upload a valid image file');
                 return;
             }
 
+            const options = { origin, name: file.name || '' };
             const reader = new FileReader();
             reader.onload = (e) => {
                 try {
                     // Use SwarmUI's parseMetadata function if available
                     if (typeof window.parseMetadata === 'function') {
                         window.parseMetadata(e.target.result, (data, metadata) => {
-                            this.setImage(data, metadata);
+                            this.setImage(data, metadata, options);
                         });
                     } else {
-                        this.setImage(e.target.result, null);
+                        this.setImage(e.target.result, null, options);
                     }
                 } catch (error) {
-                    this.setImage(e.target.result, null);
+                    this.setImage(e.target.result, null, options);
                 }
             };
             reader.readAsDataURL(file);
         }
 
-        setImage(dataUrl, metadata) {
+        /**
+         * Shows an image in the vision panel, makes it the current image source and hands it to SwarmUI
+         * @param {string} dataUrl - Image data URL
+         * @param {Object|null} metadata - Image metadata, if any
+         * @param {Object} [options]
+         * @param {boolean} [options.autoCaption=true] - Allow auto-captioning; off when restoring a saved conversation
+         * @param {string} [options.origin='upload'] - Where the image came from, see MP.ImageSource.ORIGINS
+         * @param {string} [options.name] - File name, if known
+         */
+        setImage(dataUrl, metadata, { autoCaption = true, origin = 'upload', name = '' } = {}) {
+            MP.ImageSource.set(dataUrl, origin, name);
             // Set image in our preview
             this.elements.imagePreview.src = dataUrl;
             this.elements.imagePreview.style.display = 'block';
             this.elements.previewContainer.style.display = 'block';
             this.elements.uploadPlaceholder.style.display = 'none';
             this.elements.visionActions.style.display = 'flex';
+            if (this.elements.attachmentsTray) this.elements.attachmentsTray.style.display = 'flex';
             // Set image in SwarmUI's system
             if (typeof window.setCurrentImage === 'function') {
                 window.setCurrentImage(dataUrl, '', '', false, false, true, false);
             }
             // Auto generate caption if enabled
             const autoCaptionCheckbox = document.getElementById('auto_caption_checkbox');
-            if (autoCaptionCheckbox?.checked) {
+            if (autoCaption && autoCaptionCheckbox?.checked) {
                 this.generateCaption();
             }
         }
 
+        /**
+         * Shows the size, type and origin of the current image as the preview's tooltip
+         * @param {Object|null} image - Image record from MP.ImageSource
+         */
+        showImageInfo(image) {
+            if (!image) {
+                this.elements.imagePreview.title = '';
+                return;
+            }
+            const size = image.width ? `${image.width}×${image.height} · ` : '';
+            this.elements.imagePreview.title = `${image.name ? `${image.name}\n` : ''}${size}${image.mediaType} · from ${image.origin}\nDrag to select a region`;
+        }
+
+        /**
+         * Gets a point on the preview image as fractions of its size
+         * @param {PointerEvent} e - Pointer event
+         * @returns {{x: number, y: number}} Point clamped to the image
+         */
+        getImagePoint(e) {
+            const rect = this.elements.imagePreview.getBoundingClientRect();
+            return {
+                x: Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1),
+                y: Math.min(Math.max((e.clientY - rect.top) / rect.height, 0), 1)
+            };
+        }
+
+        startRegionDrag(e) {
+            if (e.button !== 0 || !MP.ImageSource.get()) return;
+            e.preventDefault();
+            this.elements.imagePreview.setPointerCapture(e.pointerId);
+            this.regionDrag = { start: this.getImagePoint(e), crop: null };
+        }
+
+        updateRegionDrag(e) {
+            if (!this.regionDrag) return;
+            const { start } = this.regionDrag;
+            const point = this.getImagePoint(e);
+            this.regionDrag.crop = {
+                x: Math.min(start.x, point.x),
+                y: Math.min(start.y, point.y),
+                width: Math.abs(point.x - start.x),
+                height: Math.abs(point.y - start.y)
+            };
+            this.positionRegionBox(this.regionDrag.crop);
+        }
+
+        endRegionDrag(e) {
+            if (!this.regionDrag) return;
+            this.updateRegionDrag(e);
+            const { crop } = this.regionDrag;
+            this.regionDrag = null;
+            const rect = this.elements.imagePreview.getBoundingClientRect();
+            // A click without a drag clears the selection
+            if (crop.width * rect.width < VisionTab.MIN_REGION_SIZE || crop.height * rect.height < VisionTab.MIN_REGION_SIZE) {
+                this.clearRegion();
+                return;
+            }
+            this.setRegion(crop);
+        }
+
+        /**
+         * Selects part of the current image. Captions and vision chat then send it cropped, followed by the full image for context.
+         * @param {{x: number, y: number, width: number, height: number}} crop - Region as fractions of the image size
+         */
+        setRegion(crop) {
+            const source = MP.ImageSource.get();
+            if (!source) return;
+            this.region = { crop, source, ready: MP.ImagePreprocessor.process(source.dataUrl, { crop }) };
+            this.positionRegionBox(crop);
+            this.elements.captionBtn.textContent = 'Caption Region';
+            this.elements.captionBtn.dataset.tooltip = 'Generate Caption for the selected region';
+        }
+
+        clearRegion() {
+            this.region = null;
+            this.positionRegionBox(null);
+            this.elements.captionBtn.textContent = 'Caption';
+            this.elements.captionBtn.dataset.tooltip = 'Generate Caption';
+        }
+
+        /**
+         * Places the region box over the preview image, or hides it
+         * @param {Object|null} crop - Region as fractions of the image size
+         */
+        positionRegionBox(crop) {
+            const { regionBox, imagePreview, previewContainer } = this.elements;
+            if (!regionBox) return;
+            if (!crop || imagePreview.style.display === 'none') {
+                regionBox.style.display = 'none';
+                return;
+            }
+            const image = imagePreview.getBoundingClientRect();
+            const container = previewContainer.getBoundingClientRect();
+            regionBox.style.left = `${image.left - container.left + previewContainer.scrollLeft + crop.x * image.width}px`;
+            regionBox.style.top = `${image.top - container.top + previewContainer.scrollTop + crop.y * image.height}px`;
+            regionBox.style.width = `${crop.width * image.width}px`;
+            regionBox.style.height = `${crop.height * image.height}px`;
+            regionBox.style.display = 'block';
+        }
+
+        /**
+         * Gets the cropped region of the current image, once it is ready
+         * @returns {Promise<{data: string, mediaType: string, preprocessed: boolean}|null>} The region, or null if none is selected
+         */
+        async getRegionImage() {
+            if (!this.region) return null;
+            const upload = await this.region.ready;
+            if (!upload) {
+                throw new Error('Failed to crop the selected region');
+            }
+            return { data: upload.data, mediaType: upload.mediaType, preprocessed: true };
+        }
+
+        /**
+         * @returns {string} Instruction note explaining the region image, or an empty string when no region is selected
+         */
+        getRegionNote() {
+            return this.region ? VisionTab.REGION_NOTE : '';
+        }
+
+        /**
+         * Gets the images to send in vision chat: the selected region first if there is one, then the current image, then the attachments
+         * @returns {Promise<Array<{data: string, mediaType: string}>>} Base64 images
+         */
+        async getVisionImages() {
+            const images = this.attachments.map((attachment) => {
+                if (attachment.upload) {
+                    return { data: attachment.upload.data, mediaType: attachment.upload.mediaType, preprocessed: true };
+                }
+                const data = attachment.dataUrl.split(',')[1];
+                return {
+                    data,
+                    mediaType: MP.ImageSource.detectMediaType(data) || attachment.dataUrl.match(/^data:([^;,]+)/)?.[1] || 'image/jpeg'
+                };
+            });
+            const current = MP.ImageSource.get();
+            if (current) {
+                images.unshift({ data: current.data, mediaType: current.mediaType, preprocessed: current.preprocessed });
+            }
+            const region = await this.getRegionImage();
+            if (region) {
+                images.unshift(region);
+            }
+            return images;
+        }
+
+        /**
+         * Attaches image files for comparison with the preview image
+         * @param {FileList|File[]} files - Files to attach, non-images are skipped
+         */
+        async addAttachmentFiles(files, origin = 'upload') {
+            const images = [...(files || [])].filter(file => file.type.startsWith('image/'));
+            for (const file of images) {
+                const dataUrl = await new Promise((resolve, reject) => {
+                    const reader = new FileReader();
+                    reader.onloadend = () => resolve(reader.result);
+                    reader.onerror = () => reject(new Error('Failed to read image'));
+                    reader.readAsDataURL(file);
+                });
+                this.addAttachment(dataUrl, file.name, origin);
+            }
+        }
+
+        /**
+         * Attaches the image currently selected in SwarmUI, such as one picked from the image history
+         */
+        async addCurrentImageAttachment() {
+            try {
+                const image = await MP.ImageSource.loadGenerationImage();
+                if (!image) {
+                    showError('Select an image in the image history first');
+                    return;
+                }
+                this.addAttachment(image.dataUrl, image.name, 'generation');
+            } catch (error) {
+                console.error('Failed to attach current image:', error);
+                showError(`Failed to attach image: ${error.message}`);
+            }
+        }
+
+        addAttachment(dataUrl, name, origin = 'upload') {
+            // No preview yet, the first image becomes the preview instead
+            if (!MP.ImageSource.get()) {
+                this.setImage(dataUrl, null, { origin, name });
+                return;
+            }
+            if (this.attachments.length >= VisionTab.MAX_ATTACHMENTS) {
+                showError(`You can attach up to ${VisionTab.MAX_ATTACHMENTS} extra images`);
+                return;
+            }
+            const attachment = { dataUrl, name, upload: null };
+            this.attachments.push(attachment);
+            this.renderAttachments();
+            // Sent as is until the smaller copy is ready, or for good if preprocessing fails and the server compresses it instead
+            MP.ImagePreprocessor.process(dataUrl).then((upload) => {
+                attachment.upload = upload;
+            }).catch(() => {
+                attachment.upload = null;
+            });
+        }
+
+        removeAttachment(index) {
+            this.attachments.splice(index, 1);
+            this.renderAttachments();
+        }
+
+        renderAttachments() {
+            const list = this.elements.attachmentsList;
+            if (!list) return;
+            list.innerHTML = '';
+            this.attachments.forEach((attachment, index) => {
+                const item = document.createElement('div');
+                item.className = 'vision-attachment';
+                item.title = attachment.name || `Image ${index + 2}`;
+                const image = document.createElement('img');
+                image.src = attachment.dataUrl;
+                image.alt = item.title;
+                const removeButton = document.createElement('button');
+                removeButton.textContent = '×';
+                removeButton.title = 'Remove image';
+                removeButton.addEventListener('click', () => this.removeAttachment(index));
+                item.append(image, removeButton);
+                list.appendChild(item);
+            });
+        }
+
+        /**
+         * Gets the instruction text used for captions, from the caption feature mapping
+         * @returns {string} Caption instruction
+         */
+        getCaptionInstruction() {
+            return getInstructionContent(getInstructionForFeature('caption') || 'caption') || "Generate a detailed caption for this image";
+        }
+
+        /**
+         * Gets the selected caption output format
+         * @returns {string} Format key from VisionTab.CAPTION_FORMATS
+         */
+        getCaptionFormat() {
+            const format = localStorage.getItem('magicprompt_caption_format');
+            return VisionTab.CAPTION_FORMATS[format] ? format : 'natural';
+        }
+
+        /**
+         * Changes the caption output format and updates every format select
+         * @param {string} format - Format key from VisionTab.CAPTION_FORMATS
+         */
+        setCaptionFormat(format) {
+            localStorage.setItem('magicprompt_caption_format', format);
+            document.querySelectorAll('.caption-format-select').forEach(select => select.value = format);
+        }
+
+        /**
+         * Fills a select with the caption formats and keeps it in sync with the setting
+         * @param {HTMLSelectElement} select - Select with the caption-format-select class
+         */
+        populateCaptionFormatSelect(select) {
+            select.innerHTML = '';
+            for (const [key, format] of Object.entries(VisionTab.CAPTION_FORMATS)) {
+                select.add(new Option(format.label, key));
+            }
+            select.value = this.getCaptionFormat();
+            select.addEventListener('change', () => this.setCaptionFormat(select.value));
+        }
+
+        /**
+         * Captions an image in the selected output format.
+         * Replies that don't match the format are retried with the validation error added to the instruction.
+         * @param {string} base64Image - Image data without the data URL prefix
+         * @param {Object} [options]
+         * @param {string} [options.mediaType] - Image MIME type
+         * @param {boolean} [options.preprocessed=false] - The image was already resized by MP.ImagePreprocessor
+         * @param {Object} [options.context] - Full image sent after a cropped region, {data, mediaType, preprocessed}
+         * @param {AbortSignal} [options.signal] - Aborting stops the caption
+         * @param {Function} [options.onToken] - Called with (chunk, fullTextSoFar) while streaming
+         * @param {boolean} [options.stream=true] - Stream the reply, batch captioning turns this off
+         * @returns {Promise<{caption: string, stopped: boolean}>} Validated caption with tag rules applied, or the partial reply when stopped
+         */
+        async requestCaption(base64Image, { mediaType = null, preprocessed = false, context = null, signal = null, onToken = null, stream = true } = {}) {
+            const formatKey = this.getCaptionFormat();
+            const format = VisionTab.CAPTION_FORMATS[formatKey];
+            const baseInstruction = context ? `${this.getCaptionInstruction()}\n\n${VisionTab.REGION_NOTE}` : this.getCaptionInstruction();
+            const images = [{ data: base64Image, mediaType, preprocessed }];
+            if (context) {
+                images.push(context);
+            }
+            let instruction = `${baseInstruction}\n\n${format.instruction}`;
+            let lastError = null;
+            for (let attempt = 0; attempt <= VisionTab.MAX_CAPTION_RETRIES; attempt++) {
+                const payload = MP.RequestBuilder.createRequestPayload(instruction, images, 'caption');
+                if (attempt > 0) {
+                    // A fresh seed so the retry doesn't repeat the same reply
+                    payload.seed = Math.floor(Math.random() * 2147483647);
+                }
+                const response = stream
+                    ? await MP.APIClient.makeStreamingRequest(payload, { signal, onToken })
+                    : await MP.APIClient.makeRequest(payload, { signal });
+                if (response.stopped) {
+                    return { caption: response.response || '', stopped: true };
+                }
+                if (!response.success || !response.response) {
+                    throw new Error(response.error || 'Failed to generate caption');
+                }
+                const result = format.validate(response.response);
+                if (!result.error) {
+                    // Trigger words and the tag blacklist apply to every caption
+                    const caption = window.captionTagEditor ? window.captionTagEditor.applyRules(result.caption, formatKey) : result.caption;
+                    return { caption, stopped: false };
+                }
+                lastError = result.error;
+                console.warn(`Caption did not match the ${format.label} format (attempt ${attempt + 1}): ${result.error}`);
+                instruction = `${baseInstruction}\n\n${format.instruction}\n\nYour previous reply was rejected: ${result.error} Follow the required format exactly.`;
+            }
+            throw new Error(`The model did not return a valid ${format.label} caption: ${lastError}`);
+        }
+
         generateCaption = async () => {
-            if (!this.elements.imagePreview.src) {
+            const image = MP.ImageSource.get();
+            if (!image) {
                 showError('No image to caption');
                 return;
             }
+            const { captionContent, loadingSpinner, captionStopBtn } = this.elements;
+            // Only one caption at a time, a new request replaces the old one
+            this.captionAbortController?.abort();
+            const abortController = new AbortController();
+            this.captionAbortController = abortController;
             try {
-                const { captionContainer, captionContent, loadingSpinner } = this.elements;
                 loadingSpinner.classList.add('active');
+                if (captionStopBtn) captionStopBtn.style.display = 'inline-block';
                 captionContent.style.display = 'none';
-                const payload = MP.RequestBuilder.createRequestPayload(
-                    getInstructionContent(getInstructionForFeature('caption') || 'caption') || "Generate a detailed caption for this image",
-                    this.elements.imagePreview.src.split(',')[1],
-                    "caption"
-                );
-                const response = await MP.APIClient.makeRequest(payload);
-                loadingSpinner.classList.remove('active');
-                if (response.success && response.response) {
-                    captionContent.style.display = 'block';
-                    captionContent.textContent = response.response;
-                } else {
-                    throw new Error(response.error || 'Failed to generate caption');
+                window.captionTagEditor?.hide();
+                // A selected region is captioned on its own, with the full image for context
+                const region = await this.getRegionImage();
+                const target = region ?? image;
+                const result = await this.requestCaption(target.data, {
+                    mediaType: target.mediaType,
+                    preprocessed: target.preprocessed,
+                    context: region ? { data: image.data, mediaType: image.mediaType, preprocessed: image.preprocessed } : null,
+                    signal: abortController.signal,
+                    onToken: (chunk, text) => {
+                        loadingSpinner.classList.remove('active');
+                        captionContent.style.display = 'block';
+                        captionContent.textContent = text;
+                    }
+                });
+                // When stopped, keep the partial caption, or the previous one if nothing arrived yet
+                captionContent.style.display = 'block';
+                if (!result.stopped) {
+                    captionContent.textContent = result.caption;
+                    window.captionTagEditor?.show(result.caption, this.getCaptionFormat());
                 }
             } catch (error) {
                 console.error('Caption generation error:', error);
-                this.elements.loadingSpinner.classList.remove('active');
                 showError(`Failed to generate caption: ${error.message}`);
+            } finally {
+                if (this.captionAbortController === abortController) {
+                    this.captionAbortController = null;
+                    loadingSpinner.classList.remove('active');
+                    if (captionStopBtn) captionStopBtn.style.display = 'none';
+                }
             }
         }
 
@@ -209,12 +737,19 @@ if (!window.VisionTab) {
         }
 
         clearImage = () => {
+            MP.ImageSource.clear();
+            this.clearRegion();
             this.elements.imagePreview.src = '';
             this.elements.imagePreview.style.display = 'none';
             this.elements.previewContainer.style.display = 'none';
             this.elements.uploadPlaceholder.style.display = 'block';
             this.elements.visionActions.style.display = 'none';
+            this.attachments = [];
+            this.renderAttachments();
+            if (this.elements.attachmentsTray) this.elements.attachmentsTray.style.display = 'none';
             this.elements.captionContent.textContent = '';
+            this.elements.captionContent.style.display = '';
+            window.captionTagEditor?.hide();
             this.elements.imageInput.value = '';
         }
     }
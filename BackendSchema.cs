@@ -1,3 +1,5 @@
+using Newtonsoft.Json.Linq;
+using System.Text.Json;
 using SixLabors.ImageSharp.Processing;
 using SwarmUI.Utils;
 using SwarmUI.Media;
@@ -22,6 +24,13 @@ public static class BackendSchema
         public string Instructions { get; set; }
         public List<MediaContent> Media { get; set; }
         public int? KeepAlive { get; set; }
+        public List<HistoryMessage> History { get; set; }  // Prior conversation turns, oldest first
+    }
+
+    public class HistoryMessage
+    {
+        public string Role { get; set; }  // "user" or "assistant"
+        public string Content { get; set; }
     }
 
     public class MediaContent
@@ -29,15 +38,87 @@ public static class BackendSchema
         public string Type { get; set; }  // "base64" or "url"
         public string Data { get; set; }
         public string MediaType { get; set; }  // "image/jpeg", "image/png", etc.
+        public bool Preprocessed { get; set; }  // Already resized by the browser, so only the format is converted
+    }
+
+    /// <summary>Sampling parameters for a request. Null values are left to the backend's defaults.</summary>
+    public class SamplingOptions
+    {
+        public double? Temperature { get; set; }
+        public double? TopP { get; set; }
+        public int? TopK { get; set; }
+        public int? MaxTokens { get; set; }
+        public double? RepetitionPenalty { get; set; }
+        public List<string> Stop { get; set; }
+
+        /// <summary>Reads sampling options as saved in the settings or sent with a request. Blank or invalid values are treated as not set.</summary>
+        public static SamplingOptions FromJson(JToken token)
+        {
+            if (token is not JObject json)
+            {
+                return new SamplingOptions();
+            }
+            static double? ReadDouble(JToken value) => double.TryParse(value?.ToString(), System.Globalization.NumberStyles.Float, System.Globalization.CultureInfo.InvariantCulture, out double result) ? result : null;
+            static int? ReadInt(JToken value) => int.TryParse(value?.ToString(), out int result) && result > 0 ? result : null;
+            return new SamplingOptions
+            {
+                Temperature = ReadDouble(json["temperature"]),
+                TopP = ReadDouble(json["topP"]),
+                TopK = ReadInt(json["topK"]),
+                MaxTokens = ReadInt(json["maxTokens"]),
+                RepetitionPenalty = ReadDouble(json["repetitionPenalty"]),
+                Stop = (json["stop"] as JArray)?.Select(s => s.ToString()).Where(s => !string.IsNullOrEmpty(s)).ToList()
+            };
+        }
+
+        /// <summary>Returns a copy of these options with every value set in overrides replacing the original.</summary>
+        public SamplingOptions Merge(SamplingOptions overrides)
+        {
+            return new SamplingOptions
+            {
+                Temperature = overrides?.Temperature ?? Temperature,
+                TopP = overrides?.TopP ?? TopP,
+                TopK = overrides?.TopK ?? TopK,
+                MaxTokens = overrides?.MaxTokens ?? MaxTokens,
+                RepetitionPenalty = overrides?.RepetitionPenalty ?? RepetitionPenalty,
+                Stop = overrides?.Stop?.Count > 0 ? overrides.Stop : Stop
+            };
+        }
+    }
+
+    /// <summary>Restricts what a backend may generate, set by custom instructions that need strictly formatted output. Only llama.cpp and KoboldCpp support this.</summary>
+    public class OutputConstraint
+    {
+        public string Type { get; set; }  // "gbnf" or "json_schema"
+        public string Value { get; set; }  // The grammar, or the schema as JSON text
+
+        /// <summary>Reads a constraint as sent with a request, or returns null when it is blank.</summary>
+        public static OutputConstraint FromJson(JToken token)
+        {
+            string type = token?["type"]?.ToString();
+            string value = token?["value"]?.ToString();
+            if (token is not JObject || (type != "gbnf" && type != "json_schema") || string.IsNullOrWhiteSpace(value))
+            {
+                return null;
+            }
+            return new OutputConstraint { Type = type, Value = value };
+        }
     }
 
+    /// <summary>Thrown when an instruction's output constraint can't be sent, e.g. a JSON schema that isn't valid JSON.</summary>
+    public class InvalidConstraintException(string message) : Exception(message);
+
     /// <summary>Get the schema type for the backend.</summary>
     /// <param name="type">Backend type (ollama, openai, anthropic, etc.)</param>
     /// <param name="content">Message content including text and media</param>
     /// <param name="model">Model name to use</param>
     /// <param name="messageType">Type of message (Text or Vision)</param>
+    /// <param name="seed">Seed for backends that support it, -1 for none</param>
+    /// <param name="stream">Whether the backend should stream the response</param>
+    /// <param name="sampling">Sampling parameters, unset values use each backend's defaults</param>
+    /// <param name="constraint">Grammar or JSON schema the output must follow, ignored by backends that can't enforce it</param>
     /// <returns>Returns an object with the schema type for the backend.</returns>
-    public static object GetSchemaType(string type, MessageContent content, string model, MessageType messageType = MessageType.Text, long seed = -1)
+    public static object GetSchemaType(string type, MessageContent content, string model, MessageType messageType = MessageType.Text, long seed = -1, bool stream = false, SamplingOptions sampling = null, OutputConstraint constraint = null)
     {
         if (content == null || string.IsNullOrEmpty(model))
         {
@@ -45,19 +126,67 @@ public static class BackendSchema
         }
         type = type.ToLower();
         _ = content.KeepAlive;
+        sampling ??= new SamplingOptions();
+        if (constraint != null && type != "llamacpp")
+        {
+            Logs.Debug($"MagicPromptExtension.BackendSchema: {type} can't enforce a {constraint.Type} constraint, sending the request without it");
+        }
         return type switch
         {
-            "ollama" => OllamaRequestBody(content, model, messageType, seed),
-            "grok" => OpenAICompatibleRequestBody(content, model, messageType, preferPngForBase64: true, seed),
-            "openai" or "openaiapi" or "openrouter" => OpenAICompatibleRequestBody(content, model, messageType, preferPngForBase64: false, seed),
-            "anthropic" => AnthropicRequestBody(content, model, messageType),
+            "ollama" => OllamaRequestBody(content, model, messageType, seed, stream, sampling),
+            "grok" => OpenAICompatibleRequestBody(content, model, messageType, preferPngForBase64: true, seed, stream, sampling, extendedSampling: false),
+            "openai" => OpenAICompatibleRequestBody(content, model, messageType, preferPngForBase64: false, seed, stream, sampling, extendedSampling: false),
+            // OpenRouter and local servers (llama.cpp, vLLM, LM Studio...) also accept top_k and repetition_penalty, OpenAI and Grok reject them
+            "openaiapi" or "openrouter" => OpenAICompatibleRequestBody(content, model, messageType, preferPngForBase64: false, seed, stream, sampling, extendedSampling: true),
+            "llamacpp" => LlamaCppRequestBody(content, model, messageType, seed, stream, sampling, constraint),
+            "anthropic" => AnthropicRequestBody(content, model, messageType, stream, sampling),
+            // Gemini picks the model and streaming from the URL, see LLMAPICalls.GetRequestUrl
+            "gemini" => GeminiRequestBody(content, messageType, seed, sampling),
             _ => throw new ArgumentException($"Unsupported backend type: {type}")
         };
     }
 
-    /// <summary>Compresses image data to optimize for LLM vision models</summary>
+    /// <summary>Returns the prior conversation turns in a shape every backend accepts.
+    /// Anthropic requires strictly alternating roles starting with "user", so only complete user/assistant pairs are kept.</summary>
+    private static List<object> BuildHistoryMessages(MessageContent content)
+    {
+        return [.. GetHistoryTurns(content).Select(turn => new { role = turn.Role, content = turn.Content })];
+    }
+
+    /// <summary>Returns the complete user/assistant pairs of the conversation history, oldest first, with roles lowercased.</summary>
+    private static List<HistoryMessage> GetHistoryTurns(MessageContent content)
+    {
+        List<HistoryMessage> messages = [];
+        if (content.History == null)
+        {
+            return messages;
+        }
+        HistoryMessage pendingUser = null;
+        foreach (HistoryMessage turn in content.History)
+        {
+            string role = turn?.Role?.ToLower();
+            if (string.IsNullOrWhiteSpace(turn?.Content))
+            {
+                continue;
+            }
+            if (role == "user")
+            {
+                // A user turn without a reply (e.g. a failed request) is replaced by the next one
+                pendingUser = turn;
+            }
+            else if (role == "assistant" && pendingUser != null)
+            {
+                messages.Add(new HistoryMessage { Role = "user", Content = pendingUser.Content });
+                messages.Add(new HistoryMessage { Role = "assistant", Content = turn.Content });
+                pendingUser = null;
+            }
+        }
+        return messages;
+    }
+
+    /// <summary>Compresses image data to optimize for LLM vision models. This is the fallback for images the browser didn't preprocess, those are only converted to the target format.</summary>
     /// <param name="media">The media content containing image data</param>
-    /// <param name="targetFormat">The target format ("PNG" or "WEBP")</param>
+    /// <param name="targetFormat">The target format ("PNG", "JPG" or "WEBP")</param>
     /// <returns>Compressed base64 image data without the data URL prefix</returns>
     public static string CompressImageForVision(MediaContent media, string targetFormat = "WEBP")
     {
@@ -65,6 +194,17 @@ public static class BackendSchema
         {
             return media.Data;
         }
+        string targetMediaType = targetFormat switch
+        {
+            "PNG" => "image/png",
+            "JPG" => "image/jpeg",
+            _ => "image/webp"
+        };
+        // The browser already sized and encoded it, leave it alone if the backend takes that format
+        if (media.Preprocessed && media.MediaType == targetMediaType)
+        {
+            return media.Data;
+        }
         try
         {
             ImageFile image = ImageFile.FromDataString($"data:{media.MediaType};base64,{media.Data}");
@@ -75,7 +215,7 @@ public static class BackendSchema
             }
             ISImage img = image.ToIS;
             int maxDimension = 256; // TODO: This needs to be tested and adjusted
-            if (img.Width > maxDimension || img.Height > maxDimension)
+            if (!media.Preprocessed && (img.Width > maxDimension || img.Height > maxDimension))
             {
                 float scaleFactor = maxDimension / (float)Math.Max(img.Width, img.Height);
                 int newWidth = (int)(img.Width * scaleFactor);
@@ -84,6 +224,11 @@ public static class BackendSchema
             }
             // Set compression quality based on format TODO: This needs to be tested and adjusted
             int quality = targetFormat == "PNG" ? 60 : 40;
+            if (media.Preprocessed)
+            {
+                // Already compressed once in the browser, don't lose much more
+                quality = 90;
+            }
             ImageFile tempImage = new Image(ImageFile.ISImgToPngBytes(img), image.Type);
             ImageFile compressedImage = tempImage.ConvertTo(targetFormat, quality: quality);
             // Return just the base64 data (without the data:image/webp;base64, prefix)
@@ -97,17 +242,40 @@ public static class BackendSchema
     }
 
     /// <summary>Generates a request body for Ollama backend.</summary>
-    private static object OllamaRequestBody(MessageContent content, string model, MessageType messageType, long seed = -1)
+    private static object OllamaRequestBody(MessageContent content, string model, MessageType messageType, long seed, bool stream, SamplingOptions sampling)
     {
         List<object> messages = [];
         if (!string.IsNullOrEmpty(content.Instructions))
         {
             messages.Add(new { role = "system", content = content.Instructions });
         }
+        messages.AddRange(BuildHistoryMessages(content));
 
-        object options = seed == -1
-            ? new { temperature = 1.0, top_p = 0.9 }
-            : new { temperature = 1.0, top_p = 0.9, seed };
+        Dictionary<string, object> options = new()
+        {
+            ["temperature"] = sampling.Temperature ?? 1.0,
+            ["top_p"] = sampling.TopP ?? 0.9
+        };
+        if (sampling.TopK != null)
+        {
+            options["top_k"] = sampling.TopK;
+        }
+        if (sampling.MaxTokens != null)
+        {
+            options["num_predict"] = sampling.MaxTokens;
+        }
+        if (sampling.RepetitionPenalty != null)
+        {
+            options["repeat_penalty"] = sampling.RepetitionPenalty;
+        }
+        if (sampling.Stop?.Count > 0)
+        {
+            options["stop"] = sampling.Stop;
+        }
+        if (seed != -1)
+        {
+            options["seed"] = seed;
+        }
 
         if (messageType == MessageType.Vision && content.Media?.Any() == true)
         {
@@ -122,7 +290,7 @@ public static class BackendSchema
             {
                 model,
                 messages = messages.ToArray(),
-                stream = false,
+                stream,
                 keep_alive = content.KeepAlive,
                 options
             };
@@ -132,14 +300,15 @@ public static class BackendSchema
         {
             model,
             messages = messages.ToArray(),
-            stream = false,
+            stream,
             keep_alive = content.KeepAlive,
             options
         };
     }
 
     /// <summary>Generates a request body for OpenAI and compatible backends.</summary>
-    private static object OpenAICompatibleRequestBody(MessageContent content, string model, MessageType messageType, bool preferPngForBase64, long seed = -1)
+    /// <param name="extendedSampling">Whether the backend accepts top_k and repetition_penalty, which aren't part of the OpenAI API</param>
+    private static Dictionary<string, object> OpenAICompatibleRequestBody(MessageContent content, string model, MessageType messageType, bool preferPngForBase64, long seed, bool stream, SamplingOptions sampling, bool extendedSampling)
     {
         List<object> messages = [];
         // Add system message if instructions exist
@@ -147,7 +316,9 @@ public static class BackendSchema
         {
             messages.Add(new { role = "system", content = content.Instructions });
         }
-        if (messageType == MessageType.Vision && content.Media?.Any() == true)
+        messages.AddRange(BuildHistoryMessages(content));
+        bool isVision = messageType == MessageType.Vision && content.Media?.Any() == true;
+        if (isVision)
         {
             List<object> contentList = [];
             foreach (MediaContent media in content.Media)
@@ -171,59 +342,76 @@ public static class BackendSchema
                 role = "user",
                 content = contentList
             });
+        }
+        else
+        {
+            messages.Add(new { role = "user", content = content.Text });
+        }
+        Dictionary<string, object> body = new()
+        {
+            ["model"] = model,
+            ["messages"] = messages.ToArray(),
+            ["max_tokens"] = sampling.MaxTokens ?? 1000,
+            ["temperature"] = sampling.Temperature ?? 1.0,
+            ["stream"] = stream
+        };
+        // Text requests have always sent top_p 0.9, keep it as the default so unconfigured output doesn't change
+        double? topP = isVision ? sampling.TopP : sampling.TopP ?? 0.9;
+        if (topP != null)
+        {
+            body["top_p"] = topP;
+        }
+        if (sampling.Stop?.Count > 0)
+        {
+            body["stop"] = sampling.Stop;
+        }
+        if (extendedSampling && sampling.TopK != null)
+        {
+            body["top_k"] = sampling.TopK;
+        }
+        if (extendedSampling && sampling.RepetitionPenalty != null)
+        {
+            body["repetition_penalty"] = sampling.RepetitionPenalty;
+        }
+        if (seed != -1)
+        {
+            body["seed"] = seed;
+        }
+        return body;
+    }
 
-            if (seed != -1)
+    /// <summary>Generates a request body for llama.cpp's server and KoboldCpp: the OpenAI-compatible body plus a GBNF grammar or JSON schema constraint.</summary>
+    private static object LlamaCppRequestBody(MessageContent content, string model, MessageType messageType, long seed, bool stream, SamplingOptions sampling, OutputConstraint constraint)
+    {
+        Dictionary<string, object> body = OpenAICompatibleRequestBody(content, model, messageType, preferPngForBase64: false, seed, stream, sampling, extendedSampling: true);
+        if (constraint?.Type == "gbnf")
+        {
+            body["grammar"] = constraint.Value;
+        }
+        else if (constraint?.Type == "json_schema")
+        {
+            JsonElement schema;
+            try
             {
-                return new
-                {
-                    model,
-                    messages = messages.ToArray(),
-                    max_tokens = 1000,
-                    temperature = 1.0,
-                    stream = false,
-                    seed
-                };
+                schema = JsonDocument.Parse(constraint.Value).RootElement.Clone();
             }
-
-            return new
+            catch (JsonException ex)
             {
-                model,
-                messages = messages.ToArray(),
-                max_tokens = 1000,
-                temperature = 1.0,
-                stream = false
-            };
-        }
-        messages.Add(new { role = "user", content = content.Text });
-
-        if (seed != -1)
-        {
-            return new
+                throw new InvalidConstraintException($"The instruction's JSON schema is not valid JSON: {ex.Message}");
+            }
+            body["response_format"] = new
             {
-                model,
-                messages = messages.ToArray(),
-                max_tokens = 1000,
-                temperature = 1.0,
-                stream = false,
-                seed
+                type = "json_schema",
+                json_schema = new { name = "output", schema }
             };
         }
-
-        return new
-        {
-            model,
-            messages = messages.ToArray(),
-            temperature = 1.0,
-            max_tokens = 1000,
-            top_p = 0.9,
-            stream = false
-        };
+        return body;
     }
 
-    /// <summary>Generates a request body for the Anthropic (Claude) API.</summary>
-    private static object AnthropicRequestBody(MessageContent content, string model, MessageType messageType)
+    /// <summary>Generates a request body for the Anthropic (Claude) API. Anthropic has no repetition penalty, so it is left out.</summary>
+    private static object AnthropicRequestBody(MessageContent content, string model, MessageType messageType, bool stream, SamplingOptions sampling)
     {
-        List<object> messages = [];
+        List<object> messages = BuildHistoryMessages(content);
         if (messageType == MessageType.Vision && content.Media?.Any() == true)
         {
             List<object> messageContent = [];
@@ -253,21 +441,104 @@ public static class BackendSchema
                 role = "user",
                 content = messageContent.ToArray()
             });
-            return new
+        }
+        else
+        {
+            messages.Add(new { role = "user", content = content.Text });
+        }
+        Dictionary<string, object> body = new()
+        {
+            ["model"] = model,
+            ["messages"] = messages.ToArray(),
+            ["system"] = content.Instructions,
+            ["max_tokens"] = sampling.MaxTokens ?? 1024,
+            ["stream"] = stream
+        };
+        if (sampling.Temperature != null)
+        {
+            // Anthropic only accepts 0 to 1
+            body["temperature"] = Math.Clamp(sampling.Temperature.Value, 0, 1);
+        }
+        if (sampling.TopP != null)
+        {
+            body["top_p"] = sampling.TopP;
+        }
+        if (sampling.TopK != null)
+        {
+            body["top_k"] = sampling.TopK;
+        }
+        if (sampling.Stop?.Count > 0)
+        {
+            body["stop_sequences"] = sampling.Stop;
+        }
+        return body;
+    }
+
+    /// <summary>Generates a request body for the Google Gemini API. Gemini calls the assistant role "model" and takes images as inline parts.</summary>
+    private static object GeminiRequestBody(MessageContent content, MessageType messageType, long seed, SamplingOptions sampling)
+    {
+        List<object> contents = [];
+        foreach (HistoryMessage turn in GetHistoryTurns(content))
+        {
+            contents.Add(new
             {
-                model,
-                messages = messages.ToArray(),
-                system = content.Instructions,
-                max_tokens = 1024
-            };
+                role = turn.Role == "assistant" ? "model" : "user",
+                parts = new[] { new { text = turn.Content } }
+            });
         }
-        messages.Add(new { role = "user", content = content.Text });
-        return new
+        List<object> parts = [];
+        if (messageType == MessageType.Vision && content.Media?.Any() == true)
         {
-            model,
-            messages = messages.ToArray(),
-            system = content.Instructions,
-            max_tokens = 1024
+            foreach (MediaContent media in content.Media)
+            {
+                if (media.Type != "base64")
+                {
+                    throw new ArgumentException("Gemini needs the image data itself, image URLs can't be sent.");
+                }
+                parts.Add(new
+                {
+                    inlineData = new
+                    {
+                        mimeType = "image/webp",
+                        data = CompressImageForVision(media, "WEBP")
+                    }
+                });
+            }
+        }
+        parts.Add(new { text = content.Text });
+        contents.Add(new { role = "user", parts });
+        Dictionary<string, object> generationConfig = new()
+        {
+            ["maxOutputTokens"] = sampling.MaxTokens ?? 1000,
+            ["temperature"] = sampling.Temperature ?? 1.0
         };
+        if (sampling.TopP != null)
+        {
+            generationConfig["topP"] = sampling.TopP;
+        }
+        if (sampling.TopK != null)
+        {
+            generationConfig["topK"] = sampling.TopK;
+        }
+        if (sampling.Stop?.Count > 0)
+        {
+            generationConfig["stopSequences"] = sampling.Stop;
+        }
+        // Negative seeds mean random, leave them out rather than sending one the modulo keeps negative
+        if (seed >= 0)
+        {
+            // Gemini seeds are 32-bit
+            generationConfig["seed"] = (int)(seed % int.MaxValue);
+        }
+        Dictionary<string, object> body = new()
+        {
+            ["contents"] = contents.ToArray(),
+            ["generationConfig"] = generationConfig
+        };
+        if (!string.IsNullOrEmpty(content.Instructions))
+        {
+            body["systemInstruction"] = new { parts = new[] { new { text = content.Instructions } } };
+        }
+        return body;
     }
-}
\ No newline at end of file
+}
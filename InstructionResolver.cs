@@ -31,6 +31,35 @@ public static class InstructionResolver
             ?? GetDefaultInstruction(instructionsObj);
     }
 
+    /// <summary>
+    /// Gets the sampling overrides of the custom instruction an &lt;mpprompt&gt; tag uses, or null when it has none.
+    /// </summary>
+    public static JToken ResolveSampling(T2IParamInput userInput, string instructionId, T2IRegisteredParam<string> paramInstructions)
+    {
+        return FindCustomInstruction(userInput, instructionId, paramInstructions)?["sampling"];
+    }
+
+    /// <summary>
+    /// Gets the grammar or JSON schema constraint of the custom instruction an &lt;mpprompt&gt; tag uses, or null when it has none.
+    /// </summary>
+    public static JToken ResolveConstraint(T2IParamInput userInput, string instructionId, T2IRegisteredParam<string> paramInstructions)
+    {
+        return FindCustomInstruction(userInput, instructionId, paramInstructions)?["constraint"];
+    }
+
+    private static JToken FindCustomInstruction(T2IParamInput userInput, string instructionId, T2IRegisteredParam<string> paramInstructions)
+    {
+        var instructionKey = GetInstructionKey(userInput, instructionId, paramInstructions);
+        if (string.IsNullOrWhiteSpace(instructionKey) || GetInstructionsObject()?["custom"] is not JObject customObj)
+        {
+            return null;
+        }
+
+        return customObj[instructionKey] ?? customObj.Properties()
+            .Select(prop => prop.Value)
+            .FirstOrDefault(value => string.Equals(value?["title"]?.ToString(), instructionKey, StringComparison.OrdinalIgnoreCase));
+    }
+
     /// <summary>
     /// Substitutes &lt;var:name&gt; tags in instructions with variable values from the prompt.
     /// Variables are set in the prompt using &lt;setvar[name]:value&gt; syntax.
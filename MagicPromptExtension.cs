@@ -31,7 +31,12 @@ public class MagicPromptExtension : Extension
     {
         ScriptFiles.Add("Assets/magicprompt.js");
         ScriptFiles.Add("Assets/vision.js");
+        ScriptFiles.Add("Assets/batchcaption.js");
+        ScriptFiles.Add("Assets/tageditor.js");
+        ScriptFiles.Add("Assets/markdown.js");
         ScriptFiles.Add("Assets/chat.js");
+        ScriptFiles.Add("Assets/compare.js");
+        ScriptFiles.Add("Assets/sessions.js");
         ScriptFiles.Add("Assets/settings.js");
         StyleSheetFiles.Add("Assets/magicprompt.css");
         StyleSheetFiles.Add("Assets/vision.css");
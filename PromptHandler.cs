@@ -122,9 +122,20 @@ public class PromptHandler
             ["messageType"] = "Text",
             ["action"] = "prompt",
             ["session_id"] = userInput.SourceSession?.ID ?? string.Empty,
-            ["seed"] = userInput.Get(T2IParamTypes.Seed, -1).ToString()
+            ["seed"] = userInput.Get(T2IParamTypes.Seed, -1).ToString(),
+            ["sampling"] = InstructionResolver.ResolveSampling(userInput, instructionId, _paramInstructions)?.DeepClone(),
+            ["constraint"] = InstructionResolver.ResolveConstraint(userInput, instructionId, _paramInstructions)?.DeepClone()
         };
 
+        // A backend and model pinned to <mpprompt> tags in the settings win over the MP Model ID param
+        var settings = SessionSettings.GetMagicPromptSettings().GetAwaiter().GetResult()["settings"] as JObject;
+        var route = SessionSettings.GetFeatureRoute(settings, "mpprompt");
+        if (route != null)
+        {
+            request["backend"] = route["backend"];
+            request["modelId"] = route["model"];
+        }
+
         var resp = LLMAPICalls.MagicPromptPhoneHome(request, userInput.SourceSession)
             .GetAwaiter()
             .GetResult();
@@ -0,0 +1,73 @@
+using Newtonsoft.Json.Linq;
+using SwarmUI.Accounts;
+using SwarmUI.Utils;
+
+namespace Hartsy.Extensions.MagicPromptExtension.WebAPI;
+
+/// <summary>Per-user caption tag rules: trigger words added to the front of every caption and blacklisted tags stripped from it.</summary>
+public class CaptionTagRules : MagicPromptAPI
+{
+    private const string RULES_KEY = "magicprompt_caption_tags";
+    private const string RULES_SUBKEY = "rules";
+    private const int MaxTagsPerList = 200;
+    private const int MaxTagLength = 100;
+
+    /// <summary>Gets the current user's trigger words and blacklist.</summary>
+    public static async Task<JObject> GetCaptionTagRules(Session session)
+    {
+        try
+        {
+            string rulesJson = session.User.GetGenericData(RULES_KEY, RULES_SUBKEY);
+            JObject rules = string.IsNullOrEmpty(rulesJson) ? new JObject() : JObject.Parse(rulesJson);
+            return new JObject
+            {
+                ["success"] = true,
+                ["triggerWords"] = rules["triggerWords"] as JArray ?? [],
+                ["blacklist"] = rules["blacklist"] as JArray ?? []
+            };
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"MagicPromptExtension.CaptionTagRules: Failed to load caption tag rules: {ex.Message}");
+            return CreateErrorResponse($"Failed to load caption tag rules: {ex.Message}");
+        }
+    }
+
+    /// <summary>Saves the current user's trigger words and blacklist.</summary>
+    /// <param name="session">The calling user's session</param>
+    /// <param name="requestData">Request with "triggerWords" and "blacklist" string arrays</param>
+    public static async Task<JObject> SaveCaptionTagRules(Session session, JObject requestData)
+    {
+        try
+        {
+            JObject rules = new()
+            {
+                ["triggerWords"] = CleanTagList(requestData?["triggerWords"] as JArray),
+                ["blacklist"] = CleanTagList(requestData?["blacklist"] as JArray)
+            };
+            session.User.SaveGenericData(RULES_KEY, RULES_SUBKEY, rules.ToString(Newtonsoft.Json.Formatting.None));
+            rules["success"] = true;
+            return rules;
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"MagicPromptExtension.CaptionTagRules: Failed to save caption tag rules: {ex.Message}");
+            return CreateErrorResponse($"Failed to save caption tag rules: {ex.Message}");
+        }
+    }
+
+    /// <summary>Trims entries, drops blanks and case-insensitive duplicates, and limits the list size.</summary>
+    private static JArray CleanTagList(JArray tags)
+    {
+        if (tags == null)
+        {
+            return [];
+        }
+        IEnumerable<string> cleaned = tags
+            .Select(t => t?.ToString().Trim() ?? "")
+            .Where(t => t.Length > 0 && t.Length <= MaxTagLength)
+            .DistinctBy(t => t.ToLowerInvariant())
+            .Take(MaxTagsPerList);
+        return new JArray(cleaned);
+    }
+}
@@ -0,0 +1,260 @@
+using Newtonsoft.Json.Linq;
+using SwarmUI.Accounts;
+using SwarmUI.Utils;
+using System.Text.RegularExpressions;
+
+namespace Hartsy.Extensions.MagicPromptExtension.WebAPI;
+
+/// <summary>Saved chat conversations, stored per SwarmUI user.
+/// Each conversation is its own generic-data entry, with a small index entry listing them so the sidebar doesn't have to load every conversation.</summary>
+public class ChatSessions : MagicPromptAPI
+{
+    private const string SESSIONS_KEY = "magicprompt_chats";
+    private const string INDEX_SUBKEY = "index";
+
+    /// <summary>Guards read-modify-write of the index so two saves can't drop each other's entries.</summary>
+    private static readonly object IndexLock = new();
+
+    private static readonly Regex ValidIdRegex = new("^[a-zA-Z0-9_-]{1,64}$", RegexOptions.Compiled);
+
+    /// <summary>Lists saved conversations for the current user, newest first, optionally filtered by a search term.</summary>
+    /// <param name="session">The calling user's session</param>
+    /// <param name="search">Text to match against titles and message contents (case-insensitive)</param>
+    public static async Task<JObject> ListChatSessions(Session session, string search = "")
+    {
+        try
+        {
+            JArray index = LoadIndex(session.User);
+            IEnumerable<JToken> results = index.OrderByDescending(s => s["updated"]?.ToString());
+            if (!string.IsNullOrWhiteSpace(search))
+            {
+                results = results.Where(summary => MatchesSearch(session.User, summary, search.Trim())).ToList();
+            }
+            return new JObject
+            {
+                ["success"] = true,
+                ["sessions"] = new JArray(results)
+            };
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"MagicPromptExtension.ChatSessions: Failed to list chat sessions: {ex.Message}");
+            return CreateErrorResponse($"Failed to list chat sessions: {ex.Message}");
+        }
+    }
+
+    /// <summary>Loads a single saved conversation, including its messages and attached image.</summary>
+    public static async Task<JObject> GetChatSession(Session session, string id)
+    {
+        if (!IsValidId(id))
+        {
+            return CreateErrorResponse("Invalid chat session ID");
+        }
+        JObject chat = LoadSession(session.User, id);
+        if (chat == null)
+        {
+            return CreateErrorResponse("Chat session not found");
+        }
+        return new JObject
+        {
+            ["success"] = true,
+            ["chatSession"] = chat
+        };
+    }
+
+    /// <summary>Creates or updates a conversation. A new ID is assigned when none is given.</summary>
+    /// <param name="session">The calling user's session</param>
+    /// <param name="requestData">Request with a "chatSession" object: id, title, mode, image and messages</param>
+    public static async Task<JObject> SaveChatSession(Session session, JObject requestData)
+    {
+        try
+        {
+            JObject chatSession = requestData?["chatSession"] as JObject;
+            if (chatSession == null)
+            {
+                return CreateErrorResponse("No chat session provided");
+            }
+            string id = chatSession["id"]?.ToString();
+            if (string.IsNullOrEmpty(id))
+            {
+                id = Guid.NewGuid().ToString("N");
+            }
+            else if (!IsValidId(id))
+            {
+                return CreateErrorResponse("Invalid chat session ID");
+            }
+            string now = DateTime.UtcNow.ToString("o");
+            JObject existing = LoadSession(session.User, id);
+            JObject chat = new()
+            {
+                ["id"] = id,
+                ["title"] = CleanTitle(chatSession["title"]?.ToString()) ?? existing?["title"]?.ToString() ?? "New Chat",
+                ["mode"] = chatSession["mode"]?.ToString() ?? "chat",
+                ["image"] = chatSession["image"]?.DeepClone(),
+                ["messages"] = chatSession["messages"] as JArray ?? [],
+                ["created"] = existing?["created"]?.ToString() ?? now,
+                ["updated"] = now
+            };
+            SaveSession(session.User, chat);
+            return new JObject
+            {
+                ["success"] = true,
+                ["chatSession"] = CreateSummary(chat)
+            };
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"MagicPromptExtension.ChatSessions: Failed to save chat session: {ex.Message}");
+            return CreateErrorResponse($"Failed to save chat session: {ex.Message}");
+        }
+    }
+
+    /// <summary>Changes the title of a saved conversation.</summary>
+    public static async Task<JObject> RenameChatSession(Session session, string id, string title)
+    {
+        if (!IsValidId(id))
+        {
+            return CreateErrorResponse("Invalid chat session ID");
+        }
+        string cleanTitle = CleanTitle(title);
+        if (cleanTitle == null)
+        {
+            return CreateErrorResponse("Title cannot be empty");
+        }
+        JObject chat = LoadSession(session.User, id);
+        if (chat == null)
+        {
+            return CreateErrorResponse("Chat session not found");
+        }
+        chat["title"] = cleanTitle;
+        chat["updated"] = DateTime.UtcNow.ToString("o");
+        SaveSession(session.User, chat);
+        return new JObject
+        {
+            ["success"] = true,
+            ["chatSession"] = CreateSummary(chat)
+        };
+    }
+
+    /// <summary>Copies a saved conversation under a new ID so it can be continued in a different direction.</summary>
+    public static async Task<JObject> DuplicateChatSession(Session session, string id)
+    {
+        if (!IsValidId(id))
+        {
+            return CreateErrorResponse("Invalid chat session ID");
+        }
+        JObject chat = LoadSession(session.User, id);
+        if (chat == null)
+        {
+            return CreateErrorResponse("Chat session not found");
+        }
+        string now = DateTime.UtcNow.ToString("o");
+        JObject copy = chat.DeepClone() as JObject;
+        copy["id"] = Guid.NewGuid().ToString("N");
+        copy["title"] = CleanTitle($"{chat["title"]} (copy)");
+        copy["created"] = now;
+        copy["updated"] = now;
+        SaveSession(session.User, copy);
+        return new JObject
+        {
+            ["success"] = true,
+            ["chatSession"] = CreateSummary(copy)
+        };
+    }
+
+    /// <summary>Permanently removes a saved conversation.</summary>
+    public static async Task<JObject> DeleteChatSession(Session session, string id)
+    {
+        if (!IsValidId(id))
+        {
+            return CreateErrorResponse("Invalid chat session ID");
+        }
+        lock (IndexLock)
+        {
+            JArray index = LoadIndex(session.User);
+            index.Where(s => s["id"]?.ToString() == id).ToList().ForEach(s => s.Remove());
+            session.User.SaveGenericData(SESSIONS_KEY, INDEX_SUBKEY, index.ToString(Newtonsoft.Json.Formatting.None));
+            session.User.DeleteGenericData(SESSIONS_KEY, id);
+        }
+        return new JObject
+        {
+            ["success"] = true
+        };
+    }
+
+    /// <summary>IDs become generic-data keys, so only allow plain characters and never the index key itself.</summary>
+    private static bool IsValidId(string id)
+    {
+        return id != null && id != INDEX_SUBKEY && ValidIdRegex.IsMatch(id);
+    }
+
+    private static JArray LoadIndex(User user)
+    {
+        string indexJson = user.GetGenericData(SESSIONS_KEY, INDEX_SUBKEY);
+        return string.IsNullOrEmpty(indexJson) ? [] : JArray.Parse(indexJson);
+    }
+
+    private static JObject LoadSession(User user, string id)
+    {
+        string chatJson = user.GetGenericData(SESSIONS_KEY, id);
+        return string.IsNullOrEmpty(chatJson) ? null : JObject.Parse(chatJson);
+    }
+
+    /// <summary>Writes the conversation and updates its index entry.</summary>
+    private static void SaveSession(User user, JObject chat)
+    {
+        string id = chat["id"].ToString();
+        lock (IndexLock)
+        {
+            user.SaveGenericData(SESSIONS_KEY, id, chat.ToString(Newtonsoft.Json.Formatting.None));
+            JArray index = LoadIndex(user);
+            index.Where(s => s["id"]?.ToString() == id).ToList().ForEach(s => s.Remove());
+            index.Add(CreateSummary(chat));
+            user.SaveGenericData(SESSIONS_KEY, INDEX_SUBKEY, index.ToString(Newtonsoft.Json.Formatting.None));
+        }
+    }
+
+    /// <summary>The lightweight entry shown in the sidebar list.</summary>
+    private static JObject CreateSummary(JObject chat)
+    {
+        JArray messages = chat["messages"] as JArray ?? [];
+        string preview = messages.LastOrDefault(m => m["role"]?.ToString() is "user" or "assistant")?["content"]?.ToString() ?? "";
+        if (preview.Length > 120)
+        {
+            preview = preview[..120] + "…";
+        }
+        return new JObject
+        {
+            ["id"] = chat["id"],
+            ["title"] = chat["title"],
+            ["mode"] = chat["mode"],
+            ["hasImage"] = chat["image"] != null && chat["image"].Type != JTokenType.Null,
+            ["messageCount"] = messages.Count,
+            ["preview"] = preview,
+            ["created"] = chat["created"],
+            ["updated"] = chat["updated"]
+        };
+    }
+
+    private static bool MatchesSearch(User user, JToken summary, string search)
+    {
+        if (summary["title"]?.ToString().Contains(search, StringComparison.OrdinalIgnoreCase) == true)
+        {
+            return true;
+        }
+        JObject chat = LoadSession(user, summary["id"]?.ToString());
+        JArray messages = chat?["messages"] as JArray;
+        return messages != null && messages.Any(m => m["content"]?.ToString().Contains(search, StringComparison.OrdinalIgnoreCase) == true);
+    }
+
+    /// <summary>Trims and length-limits a title. Returns null for a blank title.</summary>
+    private static string CleanTitle(string title)
+    {
+        title = title?.Trim();
+        if (string.IsNullOrEmpty(title))
+        {
+            return null;
+        }
+        return title.Length > 100 ? title[..100] : title;
+    }
+}
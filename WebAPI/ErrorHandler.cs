@@ -95,6 +95,12 @@ public static class ErrorHandler
         return _instance.TryParseOllamaError(responseContent, statusCode, out errorType, out errorMessage);
     }
 
+    /// <summary>Try to parse Google Gemini error response</summary>
+    public static bool TryParseGeminiError(string responseContent, HttpStatusCode statusCode, out ErrorType errorType, out string errorMessage)
+    {
+        return _instance.TryParseGeminiError(responseContent, statusCode, out errorType, out errorMessage);
+    }
+
     /// <summary>Try to parse Anthropic error response</summary>
     public static bool TryParseAnthropicError(string responseContent, HttpStatusCode statusCode, out ErrorType errorType, out string errorMessage)
     {
@@ -434,6 +440,50 @@ public class ErrorHandlerImplementation : IErrorHandler
                     ]
                 )
             },
+            ["gemini"] = new Dictionary<ErrorType, ErrorTemplateObject>
+            {
+                [ErrorType.Authentication] = new ErrorTemplateObject(
+                    "Gemini API Key Error",
+                    "Failed to authenticate with the Google Gemini API.",
+                    [
+                        "Missing or invalid API key",
+                        "The key's Google Cloud project may not have the Generative Language API enabled",
+                        "Gemini may not be available in your region"
+                    ],
+                    [
+                        "Go to the Users tab in SwarmUI",
+                        "Click on the Settings icon for your user",
+                        "Enter or update your Gemini API key",
+                        "Create or check your key at https://aistudio.google.com/apikey"
+                    ]
+                ),
+                [ErrorType.Quota] = new ErrorTemplateObject(
+                    "Gemini Rate Limit Reached",
+                    "Your Gemini API key has run into a rate limit or quota.",
+                    [
+                        "Free tier keys have low per-minute and per-day request limits",
+                        "You've reached your project's quota or spending cap"
+                    ],
+                    [
+                        "Wait a minute and try again",
+                        "Review your limits at https://aistudio.google.com",
+                        "Enable billing on the key's project for higher limits"
+                    ]
+                ),
+                [ErrorType.ContentModeration] = new ErrorTemplateObject(
+                    "Gemini Safety Block",
+                    "Gemini refused to answer because of its safety filters.",
+                    [
+                        "The prompt or image was flagged by Gemini's safety settings",
+                        "The reply was stopped partway for safety reasons"
+                    ],
+                    [
+                        "Rephrase your prompt",
+                        "Try a different image",
+                        "Use a different backend for this content"
+                    ]
+                )
+            },
             ["ollama"] = new Dictionary<ErrorType, ErrorTemplateObject>
             {
                 [ErrorType.ServerError] = new ErrorTemplateObject(
@@ -478,6 +528,46 @@ public class ErrorHandlerImplementation : IErrorHandler
                     ]
                 )
             },
+            ["llamacpp"] = new Dictionary<ErrorType, ErrorTemplateObject>
+            {
+                [ErrorType.Connectivity] = new ErrorTemplateObject(
+                    "llama.cpp Connection Error",
+                    "Cannot connect to the llama.cpp or KoboldCpp server.",
+                    [
+                        "The server is not running",
+                        "The server is running on a different port than expected",
+                        "Incorrect base URL configuration"
+                    ],
+                    [
+                        "Start llama-server or KoboldCpp with a model loaded",
+                        "Verify the base URL in MagicPrompt settings (llama.cpp default: http://localhost:8080, KoboldCpp default: http://localhost:5001)",
+                        "Check if any other application is using the same port"
+                    ]
+                ),
+                [ErrorType.TokenLimit] = new ErrorTemplateObject(
+                    "llama.cpp Context Full",
+                    "The request doesn't fit in the context size the server was started with.",
+                    [],
+                    [
+                        "Lower the History Tokens setting for chat",
+                        "Restart the server with a larger context (-c for llama-server, --contextsize for KoboldCpp)",
+                        "Shorten the instructions or prompt"
+                    ]
+                ),
+                [ErrorType.Generic] = new ErrorTemplateObject(
+                    "llama.cpp Request Error",
+                    "The llama.cpp server rejected the request.",
+                    [
+                        "The instruction's grammar or JSON schema may be invalid",
+                        "The loaded model may not support images"
+                    ],
+                    [
+                        "Check the grammar or JSON schema in the instruction's Output Constraint",
+                        "Check the server log for the exact error",
+                        "For images, start the server with the model's --mmproj file"
+                    ]
+                )
+            },
             ["anthropic"] = new Dictionary<ErrorType, ErrorTemplateObject>
             {
                 [ErrorType.TokenLimit] = new ErrorTemplateObject(
@@ -700,6 +790,7 @@ public class ErrorHandlerImplementation : IErrorHandler
                 case "quota_error": return ErrorType.Quota;
                 case "server_error": return ErrorType.ServerError;
                 case "overloaded_error": return ErrorType.ServerError;
+                case "exceed_context_size_error": return ErrorType.TokenLimit; // llama.cpp
                 case "invalid_request_error":
                     // This is ambiguous, so use the status code for more info
                     if (statusCode == HttpStatusCode.Unauthorized || statusCode == HttpStatusCode.Forbidden)
@@ -803,6 +894,48 @@ public class ErrorHandlerImplementation : IErrorHandler
         return false;
     }
 
+    /// <summary>Try to parse Google Gemini error response. Gemini uses Google API errors: {"error": {"code", "message", "status", "details"}}</summary>
+    public bool TryParseGeminiError(string responseContent, HttpStatusCode statusCode, out ErrorType errorType, out string errorMessage)
+    {
+        errorType = ErrorType.Generic;
+        errorMessage = string.Empty;
+        if (string.IsNullOrEmpty(responseContent))
+        {
+            return false;
+        }
+        try
+        {
+            // Errors mid-stream come as a JSON array with one error object
+            JToken json = JToken.Parse(responseContent);
+            JObject error = (json is JArray array ? array.FirstOrDefault() : json)?["error"] as JObject;
+            if (error == null)
+            {
+                return false;
+            }
+            string status = error["status"]?.ToString();
+            errorMessage = error["message"]?.ToString() ?? "Unknown Gemini error";
+            // An invalid key is reported as INVALID_ARGUMENT, only the details say what's wrong
+            bool invalidKey = error["details"] is JArray details && details.Any(d => d["reason"]?.ToString() == "API_KEY_INVALID");
+            errorType = invalidKey ? ErrorType.Authentication : status switch
+            {
+                "UNAUTHENTICATED" or "PERMISSION_DENIED" => ErrorType.Authentication,
+                "RESOURCE_EXHAUSTED" => ErrorType.Quota,
+                "NOT_FOUND" => ErrorType.ModelNotFound,
+                "INTERNAL" or "UNAVAILABLE" => ErrorType.ServerError,
+                "DEADLINE_EXCEEDED" => ErrorType.RequestTimeout,
+                "FAILED_PRECONDITION" => ErrorType.Authentication, // Free tier not available in the user's region
+                _ => MapStatusCodeToErrorType(statusCode, "gemini")
+            };
+            Logs.Error($"Gemini error ({status}): {errorMessage}");
+            return true;
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error parsing Gemini error response: {ex.Message}");
+        }
+        return false;
+    }
+
     /// <summary>Attempts to parse Ollama-specific error responses</summary>
     public bool TryParseOllamaError(string responseContent, HttpStatusCode statusCode, out ErrorType errorType, out string errorMessage)
     {
@@ -888,9 +1021,10 @@ public class ErrorHandlerImplementation : IErrorHandler
         return normalizedProvider switch
         {
             "openai" or "openaiapi" => TryParseOpenAIError(responseContent, statusCode, out errorType, out errorMessage),
-            "grok" => TryParseOpenAIError(responseContent, statusCode, out errorType, out errorMessage),
+            "grok" or "llamacpp" => TryParseOpenAIError(responseContent, statusCode, out errorType, out errorMessage),
             "openrouter" => TryParseOpenRouterError(responseContent, statusCode, out errorType, out errorMessage),
             "anthropic" => TryParseAnthropicError(responseContent, statusCode, out errorType, out errorMessage),
+            "gemini" => TryParseGeminiError(responseContent, statusCode, out errorType, out errorMessage),
             "ollama" => TryParseOllamaError(responseContent, statusCode, out errorType, out errorMessage),
             _ => false,
         };
@@ -5,6 +5,8 @@ using SwarmUI.WebAPI;
 using SwarmUI.Core;
 using SwarmUI.Accounts;
 using System.Net.Http;
+using System.Collections.Concurrent;
+using System.Net.WebSockets;
 using Hartsy.Extensions.MagicPromptExtension.WebAPI.Models;
 
 using static Hartsy.Extensions.MagicPromptExtension.BackendSchema;
@@ -17,7 +19,7 @@ public class LLMAPICalls : MagicPromptAPI
     protected static readonly HttpClient HttpClient = CreateHttpClient();
 
     /// <summary>Backends that run locally and benefit from a fast reachability check before API calls.</summary>
-    private static readonly HashSet<string> LocalBackends = new(StringComparer.OrdinalIgnoreCase) { "ollama", "openaiapi" };
+    private static readonly HashSet<string> LocalBackends = new(StringComparer.OrdinalIgnoreCase) { "ollama", "openaiapi", "llamacpp" };
 
     private static readonly object _reachabilityLock = new();
     private static readonly Dictionary<string, (bool reachable, DateTime checkedUtc)> _reachabilityCache = new();
@@ -25,6 +27,17 @@ public class LLMAPICalls : MagicPromptAPI
     private static readonly TimeSpan ReachabilityCacheTtlFailure = TimeSpan.FromSeconds(30);
     private const int ReachabilityTimeoutSeconds = 3;
 
+    /// <summary>A request the UI can cancel, tracked from when it arrives until it completes.
+    /// Source is null while the request is being prepared or between fallback attempts.</summary>
+    protected class ActiveRequest
+    {
+        public CancellationTokenSource Source;
+        public bool CancelledByUser;
+    }
+
+    /// <summary>Requests in progress keyed by user and client-supplied request ID.</summary>
+    private static readonly ConcurrentDictionary<string, ActiveRequest> ActiveRequests = new();
+
     // Disable global timeout; per-request CancellationTokenSource controls timeout instead
     private static HttpClient CreateHttpClient()
     {
@@ -140,8 +153,147 @@ public class LLMAPICalls : MagicPromptAPI
         }
     }
 
+    /// <summary>Fetches the models of any configured backend, not just the selected chat/vision ones. Used to pick models for comparison.</summary>
+    /// <param name="session">The calling user's session</param>
+    /// <param name="backend">Backend ID from the settings, e.g. "ollama" or "openrouter"</param>
+    /// <param name="vision">Only list models that can see images</param>
+    public static async Task<JObject> GetMagicPromptBackendModels(Session session, string backend, bool vision = false)
+    {
+        try
+        {
+            JObject sessionSettings = await SessionSettings.GetMagicPromptSettings();
+            JObject settings = sessionSettings["settings"] as JObject;
+            if (!sessionSettings["success"].Value<bool>() || settings == null)
+            {
+                return CreateErrorResponse(sessionSettings["error"]?.ToString() ?? "Failed to load settings");
+            }
+            backend = backend?.ToLower();
+            if (string.IsNullOrEmpty(backend) || (settings["backends"] as JObject)?.ContainsKey(backend) != true)
+            {
+                return CreateErrorResponse($"Unknown backend: {backend}");
+            }
+            List<ModelData> models = await GetModelsForBackend(backend, settings, vision, session);
+            if (models == null || !models.Any())
+            {
+                return CreateErrorResponse($"Failed to fetch models for {backend}. Please check your API key and try again.");
+            }
+            return new JObject
+            {
+                ["success"] = true,
+                ["backend"] = backend,
+                ["models"] = JArray.FromObject(models)
+            };
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"MagicPromptExtension.LLMAPICalls: Failed to fetch models for {backend}: {ex.Message}");
+            return CreateErrorResponse($"Failed to fetch models for {backend}: {ex.Message}");
+        }
+    }
+
+    /// <summary>Reads the loaded model and context size from a llama.cpp server (/props), or from KoboldCpp's own endpoints for older versions without /props.</summary>
+    /// <param name="session">The current user session</param>
+    /// <param name="backend">Backend ID from the settings, only "llamacpp" reports these</param>
+    [API.APIDescription("Returns the model loaded on a llama.cpp or KoboldCpp server and its context size.",
+        """
+        {
+            "success": true,
+            "model": string,
+            "contextLength": int,
+            "error": string
+        }
+        """)]
+    public static async Task<JObject> GetMagicPromptBackendProps(Session session, string backend)
+    {
+        try
+        {
+            JObject sessionSettings = await SessionSettings.GetMagicPromptSettings();
+            JObject settings = sessionSettings["settings"] as JObject;
+            if (!sessionSettings["success"].Value<bool>() || settings == null)
+            {
+                return CreateErrorResponse(sessionSettings["error"]?.ToString() ?? "Failed to load settings");
+            }
+            backend = backend?.ToLower();
+            if (backend != "llamacpp")
+            {
+                return CreateErrorResponse($"{backend} doesn't report server properties");
+            }
+            if (!await IsServerReachable(backend, settings))
+            {
+                return CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.Connectivity, null, backend));
+            }
+            string baseUrl = settings["backends"][backend]["baseurl"].ToString().TrimEnd('/');
+            string model = null;
+            int? contextLength = null;
+            JObject props = await GetJsonAsync(GetEndpoint(backend, settings, "props"), backend, settings, session);
+            if (props != null)
+            {
+                model = props["model_alias"]?.ToString() ?? props["model_path"]?.ToString()?.Split('/', '\\').Last();
+                contextLength = props["default_generation_settings"]?["n_ctx"]?.Value<int?>() ?? props["n_ctx"]?.Value<int?>();
+            }
+            if (contextLength == null)
+            {
+                // KoboldCpp reports the model as "koboldcpp/name"
+                JObject koboldModel = await GetJsonAsync($"{baseUrl}/api/v1/model", backend, settings, session);
+                JObject koboldContext = await GetJsonAsync($"{baseUrl}/api/extra/true_max_context_length", backend, settings, session);
+                model = koboldModel?["result"]?.ToString()?.Split('/').Last() ?? model;
+                contextLength = koboldContext?["value"]?.Value<int?>();
+            }
+            if (string.IsNullOrEmpty(model) && contextLength == null)
+            {
+                return CreateErrorResponse($"The server at {baseUrl} didn't report its properties");
+            }
+            return new JObject
+            {
+                ["success"] = true,
+                ["model"] = model,
+                ["contextLength"] = contextLength
+            };
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"MagicPromptExtension.LLMAPICalls: Failed to read server properties for {backend}: {ex.Message}");
+            return CreateErrorResponse($"Failed to read server properties for {backend}: {ex.Message}");
+        }
+    }
+
+    /// <summary>Sends a GET request to a backend and parses the JSON reply.</summary>
+    /// <returns>The parsed object, or null if the request failed or didn't return a JSON object.</returns>
+    private static async Task<JObject> GetJsonAsync(string url, string backend, JObject settings, Session session)
+    {
+        if (string.IsNullOrEmpty(url))
+        {
+            return null;
+        }
+        using HttpRequestMessage request = new(HttpMethod.Get, url);
+        if (!ConfigureRequest(request, backend, settings, session, out string error))
+        {
+            Logs.Error($"MagicPromptExtension.LLMAPICalls: {error}");
+            return null;
+        }
+        try
+        {
+            using var cts = new CancellationTokenSource(TimeSpan.FromSeconds(ReachabilityTimeoutSeconds * 2));
+            using HttpResponseMessage response = await HttpClient.SendAsync(request, cts.Token);
+            if (!response.IsSuccessStatusCode)
+            {
+                return null;
+            }
+            return JToken.Parse(await response.Content.ReadAsStringAsync(cts.Token)) as JObject;
+        }
+        catch (Exception ex)
+        {
+            Logs.Debug($"[MagicPrompt] GET {url} failed: {ex.Message}");
+            return null;
+        }
+    }
+
     public static async Task<List<ModelData>> GetModelsForBackend(string backend, JObject settings, bool isVision = false, Session session = null)
     {
+        if (backend == MockBackend.BackendId)
+        {
+            return MockBackend.GetModels();
+        }
         // Fast-fail for unreachable local backends instead of waiting for the full timeout
         if (!await IsServerReachable(backend, settings))
         {
@@ -242,7 +394,7 @@ public class LLMAPICalls : MagicPromptAPI
         {
             endpoint = backend.ToLower() switch
             {
-                "openrouter" or "openai" or "openaiapi" or "grok" => endpoints["chat"]?.ToString(),// OpenAI, Grok, and OpenRouter use the chat endpoint for vision
+                "openrouter" or "openai" or "openaiapi" or "llamacpp" or "grok" or "gemini" => endpoints["chat"]?.ToString(),// OpenAI, llama.cpp, Grok, Gemini, and OpenRouter use the chat endpoint for vision
                 "anthropic" => endpoints["messages"]?.ToString() ?? endpoints["chat"]?.ToString(),// Anthropic uses the messages endpoint for both chat and vision
                 "ollama" => endpoints["vision"]?.ToString() ?? endpoints["chat"]?.ToString(),// Ollama has a dedicated vision endpoint
                 _ => endpoints[endpointType]?.ToString() ?? endpoints["chat"]?.ToString(),
@@ -325,6 +477,15 @@ public class LLMAPICalls : MagicPromptAPI
                 }
                 request.Headers.Add("Authorization", $"Bearer {grokKey}");
                 break;
+            case "gemini":
+                string geminiKey = session?.User?.GetGenericData("gemini_api", "key") ?? Program.Sessions.GenericSharedUser.GetGenericData("gemini_api", "key");
+                if (string.IsNullOrEmpty(geminiKey))
+                {
+                    error = ErrorHandler.FormatErrorMessage(ErrorType.Authentication, "Gemini API Key not found", "gemini");
+                    return false;
+                }
+                request.Headers.Add("x-goog-api-key", geminiKey);
+                break;
             case "openrouter":
                 string openRouterKey = session?.User?.GetGenericData("openrouter_api", "key") ?? Program.Sessions.GenericSharedUser.GetGenericData("openrouter_api", "key");
                 if (string.IsNullOrEmpty(openRouterKey))
@@ -353,6 +514,13 @@ public class LLMAPICalls : MagicPromptAPI
                     request.Headers.Add("Authorization", $"Bearer {openaiApiKey}");
                 }
                 break;
+            case "llamacpp":
+                string llamaCppKey = session?.User?.GetGenericData("llamacpp_local", "key") ?? Program.Sessions.GenericSharedUser.GetGenericData("llamacpp_local", "key");
+                if (!string.IsNullOrEmpty(llamaCppKey))
+                {
+                    request.Headers.Add("Authorization", $"Bearer {llamaCppKey}");
+                }
+                break;
             case "ollama":
                 string ollamaKey = session?.User?.GetGenericData("ollama_api", "key") ?? Program.Sessions.GenericSharedUser.GetGenericData("ollama_api", "key");
                 if (!string.IsNullOrEmpty(ollamaKey))
@@ -363,7 +531,7 @@ public class LLMAPICalls : MagicPromptAPI
             default:
                 // Handle unsupported backend
                 error = ErrorHandler.FormatErrorMessage(ErrorType.Generic,
-                    $"Unsupported LLM backend: {backend}. Please select one of the supported backends: Ollama, OpenAI, OpenRouter, or Anthropic.");
+                    $"Unsupported LLM backend: {backend}. Please select one of the supported backends: Ollama, OpenAI, OpenRouter, Anthropic, Grok, or Gemini.");
                 return false;
         }
         return true;
@@ -417,159 +585,359 @@ public class LLMAPICalls : MagicPromptAPI
         return defaultTimeout;
     }
 
-    /// <summary>Sends the prompt to the LLM API and processes the response.</summary>
-    /// <returns>Returns a JSON object with success and a rewritten prompt or an error.</returns>
-    [API.APIDescription("Returns a JSON object containing the response from the language model API or an error message.",
-        """
+    /// <summary>A MagicPromptPhoneHome request that has been parsed, validated and resolved against the current settings.</summary>
+    public class PreparedRequest
+    {
+        public string Backend { get; set; }
+        public string Endpoint { get; set; }
+        public string ModelId { get; set; }
+        public string Action { get; set; }
+        public MessageType MessageType { get; set; }
+        public MessageContent Content { get; set; }
+        public long Seed { get; set; }
+        public SamplingOptions Sampling { get; set; }
+        public OutputConstraint Constraint { get; set; }
+        public JObject Settings { get; set; }
+    }
+
+    /// <summary>Parses the request payload, loads settings, resolves the backend/endpoint and instructions.</summary>
+    /// <returns>The prepared request, or null with an error response ready to return to the caller.</returns>
+    protected static async Task<(PreparedRequest prepared, JObject error)> PrepareRequest(JObject requestData)
+    {
+        if (requestData == null)
         {
-            "success": true,
-            "response": string,
-            "error": string
+            return (null, CreateErrorResponse("Request data is null"));
         }
-        """)]
-    public static async Task<JObject> MagicPromptPhoneHome(JObject requestData, Session session = null)
-    {
-        try
+        long seed = requestData["seed"]?.Value<long>() ?? -1;
+        // Safely parse message content
+        JToken messageContentToken = requestData["messageContent"];
+        if (messageContentToken == null)
         {
-            long seed = requestData["seed"]?.Value<long>() ?? -1;
-
-            if (requestData == null)
+            return (null, CreateErrorResponse("Message content is missing"));
+        }
+        // Create message content with explicit parsing
+        MessageContent messageContent = new()
+        {
+            Text = messageContentToken["text"]?.ToString(),
+            KeepAlive = messageContentToken["KeepAlive"]?.Value<int?>()
+        };
+        // Safely parse media content if it exists
+        JToken mediaToken = messageContentToken["media"];
+        if (mediaToken != null && mediaToken.Type == JTokenType.Array)
+        {
+            try
             {
-                return CreateErrorResponse("Request data is null");
+                messageContent.Media = mediaToken.ToObject<List<MediaContent>>();
             }
-            // Safely parse message content
-            JToken messageContentToken = requestData["messageContent"];
-            if (messageContentToken == null)
+            catch (Exception ex)
             {
-                return CreateErrorResponse("Message content is missing");
+                Logs.Error($"MagicPromptExtension.LLMAPICalls: Failed to parse media content: {ex.Message}");
+                return (null, CreateErrorResponse("Failed to parse media content"));
             }
-            // Create message content with explicit parsing
-            MessageContent messageContent = new()
-            {
-                Text = messageContentToken["text"]?.ToString(),
-                KeepAlive = messageContentToken["KeepAlive"]?.Value<int?>()
-            };
-            // Safely parse media content if it exists
-            JToken mediaToken = messageContentToken["media"];
-            if (mediaToken != null && mediaToken.Type == JTokenType.Array)
+        }
+        // Parse prior conversation turns (chat tab only)
+        JToken historyToken = messageContentToken["history"];
+        if (historyToken != null && historyToken.Type == JTokenType.Array)
+        {
+            try
             {
-                try
-                {
-                    messageContent.Media = mediaToken.ToObject<List<MediaContent>>();
-                }
-                catch (Exception ex)
-                {
-                    Logs.Error($"MagicPromptExtension.LLMAPICalls: Failed to parse media content: {ex.Message}");
-                    return CreateErrorResponse("Failed to parse media content");
-                }
+                messageContent.History = historyToken.ToObject<List<HistoryMessage>>();
             }
-            // Parse model ID
-            string modelId = requestData["modelId"]?.ToString();
-            // Parse message type with validation
-            MessageType messageType = MessageType.Text;
-            string messageTypeStr = requestData["messageType"]?.ToString();
-            if (!string.IsNullOrEmpty(messageTypeStr))
+            catch (Exception ex)
             {
-                if (!Enum.TryParse(messageTypeStr, true, out messageType))
-                {
-                    messageType = MessageType.Text;
-                }
+                Logs.Error($"MagicPromptExtension.LLMAPICalls: Failed to parse conversation history: {ex.Message}");
+                return (null, CreateErrorResponse("Failed to parse conversation history"));
             }
-            string action = requestData["action"]?.ToString()?.ToLower() ?? "chat";
-            if (string.IsNullOrEmpty(modelId))
+        }
+        // Parse model ID
+        string modelId = requestData["modelId"]?.ToString();
+        // Parse message type with validation
+        MessageType messageType = MessageType.Text;
+        string messageTypeStr = requestData["messageType"]?.ToString();
+        if (!string.IsNullOrEmpty(messageTypeStr))
+        {
+            if (!Enum.TryParse(messageTypeStr, true, out messageType))
             {
-                return CreateErrorResponse("Model ID is missing");
+                messageType = MessageType.Text;
             }
-            if (action != "random-prompt" && string.IsNullOrEmpty(messageContent.Text))
+        }
+        string action = requestData["action"]?.ToString()?.ToLower() ?? "chat";
+        if (string.IsNullOrEmpty(modelId))
+        {
+            return (null, CreateErrorResponse("Model ID is missing"));
+        }
+        if (action != "random-prompt" && string.IsNullOrEmpty(messageContent.Text))
+        {
+            return (null, CreateErrorResponse("Message content is missing"));
+        }
+        // Get current settings
+        JObject sessionSettings = await SessionSettings.GetMagicPromptSettings();
+        if (!sessionSettings["success"].Value<bool>())
+        {
+            Logs.Error($"MagicPromptExtension.LLMAPICalls: {sessionSettings["error"]?.ToString() ?? "Failed to load settings"}");
+            return (null, CreateErrorResponse(sessionSettings["error"]?.ToString() ?? "Failed to load settings"));
+        }
+        JObject settings = sessionSettings["settings"] as JObject;
+        if (settings == null)
+        {
+            Logs.Error($"MagicPromptExtension.LLMAPICalls: Configuration not found. Please check your settings.");
+            return (null, CreateErrorResponse("Configuration not found. Please check your settings."));
+        }
+        // Get appropriate backend based on message type, unless the request picks a configured backend itself (e.g. model comparison)
+        string backend = messageType == MessageType.Vision
+            ? settings["visionbackend"]?.ToString()?.ToLower() ?? settings["backend"].ToString().ToLower()
+            : settings["backend"].ToString().ToLower();
+        string requestedBackend = requestData["backend"]?.ToString()?.ToLower();
+        if (!string.IsNullOrEmpty(requestedBackend))
+        {
+            if ((settings["backends"] as JObject)?.ContainsKey(requestedBackend) != true)
             {
-                return CreateErrorResponse("Message content is missing");
+                return (null, CreateErrorResponse($"Unknown backend: {requestedBackend}"));
             }
-            // Get current settings
-            JObject sessionSettings = await SessionSettings.GetMagicPromptSettings();
-            if (!sessionSettings["success"].Value<bool>())
+            backend = requestedBackend;
+        }
+        // Get appropriate endpoint
+        string endpoint = GetEndpoint(backend, settings, messageType == MessageType.Vision ? "vision" : "chat");
+        if (string.IsNullOrEmpty(endpoint))
+        {
+            return (null, CreateErrorResponse($"Failed to get endpoint for {backend}"));
+        }
+        // Fast-fail for unreachable local backends instead of waiting for the full timeout
+        if (!await IsServerReachable(backend, settings))
+        {
+            string baseUrl = (settings["backends"] as JObject)?[backend]?["baseurl"]?.ToString() ?? "unknown";
+            return (null, WithErrorType(CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.Connectivity,
+                $"{backend} server at {baseUrl} is not reachable. Please ensure the server is running.", backend)), ErrorType.Connectivity, backend));
+        }
+        // Get the instructions from the request if provided
+        string clientProvidedInstructions = messageContentToken["instructions"]?.ToString();
+
+        // Only perform server-side lookup if client didn't provide instructions
+        if (string.IsNullOrEmpty(clientProvidedInstructions))
+        {
+            clientProvidedInstructions = action switch
             {
-                Logs.Error($"MagicPromptExtension.LLMAPICalls: {sessionSettings["error"]?.ToString() ?? "Failed to load settings"}");
-                return CreateErrorResponse(sessionSettings["error"]?.ToString() ?? "Failed to load settings");
-            }
-            JObject settings = sessionSettings["settings"] as JObject;
-            if (settings == null)
+                "vision" => settings["instructions"]?["vision"]?.ToString() ?? "",
+                "prompt" => settings["instructions"]?["prompt"]?.ToString() ?? "",
+                "caption" => settings["instructions"]?["caption"]?.ToString() ?? "",
+                "generate-instruction" => settings["instructions"]?["instructiongen"]?.ToString() ?? "",
+                "random-prompt" => settings["instructions"]?["randomprompt"]?.ToString() ?? "",
+                _ => settings["instructions"]?["chat"]?.ToString() ?? ""
+            };
+        }
+        messageContent.Instructions = clientProvidedInstructions;
+        messageContent.Text = $"{messageContent.Text}";
+        // The backend's sampling settings, with any overrides from the instruction used for this request on top
+        SamplingOptions sampling = SamplingOptions.FromJson(settings["backends"]?[backend]?["sampling"])
+            .Merge(SamplingOptions.FromJson(requestData["sampling"]));
+        PreparedRequest prepared = new()
+        {
+            Backend = backend,
+            Endpoint = endpoint,
+            ModelId = modelId,
+            Action = action,
+            MessageType = messageType,
+            Content = messageContent,
+            Seed = seed,
+            Sampling = sampling,
+            Constraint = OutputConstraint.FromJson(requestData["constraint"]),
+            Settings = settings
+        };
+        return (prepared, null);
+    }
+
+    /// <summary>Creates the HTTP request for a prepared request, with auth headers and the backend-specific body.</summary>
+    /// <returns>The request, or null with an error response ready to return to the caller.</returns>
+    protected static HttpRequestMessage BuildHttpRequest(PreparedRequest prepared, Session session, bool stream, out JObject errorResponse)
+    {
+        errorResponse = null;
+        HttpRequestMessage request = new(HttpMethod.Post, GetRequestUrl(prepared, stream));
+        if (!ConfigureRequest(request, prepared.Backend, prepared.Settings, session, out string error))
+        {
+            Logs.Error($"MagicPromptExtension.LLMAPICalls: {error}");
+            request.Dispose();
+            errorResponse = CreateErrorResponse(error);
+            return null;
+        }
+        // Add request body using BackendSchema
+        object requestBody;
+        try
+        {
+            requestBody = GetSchemaType(prepared.Backend, prepared.Content, prepared.ModelId, prepared.MessageType, prepared.Seed, stream, prepared.Sampling, prepared.Constraint);
+        }
+        catch (InvalidConstraintException ex)
+        {
+            // Saved settings used by <mpprompt> tags skip the settings modal's validation
+            Logs.Error($"MagicPromptExtension.LLMAPICalls: Invalid output constraint for {prepared.Backend}: {ex.Message}");
+            request.Dispose();
+            errorResponse = CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.Generic, ex.Message, prepared.Backend));
+            return null;
+        }
+        catch (ArgumentException ex)
+        {
+            // Typically thrown for validation issues (e.g., Grok vision requires direct JPG/PNG URLs)
+            Logs.Error($"MagicPromptExtension.LLMAPICalls: Request build error for {prepared.Backend}: {ex.Message}");
+            request.Dispose();
+            errorResponse = CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.UnsupportedParameterImage, ex.Message, prepared.Backend));
+            return null;
+        }
+        string jsonContent = JsonSerializer.Serialize(requestBody);
+        request.Content = new StringContent(jsonContent, Encoding.UTF8, "application/json");
+        return request;
+    }
+
+    /// <summary>Fills the model into endpoints that carry it in the URL rather than the body (Gemini), and switches Gemini to its streaming method.</summary>
+    private static string GetRequestUrl(PreparedRequest prepared, bool stream)
+    {
+        string url = prepared.Endpoint.Replace("{model}", Uri.EscapeDataString(prepared.ModelId ?? ""));
+        if (stream && prepared.Backend == "gemini")
+        {
+            url = url.Replace(":generateContent", ":streamGenerateContent?alt=sse");
+        }
+        return url;
+    }
+
+    /// <summary>Sends the prompt to the LLM API and processes the response.</summary>
+    /// <returns>Returns a JSON object with success and a rewritten prompt or an error.</returns>
+    [API.APIDescription("Returns a JSON object containing the response from the language model API or an error message.",
+        """
+        {
+            "success": true,
+            "response": string,
+            "backend": string,
+            "model": string,
+            "fallbackFrom": [{ "backend": string, "model": string, "error": string }],
+            "error": string
+        }
+        """)]
+    public static async Task<JObject> MagicPromptPhoneHome(JObject requestData, Session session = null)
+    {
+        string requestKey = BeginRequest(requestData, session);
+        try
+        {
+            return await WithFallback(requestData, data => SendRequest(data, session));
+        }
+        finally
+        {
+            EndRequest(requestKey);
+        }
+    }
+
+    /// <summary>Error types that mean the backend itself is unavailable, so the same request is worth trying on the next entry of the fallback chain.
+    /// HTTP request errors are included because refused connections surface as those.</summary>
+    private static readonly HashSet<string> FallbackErrorTypes = ["connectivity", "http_request_error", "quota", "request_timeout"];
+
+    /// <summary>Tags an error response with its error type and backend, which WithFallback uses to decide whether to retry elsewhere.</summary>
+    protected static JObject WithErrorType(JObject errorResponse, ErrorType errorType, string backend)
+    {
+        return WithErrorType(errorResponse, ErrorHandler.ConvertErrorTypeToString(errorType), backend);
+    }
+
+    protected static JObject WithErrorType(JObject errorResponse, string errorType, string backend)
+    {
+        errorResponse["errorType"] = errorType;
+        errorResponse["backend"] = backend;
+        return errorResponse;
+    }
+
+    /// <summary>Runs a request and, while it fails with a connectivity, quota or timeout error, retries it on each backend+model pair
+    /// of the fallback chain in order. Requests can opt out with "fallback": false (e.g. model comparison).</summary>
+    /// <returns>The first successful response, with "fallbackFrom" listing the providers that failed, or the last error.</returns>
+    private static async Task<JObject> WithFallback(JObject requestData, Func<JObject, Task<JObject>> attempt)
+    {
+        JObject result = await attempt(requestData);
+        if (result["success"]?.Value<bool>() == true || requestData?["fallback"]?.Value<bool>() == false
+            || !FallbackErrorTypes.Contains(result["errorType"]?.ToString() ?? ""))
+        {
+            return result;
+        }
+        JObject sessionSettings = await SessionSettings.GetMagicPromptSettings();
+        if (sessionSettings["settings"]?["fallbackChain"] is not JArray chain || chain.Count == 0)
+        {
+            return result;
+        }
+        JArray failed = [new JObject
+        {
+            ["backend"] = result["backend"],
+            ["model"] = requestData["modelId"],
+            ["error"] = result["error"]
+        }];
+        foreach (JToken entry in chain)
+        {
+            string backend = entry["backend"]?.ToString()?.ToLower();
+            string model = entry["model"]?.ToString();
+            if (string.IsNullOrEmpty(backend) || string.IsNullOrEmpty(model)
+                || failed.Any(f => f["backend"]?.ToString() == backend && f["model"]?.ToString() == model))
             {
-                Logs.Error($"MagicPromptExtension.LLMAPICalls: Configuration not found. Please check your settings.");
-                return CreateErrorResponse("Configuration not found. Please check your settings.");
+                continue;
             }
-            // Get appropriate backend based on message type
-            string backend = messageType == MessageType.Vision
-                ? settings["visionbackend"]?.ToString()?.ToLower() ?? settings["backend"].ToString().ToLower()
-                : settings["backend"].ToString().ToLower();
-            // Get appropriate endpoint
-            string endpoint = GetEndpoint(backend, settings, messageType == MessageType.Vision ? "vision" : "chat");
-            if (string.IsNullOrEmpty(endpoint))
+            Logs.Info($"MagicPromptExtension.LLMAPICalls: {failed.Last["backend"]} failed ({result["errorType"]}), falling back to {backend} with model {model}");
+            JObject retryData = requestData.DeepClone() as JObject;
+            retryData["backend"] = backend;
+            retryData["modelId"] = model;
+            result = await attempt(retryData);
+            if (result["success"]?.Value<bool>() == true)
             {
-                return CreateErrorResponse($"Failed to get endpoint for {backend}");
+                result["fallbackFrom"] = failed;
+                return result;
             }
-            // Fast-fail for unreachable local backends instead of waiting for the full timeout
-            if (!await IsServerReachable(backend, settings))
+            failed.Add(new JObject
             {
-                string baseUrl = (settings["backends"] as JObject)?[backend]?["baseurl"]?.ToString() ?? "unknown";
-                return CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.Connectivity,
-                    $"{backend} server at {baseUrl} is not reachable. Please ensure the server is running.", backend));
+                ["backend"] = backend,
+                ["model"] = model,
+                ["error"] = result["error"]
+            });
+            if (!FallbackErrorTypes.Contains(result["errorType"]?.ToString() ?? ""))
+            {
+                break;
             }
-            // Get the instructions from the request if provided
-            string clientProvidedInstructions = messageContentToken["instructions"]?.ToString();
+        }
+        result["fallbackFrom"] = failed;
+        return result;
+    }
 
-            // Only perform server-side lookup if client didn't provide instructions
-            if (string.IsNullOrEmpty(clientProvidedInstructions))
-            {
-                clientProvidedInstructions = action switch
-                {
-                    "vision" => settings["instructions"]?["vision"]?.ToString() ?? "",
-                    "prompt" => settings["instructions"]?["prompt"]?.ToString() ?? "",
-                    "caption" => settings["instructions"]?["caption"]?.ToString() ?? "",
-                    "generate-instruction" => settings["instructions"]?["instructiongen"]?.ToString() ?? "",
-                    "random-prompt" => settings["instructions"]?["randomprompt"]?.ToString() ?? "",
-                    _ => settings["instructions"]?["chat"]?.ToString() ?? ""
-                };
-            }
-            messageContent.Instructions = clientProvidedInstructions;
-            messageContent.Text = $"{messageContent.Text}";
-            // Create request with proper headers and body
-            using HttpRequestMessage request = new(HttpMethod.Post, endpoint);
-            if (!ConfigureRequest(request, backend, settings, session, out string error))
+    /// <summary>Sends one request to one backend, see MagicPromptPhoneHome.</summary>
+    private static async Task<JObject> SendRequest(JObject requestData, Session session)
+    {
+        string backend = "unknown";
+        try
+        {
+            (PreparedRequest prepared, JObject prepareError) = await PrepareRequest(requestData);
+            if (prepared == null)
             {
-                Logs.Error($"MagicPromptExtension.LLMAPICalls: {error}");
-                return CreateErrorResponse(error);
+                return prepareError;
             }
-            // Add request body using BackendSchema
-            object requestBody;
-            try
+            backend = prepared.Backend;
+            if (backend == MockBackend.BackendId)
             {
-                requestBody = GetSchemaType(backend, messageContent, modelId, messageType, seed);
+                return await MockBackend.Respond(prepared, requestData, session);
             }
-            catch (ArgumentException ex)
+            string endpoint = prepared.Endpoint;
+            // Create request with proper headers and body
+            using HttpRequestMessage request = BuildHttpRequest(prepared, session, false, out JObject buildError);
+            if (request == null)
             {
-                // Typically thrown for validation issues (e.g., Grok vision requires direct JPG/PNG URLs)
-                Logs.Error($"MagicPromptExtension.LLMAPICalls: Request build error for {backend}: {ex.Message}");
-                return CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.UnsupportedParameterImage, ex.Message, backend));
+                return buildError;
             }
-            string jsonContent = JsonSerializer.Serialize(requestBody);
-            request.Content = new StringContent(jsonContent, Encoding.UTF8, "application/json");
+            ActiveRequest active = null;
             try
             {
                 // Send request and handle response
                 // Detailed diagnostics to help trace hanging requests
-                Logs.Debug($"[MagicPrompt] Sending request | backend={backend} | type={(messageType == MessageType.Vision ? "vision" : "chat")} | endpoint={endpoint} | model={modelId}");
-                int timeoutSec = GetBackendTimeout(settings, backend, defaultTimeout: 20);
+                Logs.Debug($"[MagicPrompt] Sending request | backend={backend} | type={(prepared.MessageType == MessageType.Vision ? "vision" : "chat")} | endpoint={endpoint} | model={prepared.ModelId}");
+                int timeoutSec = GetBackendTimeout(prepared.Settings, backend, defaultTimeout: 20);
                 Logs.Debug($"[MagicPrompt] Using timeout of {timeoutSec} seconds for {backend}");
                 using var cts = new System.Threading.CancellationTokenSource(TimeSpan.FromSeconds(timeoutSec));
+                active = TrackRequest(requestData, session, cts);
                 HttpResponseMessage response = await HttpClient.SendAsync(request, cts.Token);
-                string responseContent = await response.Content.ReadAsStringAsync();
+                string responseContent = await response.Content.ReadAsStringAsync(cts.Token);
                 // Handle API errors indicated by status code
                 if (!response.IsSuccessStatusCode)
                 {
                     // Use the improved error handler to process response
                     string formattedError = ErrorHandler.ProcessErrorResponse(responseContent, response.StatusCode, backend);
                     Logs.Error($"MagicPromptExtension.LLMAPICalls: HTTP {(int)response.StatusCode} error from {backend}: {responseContent}");
-                    return CreateErrorResponse(formattedError);
+                    return WithErrorType(CreateErrorResponse(formattedError), ErrorHandler.DetectErrorType(responseContent, response.StatusCode, backend), backend);
                 }
                 // Process successful response
                 try
@@ -577,7 +945,11 @@ public class LLMAPICalls : MagicPromptAPI
                     string llmResponse = await DeserializeResponse(response, backend);
                     if (!string.IsNullOrEmpty(llmResponse))
                     {
-                        return CreateSuccessResponse(llmResponse);
+                        JObject success = CreateSuccessResponse(llmResponse);
+                        success["backend"] = backend;
+                        success["model"] = prepared.ModelId;
+                        success["usage"] = ExtractUsage(responseContent);
+                        return success;
                     }
                 }
                 catch (Exception ex)
@@ -595,31 +967,323 @@ public class LLMAPICalls : MagicPromptAPI
                     backend)
                 );
             }
+            catch (OperationCanceledException) when (active?.CancelledByUser == true)
+            {
+                Logs.Debug($"[MagicPrompt] Request cancelled by user | backend={backend}");
+                JObject cancelled = CreateErrorResponse("Request cancelled");
+                cancelled["cancelled"] = true;
+                return cancelled;
+            }
             catch (System.Threading.Tasks.TaskCanceledException)
             {
                 Logs.Error($"MagicPromptExtension.LLMAPICalls: Request timed out for backend {backend} ({endpoint})");
-                return CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.RequestTimeout, $"Request exceeded timeout at {endpoint}", backend));
+                return WithErrorType(CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.RequestTimeout, $"Request exceeded timeout at {endpoint}", backend)), ErrorType.RequestTimeout, backend);
             }
             catch (OperationCanceledException)
             {
                 Logs.Error($"MagicPromptExtension.LLMAPICalls: Request canceled (timeout) for backend {backend} ({endpoint})");
-                return CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.RequestTimeout, $"Request canceled due to timeout at {endpoint}", backend));
+                return WithErrorType(CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.RequestTimeout, $"Request canceled due to timeout at {endpoint}", backend)), ErrorType.RequestTimeout, backend);
             }
             catch (HttpRequestException ex)
             {
                 Logs.Error($"MagicPromptExtension.LLMAPICalls: HTTP request error: {ex.Message}");
-                return CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.HttpRequestError, ex.Message, backend));
+                return WithErrorType(CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.HttpRequestError, ex.Message, backend)), ErrorType.HttpRequestError, backend);
             }
             catch (Exception ex)
             {
                 Logs.Error($"MagicPromptExtension.LLMAPICalls: Error in MagicPromptPhoneHome: {ex.Message}");
                 return CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.GenericException, ex.Message, backend));
             }
+            finally
+            {
+                UntrackRequest(active);
+            }
         }
         catch (Exception ex)
         {
             Logs.Error($"MagicPromptExtension.LLMAPICalls: Error in MagicPromptPhoneHome: {ex.Message}");
-            return CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.GenericException, ex.Message, "unknown"));
+            return CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.GenericException, ex.Message, backend));
+        }
+    }
+
+    /// <summary>Reads token counts from a raw backend response. Handles the OpenAI-style "usage" object (prompt/completion tokens),
+    /// Anthropic's "usage" (input/output tokens), Gemini's "usageMetadata" and Ollama's eval counts.</summary>
+    /// <returns>An object with "promptTokens" and "completionTokens", or null if the backend didn't report usage.</returns>
+    public static JObject ExtractUsage(string responseContent)
+    {
+        try
+        {
+            JObject json = JObject.Parse(responseContent);
+            JToken usage = json["usage"];
+            JToken usageMetadata = json["usageMetadata"];
+            int? promptTokens = usage?["prompt_tokens"]?.Value<int?>() ?? usage?["input_tokens"]?.Value<int?>()
+                ?? usageMetadata?["promptTokenCount"]?.Value<int?>() ?? json["prompt_eval_count"]?.Value<int?>();
+            int? completionTokens = usage?["completion_tokens"]?.Value<int?>() ?? usage?["output_tokens"]?.Value<int?>()
+                ?? usageMetadata?["candidatesTokenCount"]?.Value<int?>() ?? json["eval_count"]?.Value<int?>();
+            if (promptTokens == null && completionTokens == null)
+            {
+                return null;
+            }
+            return new JObject
+            {
+                ["promptTokens"] = promptTokens,
+                ["completionTokens"] = completionTokens
+            };
+        }
+        catch
+        {
+            return null;
+        }
+    }
+
+    /// <summary>Streaming variant of MagicPromptPhoneHome. Forwards each text chunk to the client over the websocket as it arrives.
+    /// The timeout applies between chunks rather than to the whole response. Closing the socket from the client stops the upstream request.</summary>
+    /// <returns>Returns the same final object as MagicPromptPhoneHome once the stream completes.</returns>
+    [API.APIDescription("Streams the language model response. Sends {\"token\": string} messages while generating, then the final result.",
+        """
+        {
+            "success": true,
+            "response": string,
+            "stopped": bool,
+            "error": string
+        }
+        """)]
+    public static async Task<JObject> MagicPromptStreamWS(WebSocket socket, JObject requestData, Session session = null)
+    {
+        string requestKey = BeginRequest(requestData, session);
+        try
+        {
+            return await WithFallback(requestData, data => SendStreamingRequest(socket, data, session));
+        }
+        finally
+        {
+            EndRequest(requestKey);
+        }
+    }
+
+    /// <summary>Streams one request from one backend, see MagicPromptStreamWS. Errors are only tagged for fallback
+    /// while nothing has been streamed yet, a reply can't be restarted on another backend once the client has part of it.</summary>
+    private static async Task<JObject> SendStreamingRequest(WebSocket socket, JObject requestData, Session session)
+    {
+        string backend = "unknown";
+        try
+        {
+            (PreparedRequest prepared, JObject prepareError) = await PrepareRequest(requestData);
+            if (prepared == null)
+            {
+                return prepareError;
+            }
+            backend = prepared.Backend;
+            if (backend == MockBackend.BackendId)
+            {
+                return await MockBackend.Respond(prepared, requestData, session, socket);
+            }
+            string endpoint = prepared.Endpoint;
+            using HttpRequestMessage request = BuildHttpRequest(prepared, session, true, out JObject buildError);
+            if (request == null)
+            {
+                return buildError;
+            }
+            StringBuilder fullText = new();
+            bool stopped = false;
+            ActiveRequest active = null;
+            try
+            {
+                Logs.Debug($"[MagicPrompt] Sending streaming request | backend={backend} | type={(prepared.MessageType == MessageType.Vision ? "vision" : "chat")} | endpoint={endpoint} | model={prepared.ModelId}");
+                TimeSpan idleTimeout = TimeSpan.FromSeconds(GetBackendTimeout(prepared.Settings, backend, defaultTimeout: 20));
+                using var cts = new System.Threading.CancellationTokenSource(idleTimeout);
+                active = TrackRequest(requestData, session, cts);
+                using HttpResponseMessage response = await HttpClient.SendAsync(request, HttpCompletionOption.ResponseHeadersRead, cts.Token);
+                if (!response.IsSuccessStatusCode)
+                {
+                    string responseContent = await response.Content.ReadAsStringAsync();
+                    string formattedError = ErrorHandler.ProcessErrorResponse(responseContent, response.StatusCode, backend);
+                    Logs.Error($"MagicPromptExtension.LLMAPICalls: HTTP {(int)response.StatusCode} error from {backend}: {responseContent}");
+                    return WithErrorType(CreateErrorResponse(formattedError), ErrorHandler.DetectErrorType(responseContent, response.StatusCode, backend), backend);
+                }
+                using Stream responseStream = await response.Content.ReadAsStreamAsync(cts.Token);
+                using StreamReader reader = new(responseStream);
+                bool done = false;
+                while (!done)
+                {
+                    string line = await reader.ReadLineAsync(cts.Token);
+                    if (line == null)
+                    {
+                        break;
+                    }
+                    cts.CancelAfter(idleTimeout);
+                    if (string.IsNullOrWhiteSpace(line))
+                    {
+                        continue;
+                    }
+                    string delta;
+                    try
+                    {
+                        delta = ExtractStreamDelta(line, backend, out done);
+                    }
+                    catch (Exception ex)
+                    {
+                        string errorType = ErrorHandler.DetectErrorType(ex.Message, response.StatusCode, backend);
+                        Logs.Error($"MagicPromptExtension.LLMAPICalls: Error in stream from {backend}: {ex.Message}");
+                        return CreateErrorResponse(ErrorHandler.FormatErrorMessage(errorType, ex.Message, backend));
+                    }
+                    if (string.IsNullOrEmpty(delta))
+                    {
+                        continue;
+                    }
+                    // The client closes the socket to stop generation
+                    if (socket.State != WebSocketState.Open)
+                    {
+                        stopped = true;
+                        break;
+                    }
+                    fullText.Append(delta);
+                    await socket.SendJson(new JObject { ["token"] = delta }, API.WebsocketTimeout);
+                }
+            }
+            catch (OperationCanceledException) when (active?.CancelledByUser == true || socket.State != WebSocketState.Open)
+            {
+                stopped = true;
+            }
+            catch (OperationCanceledException)
+            {
+                Logs.Error($"MagicPromptExtension.LLMAPICalls: Streaming request timed out for backend {backend} ({endpoint})");
+                JObject timeoutError = CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.RequestTimeout, $"No response received within the timeout at {endpoint}", backend));
+                return fullText.Length == 0 ? WithErrorType(timeoutError, ErrorType.RequestTimeout, backend) : timeoutError;
+            }
+            catch (WebSocketException)
+            {
+                stopped = true;
+            }
+            catch (HttpRequestException ex)
+            {
+                Logs.Error($"MagicPromptExtension.LLMAPICalls: HTTP request error: {ex.Message}");
+                JObject httpError = CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.HttpRequestError, ex.Message, backend));
+                return fullText.Length == 0 ? WithErrorType(httpError, ErrorType.HttpRequestError, backend) : httpError;
+            }
+            finally
+            {
+                UntrackRequest(active);
+            }
+            if (stopped)
+            {
+                Logs.Debug($"[MagicPrompt] Streaming request stopped by client | backend={backend}");
+            }
+            string llmResponse = fullText.ToString();
+            if (llmResponse.StartsWith("AI: "))
+            {
+                llmResponse = llmResponse[4..].TrimStart();
+            }
+            if (string.IsNullOrEmpty(llmResponse) && !stopped)
+            {
+                return CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.Generic, "Response could not be processed properly", backend));
+            }
+            JObject result = CreateSuccessResponse(llmResponse);
+            result["stopped"] = stopped;
+            result["backend"] = backend;
+            result["model"] = prepared.ModelId;
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"MagicPromptExtension.LLMAPICalls: Error in MagicPromptStreamWS: {ex.Message}");
+            return CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.GenericException, ex.Message, backend));
+        }
+    }
+
+    /// <summary>Cancels an in-flight MagicPromptPhoneHome or MagicPromptStreamWS call, aborting the HTTP request to the backend.</summary>
+    /// <param name="session">The calling user's session. Users can only cancel their own requests.</param>
+    /// <param name="requestId">The requestId the client sent with the original request</param>
+    [API.APIDescription("Cancels an in-flight language model request by its client-supplied request ID.",
+        """
+        {
+            "success": true,
+            "cancelled": bool
+        }
+        """)]
+    public static async Task<JObject> CancelMagicPromptRequest(Session session, string requestId)
+    {
+        if (string.IsNullOrEmpty(requestId) || requestId.Length > 64)
+        {
+            return CreateErrorResponse("Invalid request ID");
+        }
+        if (!ActiveRequests.TryGetValue(ActiveRequestKey(session, requestId), out ActiveRequest active))
+        {
+            // Already finished, or never sent
+            return new JObject { ["success"] = true, ["cancelled"] = false };
+        }
+        lock (active)
+        {
+            active.CancelledByUser = true;
+            // While the request is still being prepared there is nothing to abort yet, TrackRequest cancels it as soon as it is sent
+            try
+            {
+                active.Source?.Cancel();
+            }
+            catch (ObjectDisposedException)
+            {
+                // The attempt finished just now and UntrackRequest hasn't detached its source yet
+            }
+        }
+        Logs.Debug($"[MagicPrompt] Cancelled request {requestId}");
+        return new JObject { ["success"] = true, ["cancelled"] = true };
+    }
+
+    private static string ActiveRequestKey(Session session, string requestId) => $"{session?.User?.UserID ?? "local"}:{requestId}";
+
+    private static string GetRequestKey(JObject requestData, Session session)
+    {
+        string requestId = requestData["requestId"]?.ToString();
+        return string.IsNullOrEmpty(requestId) || requestId.Length > 64 ? null : ActiveRequestKey(session, requestId);
+    }
+
+    /// <summary>Registers a request under the client's requestId as soon as it arrives, so it can be cancelled while it is prepared, sent or retried.
+    /// Returns the registry key, or null if the client sent no ID or the ID is already in use.</summary>
+    private static string BeginRequest(JObject requestData, Session session)
+    {
+        string key = GetRequestKey(requestData, session);
+        return key != null && ActiveRequests.TryAdd(key, new ActiveRequest()) ? key : null;
+    }
+
+    private static void EndRequest(string key)
+    {
+        if (key != null)
+        {
+            ActiveRequests.TryRemove(key, out _);
+        }
+    }
+
+    /// <summary>Attaches the HTTP request's cancellation source to the registered request, cancelling it right away if the user already asked to.
+    /// Requests sent without an ID get an untracked entry that can't be cancelled.</summary>
+    protected static ActiveRequest TrackRequest(JObject requestData, Session session, CancellationTokenSource source)
+    {
+        string key = GetRequestKey(requestData, session);
+        if (key == null || !ActiveRequests.TryGetValue(key, out ActiveRequest active))
+        {
+            return new ActiveRequest { Source = source };
+        }
+        lock (active)
+        {
+            active.Source = source;
+            if (active.CancelledByUser)
+            {
+                source.Cancel();
+            }
+        }
+        return active;
+    }
+
+    /// <summary>Detaches the cancellation source once its attempt is over, before the source is disposed.
+    /// The request stays registered until it completes, in case a fallback attempt follows.</summary>
+    protected static void UntrackRequest(ActiveRequest active)
+    {
+        if (active == null)
+        {
+            return;
+        }
+        lock (active)
+        {
+            active.Source = null;
         }
     }
 }
@@ -21,6 +21,8 @@ public static class MagicPromptPermissions
     public static readonly PermInfo PermReadConfig = Permissions.Register(new("magicprompt_read_config", "Read Configuration", "Allows the user to read configuration settings.", PermissionDefault.POWERUSERS, MagicPromptPermGroup));
     public static readonly PermInfo PermGetModels = Permissions.Register(new("magicprompt_get_models", "Get Models", "Allows the user to retrieve the list of available models.", PermissionDefault.POWERUSERS, MagicPromptPermGroup));
     public static readonly PermInfo PermResetConfig = Permissions.Register(new("magicprompt_reset_config", "Reset Configuration", "Allows the user to reset configuration settings.", PermissionDefault.POWERUSERS, MagicPromptPermGroup));
+    public static readonly PermInfo PermChatSessions = Permissions.Register(new("magicprompt_chat_sessions", "Chat Sessions", "Allows the user to save, load and manage their MagicPrompt chat sessions.", PermissionDefault.POWERUSERS, MagicPromptPermGroup));
+    public static readonly PermInfo PermCaptionTagRules = Permissions.Register(new("magicprompt_caption_tag_rules", "Caption Tag Rules", "Allows the user to save their caption trigger words and tag blacklist.", PermissionDefault.POWERUSERS, MagicPromptPermGroup));
 }
 
 [API.APIClass("API routes related to MagicPromptExtension extension")]
@@ -30,12 +32,24 @@ public class MagicPromptAPI
     public static void Register()
     {
         API.RegisterAPICall(LLMAPICalls.MagicPromptPhoneHome, true, MagicPromptPermissions.PermPhoneHome);
+        API.RegisterAPICall(LLMAPICalls.MagicPromptStreamWS, true, MagicPromptPermissions.PermPhoneHome);
+        API.RegisterAPICall(LLMAPICalls.CancelMagicPromptRequest, false, MagicPromptPermissions.PermPhoneHome);
         API.RegisterAPICall(SessionSettings.GetMagicPromptSettings, false, MagicPromptPermissions.PermReadConfig);
         API.RegisterAPICall(SessionSettings.SaveMagicPromptSettings, false, MagicPromptPermissions.PermSaveConfig);
         API.RegisterAPICall(SessionSettings.ResetMagicPromptSettings, false, MagicPromptPermissions.PermResetConfig);
         API.RegisterAPICall(LLMAPICalls.GetMagicPromptModels, true, MagicPromptPermissions.PermGetModels);
+        API.RegisterAPICall(LLMAPICalls.GetMagicPromptBackendModels, true, MagicPromptPermissions.PermGetModels);
+        API.RegisterAPICall(LLMAPICalls.GetMagicPromptBackendProps, true, MagicPromptPermissions.PermGetModels);
+        API.RegisterAPICall(ChatSessions.ListChatSessions, false, MagicPromptPermissions.PermChatSessions);
+        API.RegisterAPICall(ChatSessions.GetChatSession, false, MagicPromptPermissions.PermChatSessions);
+        API.RegisterAPICall(ChatSessions.SaveChatSession, true, MagicPromptPermissions.PermChatSessions);
+        API.RegisterAPICall(ChatSessions.RenameChatSession, true, MagicPromptPermissions.PermChatSessions);
+        API.RegisterAPICall(ChatSessions.DuplicateChatSession, true, MagicPromptPermissions.PermChatSessions);
+        API.RegisterAPICall(ChatSessions.DeleteChatSession, true, MagicPromptPermissions.PermChatSessions);
+        API.RegisterAPICall(CaptionTagRules.GetCaptionTagRules, false, MagicPromptPermissions.PermCaptionTagRules);
+        API.RegisterAPICall(CaptionTagRules.SaveCaptionTagRules, true, MagicPromptPermissions.PermCaptionTagRules);
         // All key types must be added to the accepted list first
-        string[] keyTypes = ["openai_api", "anthropic_api", "openrouter_api", "openaiapi_local", "grok_api"];
+        string[] keyTypes = ["openai_api", "anthropic_api", "openrouter_api", "openaiapi_local", "grok_api", "gemini_api", "llamacpp_local"];
         foreach (string keyType in keyTypes)
         {
             BasicAPIFeatures.AcceptedAPIKeyTypes.Add(keyType);
@@ -49,8 +63,12 @@ public class MagicPromptAPI
             new HtmlString("To use OpenRouter models in SwarmUI (via Hartsy extensions), you must set your OpenRouter API key. OpenRouter gives you access to many different models through a single API."));
         RegisterApiKeyIfNeeded("openaiapi_local", "openaiapi", "OpenAI API (Local)", "#",
             new HtmlString("For connecting to local servers that implement the OpenAI API schema (like LM Studio, text-generation-webui, or LocalAI). You may need to provide API keys or connection details depending on your local setup."));
+        RegisterApiKeyIfNeeded("llamacpp_local", "llamacpp", "llama.cpp / KoboldCpp (Local)", "#",
+            new HtmlString("Only needed if your llama.cpp server was started with --api-key, or KoboldCpp with --password."));
         RegisterApiKeyIfNeeded("grok_api", "grok", "Grok (x.ai)", "https://console.x.ai",
             new HtmlString("To use Grok models from x.ai in SwarmUI (via Hartsy extensions), you must set your Grok API key."));
+        RegisterApiKeyIfNeeded("gemini_api", "gemini", "Google Gemini", "https://aistudio.google.com/apikey",
+            new HtmlString("To use Google Gemini models in SwarmUI (via Hartsy extensions), you must set your Gemini API key from Google AI Studio."));
     }
 
     /// <summary>Safely registers an API key if it's not already registered</summary>
@@ -111,6 +129,33 @@ public class MagicPromptAPI
                         throw new InvalidOperationException("The response from Grok could not be processed (no choices found)");
                     }
                     break;
+                case "gemini":
+                    GeminiResponse geminiResponse = System.Text.Json.JsonSerializer.Deserialize<GeminiResponse>(responseContent, jsonSerializerOptions);
+                    if (!string.IsNullOrEmpty(geminiResponse?.PromptFeedback?.BlockReason))
+                    {
+                        throw new InvalidOperationException(ErrorHandler.FormatErrorMessage(ErrorType.ContentModeration,
+                            $"Gemini blocked the prompt ({geminiResponse.PromptFeedback.BlockReason})", llmBackend));
+                    }
+                    GeminiCandidate geminiCandidate = geminiResponse?.Candidates?.FirstOrDefault();
+                    if (geminiCandidate?.Content?.Parts != null)
+                    {
+                        // Replies can be split over several text parts, thinking models also send their thought summaries as parts
+                        messageContent = string.Concat(geminiCandidate.Content.Parts.Where(p => p.Thought != true).Select(p => p.Text));
+                    }
+                    else if (geminiCandidate?.FinishReason == "SAFETY" || geminiCandidate?.FinishReason == "PROHIBITED_CONTENT")
+                    {
+                        throw new InvalidOperationException(ErrorHandler.FormatErrorMessage(ErrorType.ContentModeration,
+                            $"Gemini stopped the reply for safety reasons ({geminiCandidate.FinishReason})", llmBackend));
+                    }
+                    else
+                    {
+                        throw new InvalidOperationException("The response from Gemini could not be processed (no candidates found)");
+                    }
+                    if (geminiCandidate.FinishReason == "MAX_TOKENS")
+                    {
+                        Logs.Warning("MagicPromptExtension: Gemini response was cut off due to token limit.");
+                    }
+                    break;
                 case "anthropic":
                     AnthropicResponse anthropicResponse = System.Text.Json.JsonSerializer.Deserialize<AnthropicResponse>(responseContent, jsonSerializerOptions);
                     if (anthropicResponse?.Content != null && anthropicResponse.Content.Length > 0)
@@ -134,6 +179,7 @@ public class MagicPromptAPI
                     }
                     break;
                 case "openaiapi":
+                case "llamacpp":
                     OpenAIAPIResponse openAIAPIResponse = System.Text.Json.JsonSerializer.Deserialize<OpenAIAPIResponse>(responseContent, jsonSerializerOptions);
                     if (openAIAPIResponse?.Choices != null && openAIAPIResponse.Choices.Count > 0)
                     {
@@ -213,6 +259,84 @@ public class MagicPromptAPI
         }
     }
 
+    /// <summary>Extracts the text chunk from one line of a streaming response.
+    /// Ollama sends one JSON object per line, the other backends send server-sent events ("data: {...}").</summary>
+    /// <param name="line">A single non-empty line from the response stream</param>
+    /// <param name="llmBackend">The backend that produced the stream</param>
+    /// <param name="done">Set to true when the backend signals the end of the stream</param>
+    /// <returns>The text chunk, or null if the line carries no text (keep-alives, metadata events, etc.)</returns>
+    public static string ExtractStreamDelta(string line, string llmBackend, out bool done)
+    {
+        done = false;
+        string backend = llmBackend.ToLower();
+        if (backend == "ollama")
+        {
+            JObject chunk = JObject.Parse(line);
+            if (chunk["error"] != null)
+            {
+                throw new InvalidOperationException(chunk["error"].ToString());
+            }
+            done = chunk["done"]?.Value<bool>() ?? false;
+            return chunk["message"]?["content"]?.ToString();
+        }
+        // Server-sent events: ignore "event:" lines and ": comment" keep-alives (OpenRouter sends these while processing)
+        if (!line.StartsWith("data:"))
+        {
+            return null;
+        }
+        string data = line[5..].Trim();
+        if (data == "[DONE]")
+        {
+            done = true;
+            return null;
+        }
+        JObject evt = JObject.Parse(data);
+        if (evt["error"] != null)
+        {
+            throw new InvalidOperationException(evt["error"]["message"]?.ToString() ?? evt["error"].ToString());
+        }
+        switch (backend)
+        {
+            case "anthropic":
+                string eventType = evt["type"]?.ToString();
+                if (eventType == "message_stop")
+                {
+                    done = true;
+                    return null;
+                }
+                return eventType == "content_block_delta" ? evt["delta"]?["text"]?.ToString() : null;
+            case "openai":
+            case "openaiapi":
+            case "openrouter":
+            case "grok":
+            case "llamacpp":
+                if (evt["choices"] is not JArray choices || choices.Count == 0)
+                {
+                    return null;
+                }
+                if (choices[0]["finish_reason"]?.ToString() == "length")
+                {
+                    Logs.Warning($"MagicPromptExtension: {llmBackend} stream was cut off due to token limit.");
+                }
+                return choices[0]["delta"]?["content"]?.ToString();
+            case "gemini":
+                // Gemini has no end marker, the stream simply closes after the chunk with a finishReason
+                if (evt["candidates"] is not JArray candidates || candidates.Count == 0)
+                {
+                    return null;
+                }
+                if (candidates[0]["finishReason"]?.ToString() == "MAX_TOKENS")
+                {
+                    Logs.Warning($"MagicPromptExtension: {llmBackend} stream was cut off due to token limit.");
+                }
+                return candidates[0]["content"]?["parts"] is JArray parts
+                    ? string.Concat(parts.Where(p => p["thought"]?.Value<bool>() != true).Select(p => p["text"]?.ToString()))
+                    : null;
+            default:
+                throw new InvalidOperationException("Unsupported LLM backend.");
+        }
+    }
+
     /// <summary>Deserializes the API response into a list of models.</summary>
     /// <returns>A list of models or null if deserialization fails.</returns>
     public static List<ModelData> DeserializeModels(string responseContent, string backend)
@@ -265,6 +389,25 @@ public class MagicPromptAPI
                         Logs.Error("Grok models data array is null or empty.");
                         throw new InvalidOperationException("Failed to retrieve models from Grok. The response data was empty or invalid.");
                     }
+                case "gemini":
+                    GeminiModelsResponse geminiModels = JsonConvert.DeserializeObject<GeminiModelsResponse>(responseContent);
+                    if (geminiModels?.Models != null)
+                    {
+                        // Skip embedding and other models that can't chat
+                        return [.. geminiModels.Models
+                            .Where(x => x.SupportedGenerationMethods?.Contains("generateContent") == true)
+                            .Select(x => new ModelData
+                            {
+                                Model = x.Name.StartsWith("models/") ? x.Name["models/".Length..] : x.Name,
+                                Name = x.DisplayName ?? x.Name,
+                                Version = x.Version
+                            })];
+                    }
+                    else
+                    {
+                        Logs.Error("Gemini models array is null or empty.");
+                        throw new InvalidOperationException("Failed to retrieve models from Gemini. The response data was empty or invalid.");
+                    }
                 case "anthropic":
                     AnthropicResponse anthropicResponse = JsonConvert.DeserializeObject<AnthropicResponse>(responseContent);
                     if (anthropicResponse?.Data != null)
@@ -282,6 +425,7 @@ public class MagicPromptAPI
                         throw new InvalidOperationException("Failed to retrieve models from Anthropic. The response data was empty or invalid.");
                     }
                 case "openaiapi":
+                case "llamacpp":
                     OpenAIAPIResponse openAIAPIResponse = JsonConvert.DeserializeObject<OpenAIAPIResponse>(responseContent);
                     if (openAIAPIResponse?.Data != null)
                     {
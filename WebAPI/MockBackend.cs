@@ -0,0 +1,220 @@
+using Newtonsoft.Json.Linq;
+using SwarmUI.Utils;
+using SwarmUI.WebAPI;
+using SwarmUI.Accounts;
+using System.Net.WebSockets;
+using System.Text.RegularExpressions;
+using Hartsy.Extensions.MagicPromptExtension.WebAPI.Models;
+
+using static Hartsy.Extensions.MagicPromptExtension.BackendSchema;
+
+namespace Hartsy.Extensions.MagicPromptExtension.WebAPI;
+
+/// <summary>Offline backend that answers with deterministic, scriptable replies instead of calling an LLM.
+/// Simulates latency, streaming and provider errors so every UI path can be tried without a model or an API key.</summary>
+public class MockBackend : LLMAPICalls
+{
+    public const string BackendId = "mock";
+
+    /// <summary>Models the mock backend lists, all of them accept images. Any other model ID fails with a model-not-found error.</summary>
+    private static readonly string[] MockModels = ["mock-chat", "mock-vision"];
+
+    /// <summary>Names accepted by the "error" setting and the [mock:name] directive.</summary>
+    private static readonly Dictionary<string, ErrorType> SimulatedErrors = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["quota"] = ErrorType.Quota,
+        ["auth"] = ErrorType.Authentication,
+        ["timeout"] = ErrorType.RequestTimeout,
+        ["model_not_found"] = ErrorType.ModelNotFound,
+        ["server_error"] = ErrorType.ServerError,
+        ["connectivity"] = ErrorType.Connectivity,
+        ["moderation"] = ErrorType.ContentModeration
+    };
+
+    /// <summary>Directives in the message text, e.g. [mock:quota] or [mock:latency=2000]. They are removed before the text is echoed back.</summary>
+    private static readonly Regex DirectivePattern = new(@"\[mock:(?<name>[a-z_]+)(?:=(?<value>\d+))?\]\s*", RegexOptions.IgnoreCase | RegexOptions.Compiled);
+
+    private const int DefaultLatencyMs = 400;
+    private const int DefaultStreamDelayMs = 30;
+
+    public static List<ModelData> GetModels()
+    {
+        return [.. MockModels.Select(x => new ModelData
+        {
+            Model = x,
+            Name = x
+        })];
+    }
+
+    /// <summary>Answers a prepared request, streaming the reply word by word over the socket when one is given.</summary>
+    /// <returns>The same result object a real backend returns from MagicPromptPhoneHome or MagicPromptStreamWS.</returns>
+    public static async Task<JObject> Respond(PreparedRequest prepared, JObject requestData, Session session, WebSocket socket = null)
+    {
+        JObject config = prepared.Settings["backends"]?[BackendId] as JObject ?? [];
+        string text = prepared.Content.Text ?? "";
+        int latency = config["latency"]?.Value<int?>() ?? DefaultLatencyMs;
+        int streamDelay = config["streamDelay"]?.Value<int?>() ?? DefaultStreamDelayMs;
+        string error = config["error"]?.ToString();
+        foreach (Match directive in DirectivePattern.Matches(text))
+        {
+            string name = directive.Groups["name"].Value.ToLower();
+            if (name == "latency" && int.TryParse(directive.Groups["value"].Value, out int directiveLatency))
+            {
+                latency = directiveLatency;
+            }
+            else if (SimulatedErrors.ContainsKey(name))
+            {
+                error = name;
+            }
+        }
+        text = DirectivePattern.Replace(text, "").Trim();
+        if (string.IsNullOrEmpty(error) && !MockModels.Contains(prepared.ModelId))
+        {
+            error = "model_not_found";
+        }
+        TimeSpan timeout = TimeSpan.FromSeconds(GetBackendTimeout(prepared.Settings, BackendId, defaultTimeout: 10));
+        using CancellationTokenSource cts = new(timeout);
+        ActiveRequest active = TrackRequest(requestData, session, cts);
+        StringBuilder fullText = new();
+        bool stopped = false;
+        try
+        {
+            Logs.Debug($"[MagicPrompt] Mock request | action={prepared.Action} | model={prepared.ModelId} | latency={latency}ms | error={error}");
+            await Task.Delay(Math.Max(latency, 0), cts.Token);
+            if (!string.IsNullOrEmpty(error) && SimulatedErrors.TryGetValue(error, out ErrorType errorType))
+            {
+                if (errorType == ErrorType.RequestTimeout)
+                {
+                    // Hold the request open until the backend timeout runs out, like a server that never answers
+                    await Task.Delay(Timeout.Infinite, cts.Token);
+                }
+                string message = errorType == ErrorType.ModelNotFound
+                    ? $"Model '{prepared.ModelId}' not found. The mock backend has: {string.Join(", ", MockModels)}"
+                    : $"Simulated {error} error from the mock backend";
+                return WithErrorType(CreateErrorResponse(ErrorHandler.FormatErrorMessage(errorType, message, BackendId)), errorType, BackendId);
+            }
+            string reply = GetReply(prepared, config, text);
+            if (socket == null)
+            {
+                fullText.Append(reply);
+            }
+            else
+            {
+                foreach (string chunk in Regex.Split(reply, @"(?<=\s)").Where(x => x.Length > 0))
+                {
+                    // The client closes the socket to stop generation
+                    if (socket.State != WebSocketState.Open)
+                    {
+                        stopped = true;
+                        break;
+                    }
+                    fullText.Append(chunk);
+                    await socket.SendJson(new JObject { ["token"] = chunk }, API.WebsocketTimeout);
+                    cts.CancelAfter(timeout);
+                    await Task.Delay(Math.Max(streamDelay, 0), cts.Token);
+                }
+            }
+        }
+        catch (OperationCanceledException) when (active.CancelledByUser || (socket != null && socket.State != WebSocketState.Open))
+        {
+            if (socket == null)
+            {
+                JObject cancelled = CreateErrorResponse("Request cancelled");
+                cancelled["cancelled"] = true;
+                return cancelled;
+            }
+            stopped = true;
+        }
+        catch (OperationCanceledException)
+        {
+            JObject timeoutError = CreateErrorResponse(ErrorHandler.FormatErrorMessage(ErrorType.RequestTimeout, $"The mock backend didn't answer within {timeout.TotalSeconds} seconds", BackendId));
+            return fullText.Length == 0 ? WithErrorType(timeoutError, ErrorType.RequestTimeout, BackendId) : timeoutError;
+        }
+        catch (WebSocketException)
+        {
+            stopped = true;
+        }
+        finally
+        {
+            UntrackRequest(active);
+        }
+        JObject result = CreateSuccessResponse(fullText.ToString());
+        result["backend"] = BackendId;
+        result["model"] = prepared.ModelId;
+        if (socket == null)
+        {
+            result["usage"] = EstimateUsage(prepared, fullText.ToString());
+        }
+        else
+        {
+            result["stopped"] = stopped;
+        }
+        return result;
+    }
+
+    /// <summary>Picks the reply for a request: the script entry for its action, then the script's "default" entry, then a built-in reply.
+    /// An entry can be a list of replies, which are used in turn as the conversation goes on.</summary>
+    private static string GetReply(PreparedRequest prepared, JObject config, string text)
+    {
+        JObject script = null;
+        string scriptJson = config["script"]?.ToString();
+        if (!string.IsNullOrWhiteSpace(scriptJson))
+        {
+            try
+            {
+                script = JObject.Parse(scriptJson);
+            }
+            catch (Exception ex)
+            {
+                Logs.Warning($"MagicPromptExtension.MockBackend: Ignoring invalid mock script: {ex.Message}");
+            }
+        }
+        int turn = prepared.Content.History?.Count(x => x.Role == "assistant") ?? 0;
+        JToken entry = script?[prepared.Action] ?? script?["default"];
+        string template = entry switch
+        {
+            JArray replies when replies.Count > 0 => replies[turn % replies.Count]?.ToString(),
+            JValue reply => reply.ToString(),
+            _ => null
+        } ?? GetBuiltInReply(prepared.Action, text);
+        List<MediaContent> media = prepared.Content.Media ?? [];
+        string images = media.Count == 0
+            ? "no image"
+            : $"{media.Count} image{(media.Count == 1 ? "" : "s")} ({string.Join(", ", media.Select(x => x.MediaType ?? "unknown type"))})";
+        return template
+            .Replace("{input}", text)
+            .Replace("{model}", prepared.ModelId)
+            .Replace("{images}", images)
+            .Replace("{turn}", (turn + 1).ToString());
+    }
+
+    /// <summary>Replies shaped like each feature expects, so prompt extraction, caption formats and Markdown rendering all have something to work with.</summary>
+    private static string GetBuiltInReply(string action, string text)
+    {
+        return action switch
+        {
+            "enhance-prompt" or "prompt-mode" or "prompt" => "{input}, highly detailed, dramatic lighting, sharp focus, mock enhanced",
+            "random-prompt" => "a penguin in a tiny top hat conducting an orchestra of confused farm animals, whimsical, highly detailed",
+            "generate-instruction" => "You are a mock assistant. Follow this description exactly: {input}",
+            // Caption requests carry the format rules in the text
+            "caption" or "magic-vision" when text.Contains("JSON object") =>
+                "{\"subject\": \"a mock subject\", \"style\": \"digital illustration\", \"lighting\": \"soft daylight\", \"camera\": \"eye level, 50mm\", \"colors\": [\"teal\", \"orange\"]}",
+            "caption" or "magic-vision" when text.Contains("booru-style tags") => "1girl, solo, mock tag, outdoors, sunset",
+            "caption" or "magic-vision" => "A mock caption of {images}, showing a subject in soft daylight.",
+            "vision-mode" or "vision" => "Mock reply from {model} about {images}.\n\nYou asked: {input}",
+            _ => "Mock reply **#{turn}** from `{model}`.\n\nYou said: {input}\n\n```prompt\n{input}, mock style, highly detailed\n```"
+        };
+    }
+
+    /// <summary>Rough token counts, a quarter of the character count, so usage displays have numbers to show.</summary>
+    private static JObject EstimateUsage(PreparedRequest prepared, string reply)
+    {
+        int promptChars = (prepared.Content.Instructions?.Length ?? 0) + (prepared.Content.Text?.Length ?? 0)
+            + (prepared.Content.History?.Sum(x => x.Content?.Length ?? 0) ?? 0);
+        return new JObject
+        {
+            ["promptTokens"] = (int)Math.Ceiling(promptChars / 4.0),
+            ["completionTokens"] = (int)Math.Ceiling(reply.Length / 4.0)
+        };
+    }
+}
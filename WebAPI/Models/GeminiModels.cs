@@ -0,0 +1,75 @@
+using Newtonsoft.Json;
+using System.Text.Json.Serialization;
+
+namespace Hartsy.Extensions.MagicPromptExtension.WebAPI.Models;
+
+public class GeminiResponse
+{
+    [JsonPropertyName("candidates")]
+    public List<GeminiCandidate> Candidates { get; set; }
+
+    [JsonPropertyName("promptFeedback")]
+    public GeminiPromptFeedback PromptFeedback { get; set; }
+}
+
+public class GeminiCandidate
+{
+    [JsonPropertyName("content")]
+    public GeminiContent Content { get; set; }
+
+    [JsonPropertyName("finishReason")]
+    public string FinishReason { get; set; }
+}
+
+public class GeminiContent
+{
+    [JsonPropertyName("role")]
+    public string Role { get; set; }
+
+    [JsonPropertyName("parts")]
+    public List<GeminiPart> Parts { get; set; }
+}
+
+public class GeminiPart
+{
+    [JsonPropertyName("text")]
+    public string Text { get; set; }
+
+    /// <summary>True for the model's thinking summaries, which aren't part of the reply</summary>
+    [JsonPropertyName("thought")]
+    public bool? Thought { get; set; }
+}
+
+public class GeminiPromptFeedback
+{
+    [JsonPropertyName("blockReason")]
+    public string BlockReason { get; set; }
+}
+
+public class GeminiModelsResponse
+{
+    [JsonProperty("models")]
+    public List<GeminiModel> Models { get; set; }
+
+    [JsonProperty("nextPageToken")]
+    public string NextPageToken { get; set; }
+}
+
+public class GeminiModel
+{
+    /// <summary>Resource name, e.g. "models/gemini-2.0-flash"</summary>
+    [JsonProperty("name")]
+    public string Name { get; set; }
+
+    [JsonProperty("displayName")]
+    public string DisplayName { get; set; }
+
+    [JsonProperty("description")]
+    public string Description { get; set; }
+
+    [JsonProperty("version")]
+    public string Version { get; set; }
+
+    [JsonProperty("supportedGenerationMethods")]
+    public List<string> SupportedGenerationMethods { get; set; }
+}
@@ -34,6 +34,17 @@ public class SessionSettings : MagicPromptAPI
                 ["models"] = "/v1/models"
             }
         },
+        ["llamacpp"] = new JObject
+        {
+            ["baseurl"] = "http://localhost:8080",
+            ["timeout"] = 60,
+            ["endpoints"] = new JObject
+            {
+                ["chat"] = "/v1/chat/completions",
+                ["models"] = "/v1/models",
+                ["props"] = "/props"
+            }
+        },
         ["openai"] = new JObject
         {
             ["baseurl"] = "https://api.openai.com",
@@ -73,6 +84,32 @@ public class SessionSettings : MagicPromptAPI
                 ["chat"] = "/v1/chat/completions",
                 ["models"] = "/v1/models"
             }
+        },
+        ["gemini"] = new JObject
+        {
+            ["baseurl"] = "https://generativelanguage.googleapis.com",
+            ["timeout"] = 20,
+            ["endpoints"] = new JObject
+            {
+                // {model} is replaced with the model ID for each request
+                ["chat"] = "/v1beta/models/{model}:generateContent",
+                ["models"] = "/v1beta/models?pageSize=1000"
+            }
+        },
+        ["mock"] = new JObject
+        {
+            // Answered in-process by MockBackend, the URL and endpoints are never requested
+            ["baseurl"] = "mock://local",
+            ["timeout"] = 10,
+            ["latency"] = 400,
+            ["streamDelay"] = 30,
+            ["error"] = "",
+            ["script"] = "",
+            ["endpoints"] = new JObject
+            {
+                ["chat"] = "/chat",
+                ["models"] = "/models"
+            }
         }
     };
 
@@ -82,6 +119,22 @@ public class SessionSettings : MagicPromptAPI
         ["visionbackend"] = "ollama",
         ["model"] = "llama3.2-vision:latest",
         ["visionmodel"] = "llama3.2-vision:latest",
+        ["streamResponses"] = true,
+        ["chatHistory"] = new JObject
+        {
+            ["maxTurns"] = 10,
+            ["maxTokens"] = 4000,
+            ["truncation"] = "oldest"
+        },
+        ["imagePreprocessing"] = new JObject
+        {
+            ["enabled"] = true,
+            ["maxEdge"] = 1536,
+            ["format"] = "webp",
+            ["quality"] = 85
+        },
+        ["featureRouting"] = new JObject(),
+        ["fallbackChain"] = new JArray(),
         ["instructions"] = new JObject
         {
             ["chat"] = "You are a chatbot named Hartsy. Come up with a random backstory as to why you were created and how you were made to help the user with Stable Diffusion. You will respond to any questions or chats in this character. You will include tips on how to make good prompts for stable diffusion. Never break character and randomly end your response with \"Thank you for choosing Hartsy!\"",
@@ -250,7 +303,7 @@ public class SessionSettings : MagicPromptAPI
             if (newSettings["baseurl"] != null)
             {
                 string backend = newSettings["backend"]?.ToString();
-                if (backend == "ollama" || backend == "openaiapi")
+                if (backend == "ollama" || backend == "openaiapi" || backend == "llamacpp")
                 {
                     // Only sync URL for configurable backends
                     if (newSettings["backends"]?[backend] != null)
@@ -264,6 +317,8 @@ public class SessionSettings : MagicPromptAPI
             newSettings["backends"]["anthropic"]["baseurl"] = "https://api.anthropic.com";
             newSettings["backends"]["openrouter"]["baseurl"] = "https://openrouter.ai";
             newSettings["backends"]["grok"]["baseurl"] = "https://api.x.ai";
+            newSettings["backends"]["gemini"]["baseurl"] = "https://generativelanguage.googleapis.com";
+            newSettings["backends"]["mock"]["baseurl"] = "mock://local";
 
             // Don't save API keys in settings as they are now stored in UserUpstreamApiKeys
             JObject backends = newSettings["backends"] as JObject;
@@ -296,6 +351,26 @@ public class SessionSettings : MagicPromptAPI
         }
     }
 
+    /// <summary>Gets the backend and model pinned to a feature, or null when the feature uses the default chat/vision model.</summary>
+    public static JObject GetFeatureRoute(JObject settings, string feature)
+    {
+        if (settings?["featureRouting"]?[feature] is not JObject route)
+        {
+            return null;
+        }
+        string backend = route["backend"]?.ToString()?.ToLower();
+        string model = route["model"]?.ToString();
+        if (string.IsNullOrEmpty(backend) || string.IsNullOrEmpty(model) || settings["backends"]?[backend] == null)
+        {
+            return null;
+        }
+        return new JObject
+        {
+            ["backend"] = backend,
+            ["model"] = model
+        };
+    }
+
     /// <summary>You screw something up? Resets user settings to defaults.</summary>
     public static async Task<JObject> ResetMagicPromptSettings()
     {
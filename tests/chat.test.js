@@ -0,0 +1,170 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, selectOption, waitFor, plain } = require('./helpers/swarmui');
+
+describe('ChatHandler message lifecycle', () => {
+    let env;
+    let window;
+    let chat;
+    let replies;
+
+    beforeEach(async () => {
+        replies = [];
+        env = createEnvironment({
+            routes: {
+                GetMagicPromptSettings: () => ({
+                    success: true,
+                    settings: { backend: 'ollama', instructions: { chat: 'Be helpful.' } }
+                }),
+                // Each test queues the replies it expects, in order
+                MagicPromptPhoneHome: () => replies.shift() ?? { success: true, response: 'Default reply' },
+                CancelMagicPromptRequest: () => ({ success: true, cancelled: true })
+            }
+        });
+        window = env.window;
+        await window.loadSettings();
+        selectOption(window, 'modelSelect', 'chat-model');
+        chat = window.chatHandler;
+        chat.initialize();
+    });
+
+    afterEach(() => window.close());
+
+    const sentRequests = () => env.requests.filter(r => r.name === 'MagicPromptPhoneHome').map(r => r.data);
+    const renderedMessages = () => [...window.document.querySelectorAll('#chat_messages .chat-message')];
+
+    it('adds the user message and the rendered reply', async () => {
+        replies.push({ success: true, response: 'Try **neon** lighting' });
+        await chat.sendUserMessage('Ideas for a city scene?');
+        assert.deepEqual(plain(chat.messages.map(m => [m.role, m.content])), [
+            ['user', 'Ideas for a city scene?'],
+            ['assistant', 'Try **neon** lighting']
+        ]);
+        const elements = renderedMessages();
+        assert.equal(elements.length, 2);
+        assert.ok(elements[0].classList.contains('user-message'));
+        assert.equal(elements[1].querySelector('.message-content strong').textContent, 'neon');
+        assert.equal(elements[1].querySelector('.message-model').textContent, 'chat-model');
+    });
+
+    it('sends the chat instruction, model, backend and a fixed seed', async () => {
+        await chat.sendUserMessage('hello');
+        const [request] = sentRequests();
+        assert.equal(request.action, 'chat-mode');
+        assert.equal(request.modelId, 'chat-model');
+        assert.equal(request.backend, 'ollama');
+        assert.equal(request.messageContent.text, 'hello');
+        assert.equal(request.messageContent.instructions, 'Be helpful.');
+        assert.equal(request.messageContent.history, undefined);
+        assert.ok(Number.isInteger(request.seed) && request.seed >= 0);
+        assert.equal(chat.messages[1].request.seed, request.seed);
+    });
+
+    it('sends earlier turns as history', async () => {
+        replies.push({ success: true, response: 'First reply' }, { success: true, response: 'Second reply' });
+        await chat.sendUserMessage('first');
+        await chat.sendUserMessage('second');
+        assert.deepEqual(plain(sentRequests()[1].messageContent.history), [
+            { role: 'user', content: 'first' },
+            { role: 'assistant', content: 'First reply' }
+        ]);
+    });
+
+    it('limits history to the configured number of turns', async () => {
+        window.MP.settings.chatHistory.maxTurns = 1;
+        for (const text of ['one', 'two', 'three']) {
+            await chat.sendUserMessage(text);
+        }
+        assert.deepEqual(plain(sentRequests()[2].messageContent.history).map(m => m.content), ['two', 'Default reply']);
+    });
+
+    it('submits and clears the input box', async () => {
+        const { chatInput } = chat.elements;
+        chatInput.value = '  from the box  ';
+        await chat.submitInput();
+        assert.equal(chatInput.value, '');
+        assert.equal(chat.messages[0].content, 'from the box');
+        assert.equal(chat.messages.length, 2);
+    });
+
+    it('shows server errors as a system message without a reply', async () => {
+        replies.push({ success: false, error: 'Model not loaded' });
+        await chat.sendUserMessage('hello');
+        assert.deepEqual(plain(chat.messages.map(m => m.role)), ['user', 'system']);
+        assert.equal(chat.messages[1].content, 'Error: Model not loaded');
+        assert.equal(chat.isTyping, false);
+        assert.equal(chat.elements.loadingIndicator.style.display, 'none');
+    });
+
+    it('asks for an image instead of sending in vision mode without one', async () => {
+        chat.elements.visionModeRadio.checked = true;
+        chat.elements.chatInput.value = 'What is this?';
+        await chat.submitInput();
+        assert.equal(sentRequests().length, 0);
+        assert.match(chat.messages.at(-1).content, /upload an image/);
+    });
+
+    it('regenerates with the stored seed and backend and keeps the old reply as a branch', async () => {
+        replies.push({ success: true, response: 'Old reply' }, { success: true, response: 'New reply' });
+        await chat.sendUserMessage('hello');
+        // Switching backends afterwards must not send the stored model to the new backend
+        window.MP.settings.backend = 'openai';
+        await chat.regenerateMessage(chat.messages[1].id);
+        const [original, regenerated] = sentRequests();
+        assert.equal(regenerated.seed, original.seed);
+        assert.equal(regenerated.backend, 'ollama');
+        assert.equal(regenerated.modelId, 'chat-model');
+        assert.deepEqual(plain(chat.messages.map(m => m.content)), ['hello', 'New reply']);
+        const group = chat.messages[0].branchGroup;
+        assert.equal(group.tails.length, 2);
+        assert.equal(group.tails[0][1].content, 'Old reply');
+    });
+
+    it('regenerates with another model when asked', async () => {
+        await chat.sendUserMessage('hello');
+        await chat.regenerateMessage(chat.messages[1].id, 'other-model');
+        assert.equal(sentRequests()[1].modelId, 'other-model');
+        assert.equal(chat.messages[1].request.modelId, 'other-model');
+    });
+
+    it('removes a reply together with the message it answered', async () => {
+        await chat.sendUserMessage('one');
+        await chat.sendUserMessage('two');
+        chat.clearMessage(chat.messages[3].id);
+        assert.deepEqual(plain(chat.messages.map(m => m.content)), ['one', 'Default reply']);
+        assert.equal(renderedMessages().length, 2);
+    });
+
+    it('announces conversation changes', async () => {
+        const counts = [];
+        window.document.addEventListener('mpConversationChanged', (e) => counts.push(e.detail.messageCount));
+        await chat.sendUserMessage('hello');
+        chat.clearConversation();
+        assert.deepEqual(counts, [2, 0]);
+        assert.equal(renderedMessages().length, 0);
+    });
+
+    it('stops a reply that is still waiting', async () => {
+        // Never answers, like a slow model
+        env.routes.MagicPromptPhoneHome = () => new Promise(() => {});
+        const sending = chat.sendUserMessage('hello');
+        await waitFor(() => chat.isTyping);
+        chat.stopGeneration();
+        await sending;
+        assert.deepEqual(plain(chat.messages.map(m => m.role)), ['user', 'system']);
+        assert.equal(chat.messages[1].content, 'Generation stopped.');
+        await waitFor(() => env.requests.some(r => r.name === 'CancelMagicPromptRequest'));
+    });
+
+    it('restores a saved conversation', () => {
+        chat.loadConversation([
+            { role: 'user', content: 'saved question', timestamp: '2026-01-01T00:00:00Z' },
+            { role: 'assistant', content: 'saved answer' }
+        ]);
+        assert.deepEqual(plain(chat.messages.map(m => m.content)), ['saved question', 'saved answer']);
+        assert.equal(chat.messages[0].timestamp.toISOString(), '2026-01-01T00:00:00.000Z');
+        assert.equal(renderedMessages().length, 2);
+    });
+});
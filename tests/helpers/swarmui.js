@@ -0,0 +1,152 @@
+/**
+ * swarmui.js
+ * Loads the MagicPrompt tab and its scripts into jsdom, with stand-ins for the SwarmUI globals they use.
+ * Server calls go through a fake genericRequest that answers from per-test routes and records every request.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/** Same order as ScriptFiles in MagicPromptExtension.cs */
+const SCRIPTS = ['magicprompt', 'vision', 'batchcaption', 'tageditor', 'markdown', 'chat', 'compare', 'sessions', 'settings'];
+
+/** 1x1 transparent PNG */
+const PNG_BASE64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+/**
+ * Creates a page with the MagicPrompt tab loaded
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.routes] - Replies by API name, called with the request data.
+ * Return an object (or a promise of one) to answer, or throw to call the error callback.
+ * @returns {Object} The window plus the recorded requests, errors and helpers
+ */
+function createEnvironment({ routes = {} } = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'Tabs', 'Text2Image', 'MagicPrompt.html'), 'utf8');
+    const consoleErrors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => consoleErrors.push(args.join(' ')));
+    const dom = new JSDOM(`<!DOCTYPE html><html><body>
+        <textarea id="alt_prompt_textbox"></textarea>
+        <div id="current_image"></div>
+        ${html}
+        </body></html>`, { url: 'http://localhost:7801/', runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+    const { window } = dom;
+    const env = {
+        window,
+        requests: [],
+        errors: [],
+        alerts: [],
+        consoleErrors,
+        routes: { SaveMagicPromptSettings: () => ({ success: true }), ...routes },
+        currentImages: []
+    };
+    stubSwarmGlobals(env);
+    // Run each file as a classic script, like the <script> tags SwarmUI adds, so top-level functions become globals
+    const context = dom.getInternalVMContext();
+    for (const name of SCRIPTS) {
+        const filename = path.join(ROOT, 'Assets', `${name}.js`);
+        new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+    }
+    return env;
+}
+
+function stubSwarmGlobals(env) {
+    const { window } = env;
+    window.genericRequest = (name, data, callback, depth = 0, errorCallback = null) => {
+        env.requests.push({ name, data: JSON.parse(JSON.stringify(data)) });
+        // Answer asynchronously, like the real request
+        setTimeout(async () => {
+            const route = env.routes[name];
+            if (!route) {
+                errorCallback?.(`No route stubbed for ${name}`);
+                return;
+            }
+            let reply;
+            try {
+                reply = await route(data);
+            } catch (error) {
+                errorCallback?.(error.message);
+                return;
+            }
+            callback(reply);
+        });
+    };
+    window.getRequiredElementById = (id) => {
+        const element = window.document.getElementById(id);
+        if (!element) {
+            throw new Error(`Required element '${id}' not found`);
+        }
+        return element;
+    };
+    window.triggerChangeFor = (element) => element.dispatchEvent(new window.Event('change', { bubbles: true }));
+    window.showError = (message) => env.errors.push(message);
+    window.setCurrentImage = (src) => env.currentImages.push(src);
+    window.alert = (message) => env.alerts.push(message);
+    window.confirm = () => true;
+    window.promptTabComplete = {
+        prefixes: {},
+        registerPrefix(name, description, completer, selfStanding = false) {
+            this.prefixes[name] = { name, description, completer, selfStanding };
+        }
+    };
+    // jsdom has no layout, so nothing is ever resized
+    window.ResizeObserver = class ResizeObserver {
+        observe() {}
+        disconnect() {}
+    };
+}
+
+/**
+ * Gives a select an option for a value and selects it, like a loaded model list
+ * @param {Window} window - Page window
+ * @param {string} id - Select element ID
+ * @param {string} value - Option value
+ */
+function selectOption(window, id, value) {
+    const select = window.document.getElementById(id);
+    if (![...select.options].some(option => option.value === value)) {
+        select.add(new window.Option(value, value));
+    }
+    select.value = value;
+}
+
+/**
+ * Waits until a condition holds, for code that finishes in callbacks the test can't await
+ * @param {Function} condition - Returns truthy when done
+ * @param {number} [timeout=2000] - Milliseconds before failing
+ */
+async function waitFor(condition, timeout = 2000) {
+    const started = Date.now();
+    while (!condition()) {
+        if (Date.now() - started > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/**
+ * Creates an image file in the page, as if picked in a file input
+ * @param {Window} window - Page window
+ * @param {string} [name='image.png'] - File name
+ * @param {string} [type='image/png'] - MIME type
+ */
+function createPngFile(window, name = 'image.png', type = 'image/png') {
+    return new window.File([Buffer.from(PNG_BASE64, 'base64')], name, { type });
+}
+
+/**
+ * Copies a value from the page into this realm, so deepEqual doesn't trip over the page's own Object and Array prototypes
+ * @param {*} value - JSON-compatible value
+ */
+function plain(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { createEnvironment, selectOption, waitFor, createPngFile, plain, PNG_BASE64 };
@@ -0,0 +1,183 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, selectOption, plain, PNG_BASE64 } = require('./helpers/swarmui');
+
+describe('MP.RequestBuilder.createRequestPayload', () => {
+    let env;
+    let MP;
+
+    beforeEach(async () => {
+        env = createEnvironment({
+            routes: {
+                GetMagicPromptSettings: () => ({
+                    success: true,
+                    settings: {
+                        backend: 'ollama',
+                        instructions: {
+                            prompt: 'Enhance the prompt.',
+                            chat: 'You are a chat assistant.',
+                            caption: 'Caption the image.'
+                        }
+                    }
+                })
+            }
+        });
+        MP = env.window.MP;
+        await env.window.loadSettings();
+        selectOption(env.window, 'modelSelect', 'chat-model');
+        selectOption(env.window, 'visionModel', 'vision-model');
+    });
+
+    afterEach(() => env.window.close());
+
+    it('builds a text request with the instruction mapped to the feature', () => {
+        const payload = MP.RequestBuilder.createRequestPayload('a cat', null, 'enhance-prompt');
+        assert.equal(payload.messageType, 'Text');
+        assert.equal(payload.action, 'enhance-prompt');
+        assert.equal(payload.modelId, 'chat-model');
+        assert.equal(payload.messageContent.text, 'a cat');
+        assert.equal(payload.messageContent.instructions, 'Enhance the prompt.');
+        assert.equal(payload.messageContent.media, null);
+        assert.equal(payload.backend, undefined);
+    });
+
+    it('lowercases the action before resolving the feature', () => {
+        const payload = MP.RequestBuilder.createRequestPayload('hi', null, 'Chat-Mode');
+        assert.equal(payload.action, 'chat-mode');
+        assert.equal(payload.messageContent.instructions, 'You are a chat assistant.');
+    });
+
+    it('requires input except for random prompts', () => {
+        assert.throws(() => MP.RequestBuilder.createRequestPayload('  ', null, 'chat-mode'), /Input is required/);
+        assert.doesNotThrow(() => MP.RequestBuilder.createRequestPayload('', null, 'random-prompt'));
+    });
+
+    it('sends a base64 image as vision media with its detected type', () => {
+        const payload = MP.RequestBuilder.createRequestPayload('Describe it', PNG_BASE64, 'caption');
+        assert.equal(payload.messageType, 'Vision');
+        assert.deepEqual(plain(payload.messageContent.media), [
+            { type: 'base64', data: PNG_BASE64, mediaType: 'image/png', preprocessed: false }
+        ]);
+    });
+
+    it('keeps the media type and preprocessed flag of each image in a list', () => {
+        const payload = MP.RequestBuilder.createRequestPayload('Compare', [
+            { data: 'AAAA', mediaType: 'image/webp', preprocessed: true },
+            { data: 'BBBB' }
+        ], 'vision-mode');
+        assert.deepEqual(plain(payload.messageContent.media.map(m => [m.mediaType, m.preprocessed])), [
+            ['image/webp', true],
+            ['image/jpeg', false]
+        ]);
+    });
+
+    it('uses the vision model for images when chat and vision models are not linked', () => {
+        MP.settings.linkChatAndVisionModels = false;
+        assert.equal(MP.RequestBuilder.createRequestPayload('x', PNG_BASE64, 'caption').modelId, 'vision-model');
+        assert.equal(MP.RequestBuilder.createRequestPayload('x', null, 'chat-mode').modelId, 'chat-model');
+    });
+
+    it('uses the backend and model pinned to the feature', () => {
+        MP.settings.featureRouting = { 'random-prompt': { backend: 'openai', model: 'gpt-test' } };
+        const payload = MP.RequestBuilder.createRequestPayload('', null, 'random-prompt');
+        assert.equal(payload.backend, 'openai');
+        assert.equal(payload.modelId, 'gpt-test');
+    });
+
+    it('ignores routes to backends that are not configured', () => {
+        MP.settings.featureRouting = { 'chat-mode': { backend: 'nonexistent', model: 'm' } };
+        const payload = MP.RequestBuilder.createRequestPayload('hi', null, 'chat-mode');
+        assert.equal(payload.backend, undefined);
+        assert.equal(payload.modelId, 'chat-model');
+    });
+
+    it('asks Ollama to unload the model when the toggle is on', () => {
+        MP.settings.backend = 'ollama';
+        MP.settings.backends.ollama.unloadModel = true;
+        assert.equal(MP.RequestBuilder.createRequestPayload('hi', null, 'chat-mode').messageContent.KeepAlive, 0);
+        MP.settings.backends.ollama.unloadModel = false;
+        assert.equal(MP.RequestBuilder.createRequestPayload('hi', null, 'chat-mode').messageContent.KeepAlive, null);
+    });
+
+    it('adds the sampling and constraint of a custom instruction', () => {
+        MP.settings.instructions.custom = {
+            'custom-tags': {
+                title: 'Tags',
+                content: 'Only tags.',
+                categories: ['caption'],
+                sampling: { temperature: 0.2 },
+                constraint: { type: 'gbnf', value: 'root ::= "a"' }
+            }
+        };
+        MP.settings.instructions.featureMap.caption = 'custom-tags';
+        const payload = MP.RequestBuilder.createRequestPayload('x', PNG_BASE64, 'caption');
+        assert.equal(payload.messageContent.instructions, 'Only tags.');
+        assert.deepEqual(plain(payload.sampling), { temperature: 0.2 });
+        assert.deepEqual(plain(payload.constraint), { type: 'gbnf', value: 'root ::= "a"' });
+    });
+
+    it('passes conversation history through', () => {
+        const history = [{ role: 'user', content: 'hi' }, { role: 'assistant', content: 'hello' }];
+        const payload = MP.RequestBuilder.createRequestPayload('next', null, 'chat-mode', history);
+        assert.deepEqual(plain(payload.messageContent.history), history);
+    });
+});
+
+describe('MP.ImageSource.detectMediaType', () => {
+    it('recognizes images by their first bytes', () => {
+        const env = createEnvironment();
+        const { ImageSource } = env.window.MP;
+        assert.equal(ImageSource.detectMediaType(PNG_BASE64), 'image/png');
+        assert.equal(ImageSource.detectMediaType('/9j/4AAQSkZJRg'), 'image/jpeg');
+        assert.equal(ImageSource.detectMediaType('UklGRiQAAABXRUJQ'), 'image/webp');
+        assert.equal(ImageSource.detectMediaType('not an image'), null);
+        env.window.close();
+    });
+});
+
+describe('MP.APIClient.makeStreamingRequest', () => {
+    let env;
+    let socket;
+
+    beforeEach(() => {
+        env = createEnvironment({ routes: { CancelMagicPromptRequest: () => ({ success: true, cancelled: true }) } });
+        // Stands in for SwarmUI's websocket helper, the test sends messages and closes the socket itself
+        env.window.makeWSRequest = (name, payload, callback) => {
+            socket = new env.window.EventTarget();
+            socket.send = callback;
+            socket.close = () => socket.dispatchEvent(new env.window.Event('close'));
+            return socket;
+        };
+    });
+
+    afterEach(() => env.window.close());
+
+    const request = (options) => env.window.MP.APIClient.makeStreamingRequest({ messageContent: { text: 'hi' } }, options);
+
+    it('reports tokens as they arrive and resolves with the final result', async () => {
+        const tokens = [];
+        const reply = request({ onToken: (chunk, text) => tokens.push(text) });
+        socket.send({ token: 'Hel' });
+        socket.send({ token: 'lo' });
+        socket.send({ success: true, response: 'Hello' });
+        assert.equal((await reply).response, 'Hello');
+        assert.deepEqual(tokens, ['Hel', 'Hello']);
+    });
+
+    it('keeps the partial text when stopped', async () => {
+        const controller = new env.window.AbortController();
+        const reply = request({ signal: controller.signal });
+        socket.send({ token: 'Partial' });
+        controller.abort();
+        assert.deepEqual(plain(await reply), { success: true, response: 'Partial', stopped: true });
+    });
+
+    it('fails when the connection drops partway through a reply', async () => {
+        const reply = request();
+        socket.send({ token: 'Cut off' });
+        socket.close();
+        await assert.rejects(reply, /closed before the response was complete/);
+    });
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment } = require('./helpers/swarmui');
+
+describe('MarkdownRenderer', () => {
+    let env;
+    let render;
+
+    before(() => {
+        env = createEnvironment();
+        render = (markdown) => env.window.MarkdownRenderer.render(markdown);
+    });
+
+    after(() => env.window.close());
+
+    it('escapes raw HTML', () => {
+        assert.equal(render('<img src=x onerror="alert(1)">'), '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>');
+    });
+
+    it('formats emphasis but not inside code spans', () => {
+        assert.equal(render('**bold** _it_ ~~gone~~ `**raw**`'),
+            '<p><strong>bold</strong> <em>it</em> <del>gone</del> <code>**raw**</code></p>');
+    });
+
+    it('links http, https and mailto URLs only', () => {
+        assert.equal(render('[site](https://example.com)'),
+            '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">site</a></p>');
+        assert.equal(render('[run](javascript:alert(1))'), '<p>run</p>');
+    });
+
+    it('keeps balanced parentheses in link URLs', () => {
+        assert.equal(render('See [Bokeh](https://en.wikipedia.org/wiki/Bokeh_(photography)).'),
+            '<p>See <a href="https://en.wikipedia.org/wiki/Bokeh_(photography)" target="_blank" rel="noopener noreferrer">Bokeh</a>.</p>');
+    });
+
+    it('drops a rejected URL without leaving a paren behind', () => {
+        assert.equal(render('[x](javascript:void(0))'), '<p>x</p>');
+    });
+
+    it('marks prompt fences with a Use as Prompt action', () => {
+        const html = render('```sdxl-prompt\na <cat>\n```\n```negative-prompt\nblurry\n```');
+        const blocks = new env.window.DOMParser().parseFromString(html, 'text/html').querySelectorAll('.md-code-block');
+        assert.equal(blocks.length, 2);
+        assert.equal(blocks[0].querySelector('code').textContent, 'a <cat>');
+        assert.ok(blocks[0].querySelector('[data-md-action="prompt"]'));
+        assert.equal(blocks[1].querySelector('[data-md-action="prompt"]'), null);
+    });
+
+    it('renders lists and tables', () => {
+        const parse = (markdown) => new env.window.DOMParser().parseFromString(render(markdown), 'text/html');
+        assert.deepEqual([...parse('- one\n- two').querySelectorAll('ul > li')].map(li => li.textContent), ['one', 'two']);
+        const table = parse('| a | b |\n|:-|-:|\n| 1 | 2 |');
+        assert.equal(table.querySelector('td:last-child').getAttribute('style'), 'text-align: right');
+    });
+});
@@ -0,0 +1,309 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, waitFor, plain } = require('./helpers/swarmui');
+
+/**
+ * Creates a page whose server returns the given settings
+ * @param {Object} serverSettings - Settings as GetMagicPromptSettings returns them
+ */
+function withServerSettings(serverSettings) {
+    return createEnvironment({
+        routes: {
+            GetMagicPromptSettings: () => ({ success: true, settings: serverSettings })
+        }
+    });
+}
+
+describe('loadSettings', () => {
+    let env;
+
+    afterEach(() => env.window.close());
+
+    it('fills in defaults for settings the server does not have', async () => {
+        env = withServerSettings({});
+        const settings = await env.window.loadSettings();
+        assert.equal(settings.backend, 'ollama');
+        assert.equal(settings.visionbackend, 'ollama');
+        assert.equal(settings.linkChatAndVisionModels, true);
+        assert.equal(settings.streamResponses, true);
+        assert.deepEqual(plain(settings.chatHistory), { maxTurns: 10, maxTokens: 4000, truncation: 'oldest' });
+        assert.deepEqual(plain(settings.imagePreprocessing), { enabled: true, maxEdge: 1536, format: 'webp', quality: 85 });
+        assert.deepEqual(plain(settings.instructions.featureMap), plain(env.window.eval('DEFAULT_FEATURE_MAPPINGS')));
+        assert.deepEqual(plain(settings.fallbackChain), []);
+        assert.equal(env.window.MP.settings, settings);
+    });
+
+    it('keeps explicit false values from the server', async () => {
+        env = withServerSettings({ linkChatAndVisionModels: false, streamResponses: false });
+        const settings = await env.window.loadSettings();
+        assert.equal(settings.linkChatAndVisionModels, false);
+        assert.equal(settings.streamResponses, false);
+    });
+
+    it('uses the chat backend for vision when the server has no vision backend', async () => {
+        env = withServerSettings({ backend: 'anthropic' });
+        const settings = await env.window.loadSettings();
+        assert.equal(settings.visionbackend, 'anthropic');
+    });
+
+    it('merges partial nested settings over the defaults instead of replacing them', async () => {
+        env = withServerSettings({
+            chatHistory: { maxTurns: 3 },
+            imagePreprocessing: { format: 'jpeg' }
+        });
+        const settings = await env.window.loadSettings();
+        assert.deepEqual(plain(settings.chatHistory), { maxTurns: 3, maxTokens: 4000, truncation: 'oldest' });
+        assert.deepEqual(plain(settings.imagePreprocessing), { enabled: true, maxEdge: 1536, format: 'jpeg', quality: 85 });
+    });
+
+    it('overlays server backends and keeps default backends the server does not list', async () => {
+        env = withServerSettings({
+            backends: { ollama: { baseurl: 'http://gpu-box:11434', endpoints: { chat: '/api/chat', models: '/api/tags' } } }
+        });
+        const settings = await env.window.loadSettings();
+        assert.equal(settings.backends.ollama.baseurl, 'http://gpu-box:11434');
+        assert.equal(settings.backends.openai.baseurl, 'https://api.openai.com');
+        assert.ok(settings.backends.mock);
+    });
+
+    it('adds default feature mappings missing from a saved feature map', async () => {
+        env = withServerSettings({ instructions: { chat: 'Chat.', featureMap: { 'chat-mode': 'custom-1' } } });
+        const settings = await env.window.loadSettings();
+        assert.equal(settings.instructions.chat, 'Chat.');
+        assert.equal(settings.instructions.featureMap['chat-mode'], 'custom-1');
+        assert.equal(settings.instructions.featureMap['enhance-prompt'], 'prompt');
+        assert.equal(settings.instructions.featureMap['generate-instruction'], 'instructiongen');
+    });
+
+    it('ignores instructions that are not strings', async () => {
+        env = withServerSettings({ instructions: { chat: 42, vision: 'Look.' } });
+        const settings = await env.window.loadSettings();
+        assert.equal(settings.instructions.chat, '');
+        assert.equal(settings.instructions.vision, 'Look.');
+    });
+
+    it('rejects when the server reports a failure', async () => {
+        env = createEnvironment({ routes: { GetMagicPromptSettings: () => ({ success: false, error: 'No session' }) } });
+        await assert.rejects(env.window.loadSettings(), /No session/);
+    });
+});
+
+describe('saveSettings', () => {
+    let env;
+
+    beforeEach(async () => {
+        env = withServerSettings({ backend: 'ollama', chatHistory: { maxTurns: 6 } });
+        await env.window.loadSettings();
+        env.window.document.getElementById('ollamaLLMBtn').checked = true;
+    });
+
+    afterEach(() => env.window.close());
+
+    const lastSaved = () => env.requests.filter(r => r.name === 'SaveMagicPromptSettings').at(-1)?.data.settings;
+
+    it('saves valid values from the settings fields', async () => {
+        const { document } = env.window;
+        document.getElementById('historyMaxTurns').value = '4';
+        document.getElementById('preprocessMaxEdge').value = '1024';
+        document.getElementById('preprocessFormat').value = 'png';
+        await env.window.saveSettings(true);
+        assert.equal(lastSaved().chatHistory.maxTurns, 4);
+        assert.equal(lastSaved().chatHistory.maxTokens, 4000);
+        assert.equal(lastSaved().imagePreprocessing.maxEdge, 1024);
+        assert.equal(lastSaved().imagePreprocessing.format, 'png');
+        assert.equal(env.window.MP.settings.chatHistory.maxTurns, 4);
+    });
+
+    it('keeps the previous value when a field is invalid', async () => {
+        const { document } = env.window;
+        document.getElementById('historyMaxTurns').value = '-2';
+        document.getElementById('preprocessMaxEdge').value = '10';
+        document.getElementById('preprocessQuality').value = '400';
+        await env.window.saveSettings(true);
+        assert.equal(lastSaved().chatHistory.maxTurns, 6);
+        assert.equal(lastSaved().imagePreprocessing.maxEdge, 1536);
+        assert.equal(lastSaved().imagePreprocessing.quality, 85);
+    });
+
+    it('keeps backends that are not being edited', async () => {
+        env.window.MP.settings.backends.anthropic.apikey = 'kept';
+        await env.window.saveSettings(true);
+        assert.equal(lastSaved().backend, 'ollama');
+        assert.equal(lastSaved().backends.anthropic.apikey, 'kept');
+        assert.ok(lastSaved().backends.gemini);
+    });
+});
+
+describe('feature mapping resolution', () => {
+    let env;
+    let window;
+
+    beforeEach(async () => {
+        env = withServerSettings({
+            instructions: {
+                chat: 'Chat.',
+                prompt: 'Prompt.',
+                custom: {
+                    'custom-1': { id: 'custom-1', title: 'Poet', content: 'Write poems.', categories: ['chat'] }
+                },
+                featureMap: { 'chat-mode': 'custom-1' }
+            }
+        });
+        window = env.window;
+        await window.loadSettings();
+        // Opening the settings modal sets up the instruction list that deleting updates
+        window.initInstructionsUI();
+    });
+
+    afterEach(() => window.close());
+
+    it('maps features to instruction IDs', () => {
+        assert.equal(window.getInstructionForFeature('chat-mode'), 'custom-1');
+        assert.equal(window.getInstructionForFeature('enhance-prompt'), 'prompt');
+        assert.equal(window.getInstructionForFeature('not-a-feature'), null);
+        assert.equal(window.getInstructionForFeature(''), null);
+    });
+
+    it('returns null before any feature map is loaded', () => {
+        window.MP.settings.instructions = {};
+        assert.equal(window.getInstructionForFeature('chat-mode'), null);
+    });
+
+    it('reads built-in and custom instruction content', () => {
+        assert.equal(window.getInstructionContent('chat'), 'Chat.');
+        assert.equal(window.getInstructionContent('prompt'), 'Prompt.');
+        assert.equal(window.getInstructionContent('vision'), '');
+        assert.equal(window.getInstructionContent('custom-1'), 'Write poems.');
+    });
+
+    it('reads custom instructions saved as plain strings', () => {
+        window.MP.settings.instructions.custom['custom-legacy'] = 'Plain string instruction.';
+        assert.equal(window.getInstructionContent('custom-legacy'), 'Plain string instruction.');
+    });
+
+    it('returns no content for deleted, unknown or missing instructions', () => {
+        window.MP.settings.instructions.custom['custom-old'] = { deleted: true };
+        assert.equal(window.getInstructionContent('custom-old'), '');
+        assert.equal(window.getInstructionContent('custom-missing'), '');
+        assert.equal(window.getInstructionContent(null), '');
+    });
+
+    it('resolves a feature to its instruction content', () => {
+        assert.equal(window.getInstructionContent(window.getInstructionForFeature('chat-mode')), 'Write poems.');
+    });
+
+    it('points features back at their default when their custom instruction is deleted', () => {
+        window.deleteCustomInstruction('custom-1');
+        assert.equal(window.getInstructionForFeature('chat-mode'), 'chat');
+        assert.equal(window.getInstructionContent('custom-1'), '');
+    });
+});
+
+describe('custom instruction import and export', () => {
+    let env;
+    let window;
+    let exported;
+
+    beforeEach(async () => {
+        env = withServerSettings({
+            instructions: {
+                custom: {
+                    'custom-1': {
+                        id: 'custom-1',
+                        title: 'Tagger',
+                        content: 'Only tags.',
+                        tooltip: 'Tags',
+                        categories: ['caption'],
+                        sampling: { temperature: 0.1 },
+                        constraint: { type: 'gbnf', value: 'root ::= "a"' }
+                    }
+                }
+            }
+        });
+        window = env.window;
+        await window.loadSettings();
+        // Import and export live in the settings modal, which sets up the instruction list when it opens
+        window.initInstructionsUI();
+        exported = [];
+        // jsdom has no object URLs, keep the blob the download link would point at instead
+        window.URL.createObjectURL = (blob) => {
+            exported.push(blob);
+            return `blob:${exported.length}`;
+        };
+        window.URL.revokeObjectURL = () => {};
+    });
+
+    afterEach(() => window.close());
+
+    const readBlob = blob => new Promise((resolve) => {
+        const reader = new window.FileReader();
+        reader.onload = () => resolve(JSON.parse(reader.result));
+        reader.readAsText(blob);
+    });
+
+    const importJson = async (data) => {
+        const alertCount = env.alerts.length;
+        window.importCustomInstructions(new window.File([JSON.stringify(data)], 'instructions.json', { type: 'application/json' }));
+        // The import reports its result in an alert once the file is read
+        await waitFor(() => env.alerts.length > alertCount);
+        return env.alerts.at(-1);
+    };
+
+    it('exports every instruction that is not deleted, keyed by ID', async () => {
+        window.MP.settings.instructions.custom['custom-2'] = { deleted: true };
+        window.exportAllInstructions();
+        assert.equal(exported.length, 1);
+        const data = await readBlob(exported[0]);
+        assert.deepEqual(Object.keys(data), ['custom-1']);
+        assert.equal(data['custom-1'].content, 'Only tags.');
+        assert.deepEqual(data['custom-1'].constraint, { type: 'gbnf', value: 'root ::= "a"' });
+    });
+
+    it('exports a single instruction', async () => {
+        window.exportInstruction('custom-1');
+        const data = await readBlob(exported[0]);
+        assert.equal(data['custom-1'].title, 'Tagger');
+    });
+
+    it('tells the user when there is nothing to export', () => {
+        window.MP.settings.instructions.custom = {};
+        window.exportAllInstructions();
+        assert.equal(exported.length, 0);
+        assert.match(env.alerts.at(-1), /No custom instructions/);
+    });
+
+    it('imports instructions under new IDs, skipping ones without a title or content', async () => {
+        const message = await importJson({
+            a: { title: 'Haiku', content: 'Write a haiku.', categories: ['chat'], sampling: { maxTokens: 50 } },
+            b: { title: 'Empty' }
+        });
+        assert.match(message, /imported 1 custom instructions \(1 skipped\)/);
+        const custom = Object.values(window.MP.settings.instructions.custom).filter(i => i.title === 'Haiku');
+        assert.equal(custom.length, 1);
+        assert.match(custom[0].id, /^custom-\d+-0$/);
+        assert.deepEqual(plain(custom[0].categories), ['chat']);
+        assert.deepEqual(plain(custom[0].sampling), { maxTokens: 50 });
+        assert.equal(window.getInstructionContent(custom[0].id), 'Write a haiku.');
+        assert.ok(env.requests.some(r => r.name === 'SaveMagicPromptSettings'));
+    });
+
+    it('round-trips an export through import', async () => {
+        window.exportAllInstructions();
+        const data = await readBlob(exported[0]);
+        await importJson(data);
+        const copies = Object.values(window.MP.settings.instructions.custom).filter(i => i.title === 'Tagger');
+        assert.equal(copies.length, 2);
+        const copy = copies.find(i => i.id !== 'custom-1');
+        assert.equal(copy.content, 'Only tags.');
+        assert.deepEqual(plain(copy.constraint), { type: 'gbnf', value: 'root ::= "a"' });
+    });
+
+    it('reports malformed files', async () => {
+        const alertCount = env.alerts.length;
+        window.importCustomInstructions(new window.File(['{not json'], 'broken.json'));
+        await waitFor(() => env.alerts.length > alertCount);
+        assert.match(env.alerts.at(-1), /Error importing instructions/);
+    });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createEnvironment, selectOption, waitFor, createPngFile, plain, PNG_BASE64 } = require('./helpers/swarmui');
+
+describe('VisionTab.handleFile', () => {
+    let env;
+    let window;
+    let visionTab;
+    let MP;
+
+    beforeEach(async () => {
+        env = createEnvironment({
+            routes: {
+                GetMagicPromptSettings: () => ({
+                    success: true,
+                    settings: { backend: 'ollama', instructions: { caption: 'Caption the image.' } }
+                }),
+                MagicPromptPhoneHome: () => ({ success: true, response: 'A tiny transparent square' })
+            }
+        });
+        window = env.window;
+        MP = window.MP;
+        await window.loadSettings();
+        selectOption(window, 'modelSelect', 'chat-model');
+        selectOption(window, 'visionModel', 'vision-model');
+        visionTab = window.visionTab;
+        // Most tests only check loading, so don't caption every image
+        window.document.getElementById('auto_caption_checkbox').checked = false;
+    });
+
+    afterEach(() => window.close());
+
+    const captionRequests = () => env.requests.filter(r => r.name === 'MagicPromptPhoneHome');
+
+    it('rejects files that are not images', () => {
+        visionTab.handleFile(new window.File(['hello'], 'notes.txt', { type: 'text/plain' }));
+        assert.deepEqual(env.errors, ['Please upload a valid image file']);
+        assert.equal(MP.ImageSource.get(), null);
+    });
+
+    it('ignores a missing file with an error', () => {
+        visionTab.handleFile(undefined);
+        assert.equal(env.errors.length, 1);
+        assert.equal(MP.ImageSource.get(), null);
+    });
+
+    it('shows an uploaded image and makes it the current image', async () => {
+        visionTab.handleFile(createPngFile(window, 'square.png'));
+        await waitFor(() => MP.ImageSource.get());
+        const image = MP.ImageSource.get();
+        assert.equal(image.origin, 'upload');
+        assert.equal(image.name, 'square.png');
+        assert.equal(image.mediaType, 'image/png');
+        assert.equal(image.data, PNG_BASE64);
+        const { imagePreview, uploadPlaceholder } = visionTab.elements;
+        assert.equal(imagePreview.src, `data:image/png;base64,${PNG_BASE64}`);
+        assert.equal(imagePreview.style.display, 'block');
+        assert.equal(uploadPlaceholder.style.display, 'none');
+        assert.deepEqual(env.currentImages, [image.dataUrl]);
+        assert.equal(captionRequests().length, 0);
+    });
+
+    it('records pasted images as pasted', async () => {
+        visionTab.handleFile(createPngFile(window, ''), 'paste');
+        await waitFor(() => MP.ImageSource.get());
+        assert.equal(MP.ImageSource.get().origin, 'paste');
+        assert.equal(MP.ImageSource.get().name, '');
+    });
+
+    it('detects the real type of a mislabelled image', async () => {
+        visionTab.handleFile(createPngFile(window, 'photo.jpg', 'image/jpeg'));
+        await waitFor(() => MP.ImageSource.get());
+        assert.equal(MP.ImageSource.get().mediaType, 'image/png');
+    });
+
+    it("reads metadata with SwarmUI's parseMetadata when it is available", async () => {
+        const parsed = [];
+        window.parseMetadata = (data, callback) => {
+            parsed.push(data);
+            callback(data, '{"sui_image_params":{"prompt":"a square"}}');
+        };
+        visionTab.handleFile(createPngFile(window));
+        await waitFor(() => MP.ImageSource.get());
+        assert.equal(parsed.length, 1);
+        assert.equal(MP.ImageSource.get().dataUrl, parsed[0]);
+    });
+
+    it('sends the current image in vision chat', async () => {
+        visionTab.handleFile(createPngFile(window));
+        await waitFor(() => MP.ImageSource.get());
+        assert.deepEqual(plain(await visionTab.getVisionImages()), [{ data: PNG_BASE64, mediaType: 'image/png', preprocessed: false }]);
+    });
+
+    it('captions the image right away when auto caption is on', async () => {
+        window.document.getElementById('auto_caption_checkbox').checked = true;
+        visionTab.handleFile(createPngFile(window));
+        const { captionContent } = visionTab.elements;
+        await waitFor(() => captionContent.textContent === 'A tiny transparent square');
+        const [request] = captionRequests();
+        assert.equal(request.data.action, 'caption');
+        assert.equal(request.data.messageContent.instructions, 'Caption the image.');
+        assert.deepEqual(plain(request.data.messageContent.media.map(m => m.data)), [PNG_BASE64]);
+    });
+
+    it('sends an attachment as is when it cannot be preprocessed', async () => {
+        const unhandled = [];
+        const onUnhandled = reason => unhandled.push(reason);
+        process.on('unhandledRejection', onUnhandled);
+        try {
+            MP.ImagePreprocessor.process = async () => {
+                throw new Error('Failed to read image');
+            };
+            visionTab.handleFile(createPngFile(window));
+            await waitFor(() => MP.ImageSource.get());
+            visionTab.addAttachment(`data:image/png;base64,${PNG_BASE64}`, 'second.png');
+            await new Promise(resolve => setTimeout(resolve, 20));
+            assert.deepEqual(unhandled, []);
+            assert.equal(visionTab.attachments[0].upload, null);
+            assert.deepEqual(plain((await visionTab.getVisionImages()).map(image => image.data)), [PNG_BASE64, PNG_BASE64]);
+        } finally {
+            process.off('unhandledRejection', onUnhandled);
+        }
+    });
+
+    describe('with a selected region', () => {
+        const REGION = { data: 'UklGRnJlZ2lvbg==', mediaType: 'image/webp' };
+
+        beforeEach(async () => {
+            // jsdom can't draw on a canvas, so hand back a finished crop
+            MP.ImagePreprocessor.process = async (dataUrl, { crop } = {}) => crop ? REGION : null;
+            visionTab.handleFile(createPngFile(window));
+            await waitFor(() => MP.ImageSource.get());
+            visionTab.setRegion({ x: 0.25, y: 0.25, width: 0.5, height: 0.5 });
+        });
+
+        it('sends the region first, then the full image', async () => {
+            const images = plain(await visionTab.getVisionImages());
+            assert.deepEqual(images.map(image => [image.data, image.mediaType]), [
+                [REGION.data, REGION.mediaType],
+                [PNG_BASE64, 'image/png']
+            ]);
+            assert.equal(images[0].preprocessed, true);
+            assert.notEqual(visionTab.getRegionNote(), '');
+            assert.equal(visionTab.elements.captionBtn.textContent, 'Caption Region');
+        });
+
+        it('drops the region when a new image is loaded', async () => {
+            const first = MP.ImageSource.get();
+            visionTab.handleFile(createPngFile(window, 'next.png'));
+            await waitFor(() => MP.ImageSource.get() !== first);
+            assert.equal(visionTab.region, null);
+            assert.equal(visionTab.getRegionNote(), '');
+            assert.equal((await visionTab.getVisionImages()).length, 1);
+        });
+    });
+});